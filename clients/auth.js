@@ -0,0 +1,241 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { addRedaction } from '../utils/redact.js';
+
+/**
+ * Base authentication strategy
+ * Strategies set credentials on each request and may refresh them after a 401
+ */
+export class AuthStrategy {
+  constructor() {
+    this.type = 'none';
+  }
+
+  /**
+   * Add credentials to an outgoing axios request config
+   */
+  async apply(config) {
+    return config;
+  }
+
+  /**
+   * Called after a 401; return true if credentials changed and the request should be retried
+   */
+  async refresh() {
+    return false;
+  }
+
+  /**
+   * Whether this strategy identifies a user (so /users/me is meaningful)
+   */
+  get authenticated() {
+    return true;
+  }
+}
+
+/**
+ * WordPress application passwords over HTTP basic auth
+ */
+export class AppPasswordAuth extends AuthStrategy {
+  constructor(config = {}) {
+    super();
+    this.type = 'app-password';
+    this.username = config.username;
+    this.appPassword = config.appPassword;
+
+    if (!this.username || !this.appPassword) {
+      throw new Error('WordPress username and application password are required');
+    }
+
+    const password = this.appPassword.replace(/\s/g, '');
+    const token = Buffer.from(`${this.username}:${password}`).toString('base64');
+    this.header = `Basic ${token}`;
+    addRedaction(this.appPassword, password, token);
+  }
+
+  async apply(config) {
+    config.headers.Authorization = this.header;
+    return config;
+  }
+}
+
+/**
+ * Bearer tokens (OAuth2 or externally issued JWTs)
+ * Pass a static token, or getToken() to fetch and refresh one
+ */
+export class BearerAuth extends AuthStrategy {
+  constructor(config = {}) {
+    super();
+    this.type = 'bearer';
+    this.token = config.token || null;
+    this.getToken = config.getToken || null;
+
+    if (!this.token && !this.getToken) {
+      throw new Error('Bearer auth requires a token or a getToken function');
+    }
+  }
+
+  async apply(config) {
+    if (!this.token) {
+      await this.acquire();
+    }
+    config.headers.Authorization = `Bearer ${this.token}`;
+    return config;
+  }
+
+  async refresh() {
+    if (!this.getToken) return false;
+    await this.acquire();
+    return true;
+  }
+
+  async acquire() {
+    // Share one in-flight request between concurrent callers
+    if (!this.pending) {
+      this.pending = Promise.resolve(this.getToken())
+        .then((token) => {
+          this.token = token;
+          return token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+}
+
+/**
+ * JWT tokens issued by the jwt-auth plugin (/jwt-auth/v1/token)
+ */
+export class JwtAuth extends BearerAuth {
+  constructor(config = {}) {
+    if (!config.username || !config.password) {
+      throw new Error('JWT auth requires a username and password');
+    }
+
+    super({ token: config.token, getToken: () => this.requestToken() });
+    this.type = 'jwt';
+    this.baseUrl = config.url?.replace(/\/$/, '');
+    this.username = config.username;
+    this.password = config.password;
+    this.tokenEndpoint = config.tokenEndpoint || '/jwt-auth/v1/token';
+  }
+
+  async requestToken() {
+    logger.debug(`Requesting JWT token from ${this.tokenEndpoint}`);
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/wp-json${this.tokenEndpoint}`, {
+        username: this.username,
+        password: this.password
+      }, { timeout: 30000 });
+
+      const token = response.data?.token || response.data?.data?.token;
+      if (!token) {
+        throw new Error('Token endpoint response did not include a token');
+      }
+      return token;
+    } catch (error) {
+      throw new AuthenticationError(`JWT authentication failed: ${error.response?.data?.message || error.message}`, {
+        status: error.response?.status ?? null,
+        code: error.response?.data?.code ?? 'jwt_auth_failed',
+        cause: error
+      });
+    }
+  }
+}
+
+/**
+ * Logged-in cookie plus REST nonce, as used by wp-admin
+ */
+export class CookieNonceAuth extends AuthStrategy {
+  constructor(config = {}) {
+    super();
+    this.type = 'cookie';
+    this.cookie = config.cookie;
+    this.nonce = config.nonce;
+    this.getNonce = config.getNonce || null;
+
+    if (!this.cookie || (!this.nonce && !this.getNonce)) {
+      throw new Error('Cookie auth requires a cookie and a nonce or getNonce function');
+    }
+  }
+
+  async apply(config) {
+    if (!this.nonce) {
+      this.nonce = await this.getNonce();
+    }
+    config.headers.Cookie = this.cookie;
+    config.headers['X-WP-Nonce'] = this.nonce;
+    return config;
+  }
+
+  async refresh() {
+    if (!this.getNonce) return false;
+    this.nonce = await this.getNonce();
+    return true;
+  }
+}
+
+/**
+ * No credentials, for public read-only tools
+ */
+export class AnonymousAuth extends AuthStrategy {
+  constructor() {
+    super();
+    this.type = 'anonymous';
+  }
+
+  get authenticated() {
+    return false;
+  }
+}
+
+/**
+ * Build an auth strategy from client config and environment
+ *
+ * config.auth may be a strategy instance, a type name, or { type, ...options }.
+ * Without it, application-password auth is used (the historical default).
+ * With config.env === false, nothing is read from WORDPRESS_* environment variables.
+ */
+export function createAuthStrategy(config = {}) {
+  if (config.auth instanceof AuthStrategy) {
+    return config.auth;
+  }
+
+  const options = typeof config.auth === 'string' ? { type: config.auth } : { ...config.auth };
+  const env = config.env === false ? {} : process.env;
+  const type = options.type || env.WORDPRESS_AUTH_TYPE || 'app-password';
+
+  switch (type) {
+    case 'app-password':
+      return new AppPasswordAuth({
+        username: options.username || config.username || env.WORDPRESS_USERNAME,
+        appPassword: options.appPassword || config.appPassword || env.WORDPRESS_APP_PASSWORD
+      });
+    case 'bearer':
+      return new BearerAuth({
+        token: options.token || env.WORDPRESS_TOKEN,
+        getToken: options.getToken
+      });
+    case 'jwt':
+      return new JwtAuth({
+        url: config.url || env.WORDPRESS_URL,
+        username: options.username || config.username || env.WORDPRESS_USERNAME,
+        password: options.password || env.WORDPRESS_PASSWORD,
+        token: options.token,
+        tokenEndpoint: options.tokenEndpoint
+      });
+    case 'cookie':
+      return new CookieNonceAuth(options);
+    case 'anonymous':
+    case 'none':
+      return new AnonymousAuth();
+    default:
+      throw new Error(`Unknown WordPress auth type: ${type}`);
+  }
+}
+
+export default createAuthStrategy;
@@ -0,0 +1,438 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { getToolContext, createStepProgress } from '../utils/context.js';
+import { expandHome } from './transports.js';
+
+const MANIFEST = 'manifest.json';
+const DATABASE_FILE = 'database.sql';
+const CONTENT_FILE = 'wp-content.tar.gz';
+const SNAPSHOT_ID = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Prefix for host commands that write staging files: only the owner can read what they create
+const PRIVATE = ['sh', '-c', 'umask 077 && exec "$@"', 'sh'];
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Parse `sha256sum` / `shasum -a 256` output into { basename: checksum }
+ */
+function parseChecksums(output) {
+  const checksums = {};
+  for (const line of String(output || '').split('\n')) {
+    const match = /^([a-f0-9]{64})\s+\*?(.+)$/.exec(line.trim());
+    if (match) checksums[path.posix.basename(match[2])] = match[1];
+  }
+  return checksums;
+}
+
+/**
+ * Timestamped snapshots of a WordPress site: database dump, optional wp-content
+ * archive and a manifest of core/plugin/theme versions with file checksums
+ *
+ * Snapshots are staged on the WordPress host (remoteDir, ~/.wp-mcp-backups by default,
+ * in the home directory of the user running WP-CLI there; created with mode 700), copied
+ * through the WP-CLI client's transport and kept under storageDir/<name>/<id> on this machine.
+ *
+ *   const backups = new BackupManager({ cli, name: 'production', retention: { keepLast: 7 } });
+ *   const { id } = await backups.createSnapshot({ includeContent: true });
+ *   await backups.restoreSnapshot(id);
+ */
+export class BackupManager {
+  constructor(config = {}) {
+    if (!config.cli) {
+      throw new Error('BackupManager requires a WPCLIClient');
+    }
+
+    this.cli = config.cli;
+    this.transport = config.cli.transport;
+    this.name = config.name || 'default';
+    this.storageDir = path.resolve(expandHome(config.storageDir || process.env.WP_BACKUP_DIR || '~/.wp-mcp/backups'), this.name);
+    this.remoteDir = config.remoteDir || process.env.WP_BACKUP_REMOTE_DIR || '~/.wp-mcp-backups';
+    this.retention = {
+      keepLast: config.retention?.keepLast ?? (parseInt(process.env.WP_BACKUP_KEEP, 10) || null),
+      maxAgeDays: config.retention?.maxAgeDays ?? (parseInt(process.env.WP_BACKUP_MAX_AGE_DAYS, 10) || null)
+    };
+    // Paths inside wp-content left out of archives
+    this.exclude = config.exclude || ['cache', 'upgrade'];
+  }
+
+  /**
+   * Create a snapshot and copy it to local storage
+   * Options: includeContent (default true), label, exclude, keepRemote, signal, onProgress
+   */
+  async createSnapshot(options = {}) {
+    const includeContent = options.includeContent ?? true;
+    const id = new Date().toISOString().replace(/[:.]/g, '-');
+    const signal = options.signal || getToolContext()?.signal;
+    const remote = path.posix.join(await this.getRemoteDir(signal), id);
+    const local = path.join(this.storageDir, id);
+    const progress = createStepProgress(includeContent ? 6 : 5, options.onProgress);
+    const files = [DATABASE_FILE, ...(includeContent ? [CONTENT_FILE] : [])];
+
+    logger.info(`Creating snapshot ${id} of ${this.name}`);
+
+    try {
+      progress('Reading site versions');
+      const manifest = {
+        id,
+        label: options.label || null,
+        site: this.name,
+        createdAt: new Date().toISOString(),
+        includeContent,
+        ...(await this.describeSite())
+      };
+
+      await this.createLocalDir(local);
+      await this.transport.runHostCommand([...PRIVATE, 'mkdir', '-p', '-m', '700', remote], { signal });
+
+      progress('Exporting database');
+      // Steps are the progress here; keep per-line updates out of the tool call's reporter
+      await this.cli.dbExport(path.posix.join(remote, DATABASE_FILE), { signal, onProgress: () => {} });
+
+      if (includeContent) {
+        progress('Archiving wp-content');
+        const contentDir = await this.getContentDir();
+        const base = path.posix.basename(contentDir);
+        await this.transport.runHostCommand([
+          ...PRIVATE, 'tar', '-czf', path.posix.join(remote, CONTENT_FILE),
+          ...(options.exclude || this.exclude).map(entry => `--exclude=${base}/${entry}`),
+          '-C', path.posix.dirname(contentDir), base
+        ], { signal, timeout: 0 });
+      }
+
+      progress('Computing checksums');
+      const remoteChecksums = await this.remoteChecksums(remote, files, signal);
+
+      progress('Copying snapshot');
+      manifest.files = [];
+      for (const file of files) {
+        const localPath = path.join(local, file);
+        await this.transport.download(path.posix.join(remote, file), localPath, { signal });
+
+        const sha256 = await sha256File(localPath);
+        if (remoteChecksums[file] && remoteChecksums[file] !== sha256) {
+          throw new Error(`Checksum mismatch for ${file} after download (host ${remoteChecksums[file]}, local ${sha256})`);
+        }
+
+        manifest.files.push({ name: file, size: (await fs.promises.stat(localPath)).size, sha256 });
+      }
+
+      await fs.promises.writeFile(path.join(local, MANIFEST), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+      progress('Snapshot complete');
+      logger.info(`Snapshot ${id} saved to ${local}`);
+
+      const pruned = this.hasRetention() ? await this.pruneSnapshots({ dryRun: false }) : null;
+      return { ...manifest, path: local, pruned: pruned?.removed || [] };
+    } catch (error) {
+      await fs.promises.rm(local, { recursive: true, force: true });
+      throw error;
+    } finally {
+      if (!options.keepRemote) {
+        await this.removeRemote(remote);
+      }
+    }
+  }
+
+  /**
+   * Snapshots in local storage, newest first
+   */
+  async listSnapshots() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.storageDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const snapshots = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      try {
+        const manifest = JSON.parse(await fs.promises.readFile(path.join(this.storageDir, entry.name, MANIFEST), 'utf8'));
+        snapshots.push({
+          ...manifest,
+          path: path.join(this.storageDir, entry.name),
+          size: (manifest.files || []).reduce((sum, file) => sum + file.size, 0)
+        });
+      } catch (error) {
+        logger.debug(`Skipping ${entry.name}: no readable manifest`);
+      }
+    }
+
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async getSnapshot(id) {
+    const manifestPath = path.join(this.snapshotPath(id), MANIFEST);
+
+    try {
+      const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+      return { ...manifest, path: this.snapshotPath(id) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new NotFoundError(`Snapshot not found: ${id}`, {
+        code: 'snapshot_not_found',
+        hint: 'List the snapshots first to find a valid ID.'
+      });
+    }
+  }
+
+  /**
+   * Recompute file checksums against the manifest
+   */
+  async verifySnapshot(id) {
+    const snapshot = await this.getSnapshot(id);
+    const files = [];
+
+    for (const file of snapshot.files) {
+      const filePath = path.join(snapshot.path, file.name);
+      const actual = await sha256File(filePath).catch(() => null);
+      files.push({ name: file.name, expected: file.sha256, actual, valid: actual === file.sha256 });
+    }
+
+    return { id, valid: files.every(file => file.valid), files };
+  }
+
+  async deleteSnapshot(id, options = {}) {
+    const snapshot = await this.getSnapshot(id);
+
+    if (this.cli.isDryRun(options)) {
+      return { dryRun: true, id, path: snapshot.path, effects: [`Snapshot ${id} is deleted from local storage`] };
+    }
+
+    await fs.promises.rm(snapshot.path, { recursive: true, force: true });
+    return { id, deleted: true };
+  }
+
+  /**
+   * Remove snapshots outside the retention policy ({ keepLast, maxAgeDays })
+   * The newest snapshot is always kept
+   */
+  async pruneSnapshots(options = {}) {
+    const keepLast = options.keepLast ?? this.retention.keepLast;
+    const maxAgeDays = options.maxAgeDays ?? this.retention.maxAgeDays;
+    const snapshots = await this.listSnapshots();
+    const now = Date.now();
+
+    const expired = snapshots.filter((snapshot, index) => index > 0 && (
+      (keepLast && index >= keepLast) ||
+      (maxAgeDays && now - new Date(snapshot.createdAt).getTime() > maxAgeDays * DAY)
+    ));
+    const removed = expired.map(snapshot => snapshot.id);
+    const kept = snapshots.map(snapshot => snapshot.id).filter(id => !removed.includes(id));
+
+    if (this.cli.isDryRun(options)) {
+      return { dryRun: true, removed, kept };
+    }
+
+    for (const snapshot of expired) {
+      await fs.promises.rm(snapshot.path, { recursive: true, force: true });
+      logger.info(`Pruned snapshot ${snapshot.id}`);
+    }
+
+    return { removed, kept };
+  }
+
+  /**
+   * Restore a snapshot with maintenance mode on for the duration
+   * Options: database (default true), content (default true when archived), signal, onProgress
+   * Files added to wp-content after the snapshot are left in place
+   */
+  async restoreSnapshot(id, options = {}) {
+    const snapshot = await this.getSnapshot(id);
+    const database = options.database ?? true;
+    const content = (options.content ?? true) && snapshot.files.some(file => file.name === CONTENT_FILE);
+    const files = snapshot.files.filter(file => (file.name === DATABASE_FILE && database) || (file.name === CONTENT_FILE && content));
+    const signal = options.signal || getToolContext()?.signal;
+
+    const verification = await this.verifySnapshot(id);
+    if (!verification.valid) {
+      throw new ValidationError(`Snapshot ${id} failed checksum verification`, {
+        code: 'snapshot_corrupt',
+        data: verification,
+        hint: 'The snapshot files changed since it was created. Choose another snapshot.'
+      });
+    }
+
+    if (this.cli.isDryRun(options)) {
+      const current = await this.describeSite();
+      return {
+        dryRun: true,
+        id,
+        createdAt: snapshot.createdAt,
+        wordpress: { current: current.wordpress.version, snapshot: snapshot.wordpress.version },
+        plugins: this.compareVersions(current.plugins, snapshot.plugins),
+        themes: this.compareVersions(current.themes, snapshot.themes),
+        effects: [
+          'Maintenance mode is enabled while restoring',
+          ...(database ? ['The database is replaced with the snapshot dump'] : []),
+          ...(content ? ['wp-content files are overwritten from the snapshot archive'] : [])
+        ]
+      };
+    }
+
+    const remote = path.posix.join(await this.getRemoteDir(signal), `restore-${id}`);
+    const progress = createStepProgress(files.length + 3, options.onProgress);
+    const warnings = [];
+
+    logger.info(`Restoring snapshot ${id} to ${this.name}`);
+
+    try {
+      progress('Copying snapshot to host');
+      await this.transport.runHostCommand([...PRIVATE, 'mkdir', '-p', '-m', '700', remote], { signal });
+      for (const file of files) {
+        await this.transport.upload(path.join(snapshot.path, file.name), path.posix.join(remote, file.name), { signal });
+      }
+
+      const remoteChecksums = await this.remoteChecksums(remote, files.map(file => file.name), signal);
+      for (const file of files) {
+        if (remoteChecksums[file.name] && remoteChecksums[file.name] !== file.sha256) {
+          throw new Error(`Checksum mismatch for ${file.name} after upload`);
+        }
+      }
+
+      progress('Enabling maintenance mode');
+      await this.cli.enableMaintenanceMode();
+
+      try {
+        if (database) {
+          progress('Importing database');
+          await this.cli.dbImport(path.posix.join(remote, DATABASE_FILE), { signal, dryRun: false, onProgress: () => {} });
+        }
+
+        if (content) {
+          progress('Extracting wp-content');
+          const contentDir = await this.getContentDir();
+          await this.transport.runHostCommand(['tar', '-xzf', path.posix.join(remote, CONTENT_FILE), '-C', path.posix.dirname(contentDir)], { signal, timeout: 0 });
+        }
+
+        await this.cli.cacheFlush().catch(error => warnings.push(`Cache flush failed: ${error.message}`));
+      } finally {
+        progress('Disabling maintenance mode');
+        await this.cli.disableMaintenanceMode().catch((error) => {
+          warnings.push(`Maintenance mode could not be disabled: ${error.message}`);
+          logger.error(`Maintenance mode left on after restoring ${id}: ${error.message}`);
+        });
+      }
+    } finally {
+      await this.removeRemote(remote);
+    }
+
+    logger.info(`Snapshot ${id} restored`);
+    return { id, restored: { database, content }, warnings };
+  }
+
+  /**
+   * Core, plugin and theme versions for the manifest
+   */
+  async describeSite() {
+    const [version, plugins, themes, siteurl] = await Promise.all([
+      this.cli.coreVersion(),
+      this.cli.listPlugins(),
+      this.cli.listThemes(),
+      this.cli.getOption('siteurl')
+    ]);
+
+    return {
+      url: siteurl,
+      wordpress: { version },
+      plugins: plugins.map(({ name, version: pluginVersion, status }) => ({ name, version: pluginVersion, status })),
+      themes: themes.map(({ name, version: themeVersion, status }) => ({ name, version: themeVersion, status }))
+    };
+  }
+
+  compareVersions(current, snapshot) {
+    const currentVersions = new Map(current.map(item => [item.name, item.version]));
+    const snapshotVersions = new Map(snapshot.map(item => [item.name, item.version]));
+    const names = [...new Set([...currentVersions.keys(), ...snapshotVersions.keys()])];
+
+    return names
+      .filter(name => currentVersions.get(name) !== snapshotVersions.get(name))
+      .map(name => ({ name, current: currentVersions.get(name) ?? null, snapshot: snapshotVersions.get(name) ?? null }));
+  }
+
+  /**
+   * Create a local snapshot directory only this user can read: dumps hold password hashes and keys
+   */
+  async createLocalDir(dir) {
+    await fs.promises.mkdir(dir, { recursive: true, mode: 0o700 });
+    // Storage created by older versions used the default umask
+    await fs.promises.chmod(this.storageDir, 0o700);
+    await fs.promises.chmod(dir, 0o700);
+  }
+
+  /**
+   * Staging directory on the host; a leading ~ is the home directory there, not here
+   */
+  async getRemoteDir(signal) {
+    if (!/^~(\/|$)/.test(this.remoteDir)) {
+      return this.remoteDir.replace(/(.)\/$/, '$1');
+    }
+
+    if (!this.resolvedRemoteDir) {
+      const { stdout } = await this.transport.runHostCommand(['sh', '-c', 'printf %s "$HOME"'], { signal });
+      const home = stdout.trim();
+
+      if (!home.startsWith('/')) {
+        throw new Error('Could not find the home directory on the WordPress host; set WP_BACKUP_REMOTE_DIR');
+      }
+      this.resolvedRemoteDir = path.posix.join(home, this.remoteDir.slice(1)).replace(/(.)\/$/, '$1');
+    }
+
+    return this.resolvedRemoteDir;
+  }
+
+  async getContentDir() {
+    return this.cli.exec(['eval', 'echo WP_CONTENT_DIR;'], { format: null, readOnly: true });
+  }
+
+  async remoteChecksums(remote, files, signal) {
+    const paths = files.map(file => path.posix.join(remote, file));
+
+    for (const command of [['sha256sum'], ['shasum', '-a', '256']]) {
+      try {
+        const { stdout } = await this.transport.runHostCommand([...command, ...paths], { signal, timeout: 0 });
+        return parseChecksums(stdout);
+      } catch (error) {
+        logger.debug(`${command[0]} unavailable on host: ${error.message}`);
+      }
+    }
+
+    logger.warn('No checksum tool on the WordPress host; transfers are not verified');
+    return {};
+  }
+
+  async removeRemote(remote) {
+    // Only ever remove directories this manager staged
+    if (path.posix.dirname(remote) !== await this.getRemoteDir()) return;
+
+    await this.transport.runHostCommand(['rm', '-rf', remote])
+      .catch(error => logger.warn(`Could not remove ${remote} on host: ${error.message}`));
+  }
+
+  snapshotPath(id) {
+    if (!SNAPSHOT_ID.test(String(id))) {
+      throw new ValidationError(`Invalid snapshot ID: ${id}`, {
+        code: 'invalid_snapshot_id',
+        hint: 'Use an ID returned by listSnapshots.'
+      });
+    }
+    return path.join(this.storageDir, String(id));
+  }
+
+  hasRetention() {
+    return Boolean(this.retention.keepLast || this.retention.maxAgeDays);
+  }
+}
+
+export default BackupManager;
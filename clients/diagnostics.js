@@ -0,0 +1,361 @@
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { AuthenticationError, PermissionError, NotFoundError } from '../utils/errors.js';
+
+// Async Site Health tests exposed over REST (WordPress 5.6+); all need view_site_health_checks
+const SITE_HEALTH_TESTS = [
+  'background-updates',
+  'loopback-requests',
+  'https-status',
+  'dotorg-communication',
+  'authorization-header',
+  'page-cache'
+];
+
+const CAPABILITIES = ['manage_options', 'activate_plugins', 'update_plugins', 'update_core', 'view_site_health_checks', 'edit_posts'];
+
+// Minutes a cron event may be overdue before WP-Cron is considered stalled
+const CRON_OVERDUE_MINUTES = 10;
+
+const SEVERITY = { good: 0, recommended: 1, critical: 2 };
+
+// Everything `wp eval` can read in one round trip
+const ENVIRONMENT_PHP = `
+global $wpdb;
+$constant = function ($name) { return defined($name) ? constant($name) : null; };
+echo json_encode(array(
+  'wordpress' => get_bloginfo('version'),
+  'php' => PHP_VERSION,
+  'mysql' => method_exists($wpdb, 'db_server_info') ? $wpdb->db_server_info() : $wpdb->db_version(),
+  'environment' => function_exists('wp_get_environment_type') ? wp_get_environment_type() : null,
+  'multisite' => is_multisite(),
+  'permalinkStructure' => get_option('permalink_structure'),
+  'debug' => array(
+    'WP_DEBUG' => $constant('WP_DEBUG'),
+    'WP_DEBUG_LOG' => $constant('WP_DEBUG_LOG'),
+    'WP_DEBUG_DISPLAY' => $constant('WP_DEBUG_DISPLAY'),
+    'SCRIPT_DEBUG' => $constant('SCRIPT_DEBUG'),
+    'SAVEQUERIES' => $constant('SAVEQUERIES'),
+  ),
+  'cron' => array(
+    'disabled' => (bool) $constant('DISABLE_WP_CRON'),
+    'alternate' => (bool) $constant('ALTERNATE_WP_CRON'),
+  ),
+));`;
+
+const environmentSchema = z.object({
+  wordpress: z.string(),
+  php: z.string(),
+  mysql: z.string().nullable(),
+  environment: z.string().nullable(),
+  multisite: z.boolean(),
+  permalinkStructure: z.string().nullable().or(z.literal(false)),
+  debug: z.record(z.union([z.boolean(), z.string(), z.number(), z.null()])),
+  cron: z.object({ disabled: z.boolean(), alternate: z.boolean() })
+});
+
+const cronEventsSchema = z.array(z.object({
+  hook: z.string(),
+  next_run_gmt: z.string()
+}).passthrough());
+
+/**
+ * Site health and diagnostics from whatever is reachable: REST, WP-CLI or both
+ *
+ * Every section is collected independently. When a source is missing, unreachable or
+ * the user lacks a capability, the section is null and the reason goes into `warnings`,
+ * so a partial report is still returned.
+ *
+ *   const diagnostics = new SiteDiagnostics({ rest, cli });
+ *   const report = await diagnostics.getReport();
+ */
+export class SiteDiagnostics {
+  constructor(config = {}) {
+    this.rest = config.rest || null;
+    this.cli = config.cli || null;
+
+    if (!this.rest && !this.cli) {
+      throw new Error('SiteDiagnostics requires a REST client, a WP-CLI client or both');
+    }
+  }
+
+  /**
+   * Build the report
+   * Options: siteHealth (run the Site Health REST tests, default true)
+   */
+  async getReport(options = {}) {
+    const warnings = [];
+    const collect = (section, source, fn) => fn().catch((error) => {
+      warnings.push(this.describeFailure(section, source, error));
+      return null;
+    });
+
+    const [rest, cliAvailable] = await Promise.all([
+      this.rest ? this.checkRest(warnings) : null,
+      this.cli ? this.cli.isAvailable() : false
+    ]);
+
+    if (this.cli && !cliAvailable) {
+      warnings.push({ section: 'wp-cli', source: 'cli', message: 'WP-CLI is disabled or not reachable; CLI-only sections are skipped.' });
+    }
+
+    const useRest = Boolean(rest?.reachable);
+    const cli = cliAvailable ? this.cli : null;
+    const can = capability => rest?.capabilities?.[capability] !== false;
+
+    const [environment, cliPlugins, cliThemes, cronEvents] = await Promise.all([
+      cli ? collect('environment', 'cli', () => cli.exec(['eval', ENVIRONMENT_PHP], { format: null, parse: 'json', schema: environmentSchema, readOnly: true })) : null,
+      cli ? collect('plugins', 'cli', () => cli.listPlugins()) : null,
+      cli ? collect('themes', 'cli', () => cli.listThemes()) : null,
+      cli ? collect('cron', 'cli', () => cli.exec(['cron', 'event', 'list', '--fields=hook,next_run_gmt'], { schema: cronEventsSchema })) : null
+    ]);
+
+    const [restPlugins, restThemes, siteHealth] = await Promise.all([
+      !cliPlugins && useRest && can('activate_plugins')
+        ? collect('plugins', 'rest', () => this.rest.get('/wp/v2/plugins', {}, false))
+        : null,
+      !cliThemes && useRest
+        ? collect('themes', 'rest', () => this.rest.get('/wp/v2/themes', { status: 'active' }, false))
+        : null,
+      options.siteHealth !== false && useRest && rest.siteHealthAvailable && can('view_site_health_checks')
+        ? collect('siteHealth', 'rest', () => this.runSiteHealthTests())
+        : null
+    ]);
+
+    if (!cli && useRest && rest.capabilities && !can('activate_plugins')) {
+      warnings.push({ section: 'plugins', source: 'rest', message: 'Listing plugins needs the activate_plugins capability.' });
+    }
+    if (options.siteHealth !== false && useRest && rest.capabilities && !can('view_site_health_checks')) {
+      warnings.push({ section: 'siteHealth', source: 'rest', message: 'Site Health tests need the view_site_health_checks capability.' });
+    }
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      sources: {
+        rest: this.rest ? { configured: true, reachable: useRest } : { configured: false, reachable: false },
+        cli: { configured: Boolean(this.cli), available: Boolean(cli) }
+      },
+      rest,
+      permalinks: this.describePermalinks(environment, rest),
+      versions: environment
+        ? { wordpress: environment.wordpress, php: environment.php, mysql: environment.mysql }
+        : null,
+      environment: environment ? { type: environment.environment, multisite: environment.multisite } : null,
+      plugins: this.describePlugins(cliPlugins, restPlugins),
+      themes: this.describeThemes(cliThemes, restThemes),
+      cron: environment && cronEvents ? this.describeCron(environment.cron, cronEvents) : null,
+      debug: environment ? environment.debug : null,
+      siteHealth,
+      warnings
+    };
+
+    report.issues = this.findIssues(report);
+    report.status = report.issues.reduce(
+      (worst, issue) => (SEVERITY[issue.severity] > SEVERITY[worst] ? issue.severity : worst),
+      'good'
+    );
+
+    return report;
+  }
+
+  /**
+   * REST reachability, auth status and capabilities
+   */
+  async checkRest(warnings) {
+    const result = {
+      reachable: false,
+      authenticated: false,
+      user: null,
+      capabilities: null,
+      namespaces: [],
+      siteHealthAvailable: false,
+      site: null
+    };
+
+    try {
+      const index = await this.rest.get('/', {}, false);
+      result.reachable = true;
+      result.namespaces = index.namespaces || [];
+      result.siteHealthAvailable = result.namespaces.includes('wp-site-health/v1');
+      result.site = { name: index.name, url: index.url, home: index.home };
+    } catch (error) {
+      warnings.push(this.describeFailure('rest', 'rest', error));
+      return result;
+    }
+
+    if (!this.rest.auth.authenticated) {
+      return result;
+    }
+
+    try {
+      const user = await this.rest.get('/wp/v2/users/me', { context: 'edit' }, false);
+      result.authenticated = true;
+      result.user = { id: user.id, name: user.name, roles: user.roles || [] };
+      result.capabilities = Object.fromEntries(CAPABILITIES.map(capability => [capability, Boolean(user.capabilities?.[capability])]));
+    } catch (error) {
+      warnings.push(this.describeFailure('auth', 'rest', error));
+    }
+
+    return result;
+  }
+
+  async runSiteHealthTests() {
+    const tests = [];
+
+    for (const test of SITE_HEALTH_TESTS) {
+      try {
+        const result = await this.rest.get(`/wp-site-health/v1/tests/${test}`, {}, false);
+        tests.push({
+          test: result.test || test,
+          status: result.status,
+          label: result.label,
+          badge: result.badge?.label || null
+        });
+      } catch (error) {
+        // Older WordPress versions don't have every test
+        if (error instanceof NotFoundError) continue;
+        throw error;
+      }
+    }
+
+    const count = status => tests.filter(test => test.status === status).length;
+    return { tests, summary: { good: count('good'), recommended: count('recommended'), critical: count('critical') } };
+  }
+
+  describePermalinks(environment, rest) {
+    if (environment) {
+      return { structure: environment.permalinkStructure || '', pretty: Boolean(environment.permalinkStructure) };
+    }
+
+    // /wp-json/ only routes with pretty permalinks, so a reachable REST client implies them
+    if (rest?.reachable) {
+      return { structure: null, pretty: true };
+    }
+
+    return null;
+  }
+
+  describePlugins(cliPlugins, restPlugins) {
+    if (cliPlugins) {
+      const active = cliPlugins.filter(plugin => ['active', 'active-network'].includes(plugin.status));
+      return {
+        source: 'cli',
+        total: cliPlugins.length,
+        active: active.map(({ name, version, status }) => ({ name, version, status })),
+        updatesAvailable: cliPlugins.filter(plugin => plugin.update === 'available').length
+      };
+    }
+
+    if (restPlugins) {
+      const active = restPlugins.filter(plugin => ['active', 'network-active'].includes(plugin.status));
+      return {
+        source: 'rest',
+        total: restPlugins.length,
+        active: active.map(plugin => ({ name: plugin.plugin, version: plugin.version, status: plugin.status })),
+        // Not exposed over REST
+        updatesAvailable: null
+      };
+    }
+
+    return null;
+  }
+
+  describeThemes(cliThemes, restThemes) {
+    if (cliThemes) {
+      return {
+        source: 'cli',
+        total: cliThemes.length,
+        active: cliThemes.filter(theme => ['active', 'parent'].includes(theme.status)).map(({ name, version, status }) => ({ name, version, status })),
+        updatesAvailable: cliThemes.filter(theme => theme.update === 'available').length
+      };
+    }
+
+    if (restThemes) {
+      return {
+        source: 'rest',
+        total: null,
+        active: restThemes.map(theme => ({ name: theme.stylesheet, version: theme.version, status: theme.status })),
+        updatesAvailable: null
+      };
+    }
+
+    return null;
+  }
+
+  describeCron(constants, events) {
+    const now = Date.now();
+    const overdue = events.filter(event => now - Date.parse(`${event.next_run_gmt.replace(' ', 'T')}Z`) > CRON_OVERDUE_MINUTES * 60000);
+    const upcoming = events.map(event => event.next_run_gmt).sort();
+
+    return {
+      ...constants,
+      events: events.length,
+      overdue: overdue.length,
+      overdueHooks: [...new Set(overdue.map(event => event.hook))].slice(0, 10),
+      nextRun: upcoming[0] ? `${upcoming[0].replace(' ', 'T')}Z` : null
+    };
+  }
+
+  /**
+   * Turn report sections into { severity, section, message } findings
+   */
+  findIssues(report) {
+    const issues = [];
+    const add = (severity, section, message) => issues.push({ severity, section, message });
+
+    if (report.sources.rest.configured && !report.sources.rest.reachable) {
+      add('critical', 'rest', 'The REST API is not reachable.');
+    } else if (this.rest?.auth.authenticated && report.rest && !report.rest.authenticated) {
+      add('critical', 'auth', 'The configured credentials were not accepted.');
+    }
+
+    if (report.permalinks && !report.permalinks.pretty) {
+      add('recommended', 'permalinks', 'Plain permalinks are in use; /wp-json/ URLs will not resolve.');
+    }
+
+    if (report.debug?.WP_DEBUG && report.debug.WP_DEBUG_DISPLAY && report.environment?.type === 'production') {
+      add('critical', 'debug', 'WP_DEBUG_DISPLAY is on in production; errors are shown to visitors.');
+    } else if (report.debug?.WP_DEBUG && report.environment?.type === 'production') {
+      add('recommended', 'debug', 'WP_DEBUG is on in production.');
+    }
+
+    if (report.cron?.overdue > 0) {
+      add(
+        report.cron.disabled ? 'recommended' : 'critical',
+        'cron',
+        report.cron.disabled
+          ? `${report.cron.overdue} cron events are overdue; DISABLE_WP_CRON is set, so check the system cron job.`
+          : `${report.cron.overdue} cron events are overdue; WP-Cron does not seem to run.`
+      );
+    }
+
+    for (const [section, label] of [['plugins', 'plugin'], ['themes', 'theme']]) {
+      if (report[section]?.updatesAvailable > 0) {
+        add('recommended', section, `${report[section].updatesAvailable} ${label} update(s) available.`);
+      }
+    }
+
+    for (const test of report.siteHealth?.tests || []) {
+      if (test.status !== 'good') {
+        add(test.status, 'siteHealth', test.label);
+      }
+    }
+
+    return issues;
+  }
+
+  describeFailure(section, source, error) {
+    let message = error.message;
+
+    if (error instanceof AuthenticationError) {
+      message = 'Authentication failed; the configured credentials were rejected.';
+    } else if (error instanceof PermissionError) {
+      message = 'The authenticated user lacks the capability to read this.';
+    }
+
+    logger.debug(`Diagnostics: ${section} via ${source} unavailable: ${error.message}`);
+    return { section, source, message };
+  }
+}
+
+export default SiteDiagnostics;
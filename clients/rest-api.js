@@ -1,6 +1,77 @@
 import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Transform } from 'stream';
 import logger from '../utils/logger.js';
 import cache from '../utils/cache.js';
+import { getToolContext } from '../utils/context.js';
+import { createAuthStrategy } from './auth.js';
+import { expandHome } from './transports.js';
+import { getRateLimiter } from '../utils/rate-limiter.js';
+import { getMimeType, getExtension, sniffMimeType } from '../utils/mime.js';
+import { parseBlocks, serializeBlocks } from '../utils/blocks.js';
+import { markdownToContent, contentToMarkdown } from '../utils/markdown.js';
+import { diffContent } from '../utils/content-diff.js';
+import { assertPublicUrl, publicRequestOptions } from '../utils/url-guard.js';
+import {
+  createApiError,
+  parseRetryAfter,
+  NotFoundError,
+  ValidationError,
+  NetworkError
+} from '../utils/errors.js';
+
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNREFUSED'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const BATCH_MAX_SIZE = 25;
+const MEDIA_FIELDS = ['title', 'alt_text', 'caption', 'description', 'post', 'status', 'author', 'comment_status'];
+const MAX_MEDIA_REDIRECTS = 5;
+const MAX_MEDIA_SIZE = 100 * 1024 * 1024;
+
+// Resolves after ms, or rejects with the abort reason as soon as signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Routes without an ID that are a single resource, not a collection
+const SINGLETON_ROUTES = ['settings'];
+
+/**
+ * Whether an endpoint is a collection (POST creates), e.g. /wp/v2/posts or /wp/v2/posts/42/autosaves,
+ * rather than one resource (POST updates), e.g. /wp/v2/posts/42 or /wp/v2/plugins/akismet/akismet
+ */
+function isCollectionRoute(endpoint) {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+  const last = segments.at(-1);
+
+  if (!last || /^\d+$/.test(last) || SINGLETON_ROUTES.includes(last)) return false;
+  return segments.length === 3 || /^\d+$/.test(segments.at(-2));
+}
+
+/**
+ * Route prefix a write invalidates: namespace and resource base, e.g. /wp/v2/posts for /wp/v2/posts/42
+ * Cached GETs and resource endpoints for the same resource all contain it
+ */
+function routePrefix(endpoint) {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+  return `/${segments.slice(0, 3).join('/')}`;
+}
 
 /**
  * WordPress REST API Client
@@ -8,35 +79,71 @@ import cache from '../utils/cache.js';
  */
 export class WordPressRestClient {
   constructor(config) {
-    this.baseUrl = config.url?.replace(/\/$/, '') || process.env.WORDPRESS_URL?.replace(/\/$/, '');
-    this.username = config.username || process.env.WORDPRESS_USERNAME;
-    this.appPassword = config.appPassword || process.env.WORDPRESS_APP_PASSWORD;
+    // env: false uses only the given config, never WORDPRESS_* connection settings (see SiteRegistry)
+    const env = config.env === false ? {} : process.env;
+
+    this.baseUrl = config.url?.replace(/\/$/, '') || env.WORDPRESS_URL?.replace(/\/$/, '');
+    this.username = config.username || env.WORDPRESS_USERNAME;
+    this.appPassword = config.appPassword || env.WORDPRESS_APP_PASSWORD;
 
     if (!this.baseUrl) {
       throw new Error('WordPress URL is required');
     }
 
-    if (!this.username || !this.appPassword) {
-      throw new Error('WordPress username and application password are required');
-    }
+    // Kept so forSite() can derive clients for multisite sub-sites
+    this.config = config;
+
+    // Preview writes instead of applying them (also forced per tool call by createMcpServer)
+    this.dryRun = config.dryRun ?? process.env.WP_DRY_RUN === 'true';
+
+    // Local directories uploadMediaFromPath may read from; none means local uploads are refused
+    this.allowedDirs = config.allowedDirs
+      || (process.env.WORDPRESS_MEDIA_DIRS ? process.env.WORDPRESS_MEDIA_DIRS.split(',').map(dir => dir.trim()).filter(Boolean) : []);
+
+    // Largest file uploadMediaFromUrl will download, in bytes
+    this.maxMediaSize = config.maxMediaSize ?? (parseInt(process.env.WORDPRESS_MAX_MEDIA_SIZE || '', 10) || MAX_MEDIA_SIZE);
+
+    // Keeps cached responses of different sites apart
+    this.cache = cache.namespace(config.cacheNamespace || this.baseUrl);
+
+    // Application passwords by default; see clients/auth.js for other strategies
+    this.auth = createAuthStrategy({ ...config, url: this.baseUrl });
+
+    // Retry policy for throttled or transient failures
+    this.retry = {
+      retries: parseInt(process.env.WORDPRESS_MAX_RETRIES || '3', 10),
+      baseDelay: 500,
+      maxDelay: 30000,
+      maxRetryAfter: 60000,
+      statuses: RETRYABLE_STATUSES,
+      errorCodes: RETRYABLE_ERROR_CODES,
+      methods: IDEMPOTENT_METHODS,
+      ...config.retry
+    };
+
+    // Shared per host so several clients (and multisite sub-sites) in one process can't overload it
+    this.limiter = getRateLimiter(new URL(this.baseUrl).host, {
+      maxConcurrent: parseInt(config.maxConcurrent || process.env.WORDPRESS_MAX_CONCURRENT || '6', 10),
+      requestsPerSecond: parseFloat(config.requestsPerSecond || process.env.WORDPRESS_RATE_LIMIT || '0')
+    });
 
-    // Create axios instance with authentication
+    // Create axios instance; credentials are added per request by the auth strategy
     this.client = axios.create({
       baseURL: `${this.baseUrl}/wp-json`,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
-      auth: {
-        username: this.username,
-        password: this.appPassword.replace(/\s/g, '')
-      },
       timeout: 30000
     });
 
-    // Add request interceptor for logging
+    // Add request interceptor for logging and rate limiting
     this.client.interceptors.request.use(
-      (config) => {
+      async (config) => {
+        // Inside a tool call, cancellation and the timeout middleware abort the request
+        config.signal ??= getToolContext()?.signal;
+        await this.auth.apply(config);
+        config.releaseSlot = await this.limiter.acquire(config.signal);
         logger.debug(`API Request: ${config.method?.toUpperCase()} ${config.url}`);
         return config;
       },
@@ -49,10 +156,13 @@ export class WordPressRestClient {
     // Add response interceptor for error handling
     this.client.interceptors.response.use(
       (response) => {
+        response.config.releaseSlot?.();
         logger.debug(`API Response: ${response.status} ${response.config.url}`);
         return response;
       },
       (error) => {
+        error.config?.releaseSlot?.();
+
         if (error.response) {
           logger.error(`API Error: ${error.response.status} ${error.response.data?.message || error.message}`);
         } else {
@@ -62,7 +172,87 @@ export class WordPressRestClient {
       }
     );
 
-    logger.info(`WordPress REST API client initialized: ${this.baseUrl}`);
+    // Add response interceptor to refresh credentials once after a 401
+    this.client.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (error.response?.status !== 401 || !config || config.authRetried) {
+          return Promise.reject(error);
+        }
+
+        // A streamed body (file upload) was consumed by the first attempt and can't be sent again
+        if (typeof config.data?.pipe === 'function') {
+          logger.warn(`Not retrying ${config.method?.toUpperCase()} ${config.url} after 401: the request body was a stream`);
+          return Promise.reject(error);
+        }
+
+        if (!(await this.auth.refresh())) {
+          return Promise.reject(error);
+        }
+
+        config.authRetried = true;
+        logger.info(`Refreshed ${this.auth.type} credentials, retrying ${config.method?.toUpperCase()} ${config.url}`);
+        return this.client.request(config);
+      }
+    );
+
+    // Add response interceptor for retries with backoff
+    this.client.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const config = error.config;
+        if (!config || !this.shouldRetry(error)) {
+          return Promise.reject(error);
+        }
+
+        const delay = this.getRetryDelay(error, config.retryCount || 0);
+        if (delay === null) {
+          return Promise.reject(error);
+        }
+
+        config.retryCount = (config.retryCount || 0) + 1;
+        logger.warn(`Retrying ${config.method?.toUpperCase()} ${config.url} in ${delay}ms (attempt ${config.retryCount}/${this.retry.retries})`);
+
+        await sleep(delay, config.signal);
+        return this.client.request(config);
+      }
+    );
+
+    logger.info(`WordPress REST API client initialized: ${this.baseUrl} (auth: ${this.auth.type})`);
+  }
+
+  /**
+   * Decide whether a failed request may be retried
+   */
+  shouldRetry(error) {
+    const config = error.config;
+    const method = (config.method || 'get').toLowerCase();
+
+    if ((config.retryCount || 0) >= this.retry.retries) return false;
+    if (!this.retry.methods.includes(method) && !config.retryNonIdempotent) return false;
+
+    if (error.response) {
+      return this.retry.statuses.includes(error.response.status);
+    }
+
+    return this.retry.errorCodes.includes(error.code);
+  }
+
+  /**
+   * Exponential backoff with full jitter, honoring Retry-After
+   * Returns null when the server asks us to wait longer than maxRetryAfter
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+
+    if (retryAfter !== null) {
+      const wait = retryAfter * 1000;
+      return wait > this.retry.maxRetryAfter ? null : wait;
+    }
+
+    const ceiling = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
   }
 
   /**
@@ -72,7 +262,7 @@ export class WordPressRestClient {
     const cacheKey = `GET:${endpoint}:${JSON.stringify(params)}`;
 
     if (useCache) {
-      const cached = cache.get(cacheKey);
+      const cached = this.cache.get(cacheKey);
       if (cached) return cached;
     }
 
@@ -81,7 +271,7 @@ export class WordPressRestClient {
       const data = response.data;
 
       if (useCache) {
-        cache.set(cacheKey, data);
+        this.cache.set(cacheKey, data);
       }
 
       return data;
@@ -93,10 +283,14 @@ export class WordPressRestClient {
   /**
    * Generic POST request
    */
-  async post(endpoint, data = {}) {
+  async post(endpoint, data = {}, options = {}) {
+    if (this.isDryRun(options)) {
+      return this.preview('post', endpoint, data);
+    }
+
     try {
       const response = await this.client.post(endpoint, data);
-      cache.invalidatePattern(endpoint.split('/')[0]);
+      this.cache.invalidatePattern(routePrefix(endpoint));
       return response.data;
     } catch (error) {
       throw this.handleError(error);
@@ -106,10 +300,14 @@ export class WordPressRestClient {
   /**
    * Generic PUT/PATCH request
    */
-  async put(endpoint, data = {}) {
+  async put(endpoint, data = {}, options = {}) {
+    if (this.isDryRun(options)) {
+      return this.preview('put', endpoint, data);
+    }
+
     try {
       const response = await this.client.put(endpoint, data);
-      cache.invalidatePattern(endpoint.split('/')[0]);
+      this.cache.invalidatePattern(routePrefix(endpoint));
       return response.data;
     } catch (error) {
       throw this.handleError(error);
@@ -119,60 +317,460 @@ export class WordPressRestClient {
   /**
    * Generic DELETE request
    */
-  async delete(endpoint, params = {}) {
+  async delete(endpoint, params = {}, options = {}) {
+    if (this.isDryRun(options)) {
+      return this.preview('delete', endpoint, {}, params);
+    }
+
     try {
       const response = await this.client.delete(endpoint, { params });
-      cache.invalidatePattern(endpoint.split('/')[0]);
+      this.cache.invalidatePattern(routePrefix(endpoint));
       return response.data;
     } catch (error) {
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Whether a write should only be previewed: per call, then per tool call, then per client
+   */
+  isDryRun(options = {}) {
+    return options.dryRun ?? getToolContext()?.dryRun ?? this.dryRun;
+  }
+
+  /**
+   * Describe what a write would do without applying it
+   * Resolves the target resource and reports the fields that would change;
+   * a POST to a collection is a create, so nothing is fetched for it
+   */
+  async preview(method, endpoint, data = {}, params = {}) {
+    const plan = { dryRun: true, method: method.toUpperCase(), endpoint };
+    let current = null;
+
+    if (method === 'post' && isCollectionRoute(endpoint)) {
+      return { ...plan, action: 'create', data };
+    }
+
+    try {
+      current = await this.get(endpoint, { context: 'edit' }, false);
+    } catch (error) {
+      // Deleting or updating something missing would fail the same way for real
+      if (!(error instanceof NotFoundError) || method !== 'post') throw error;
+    }
+
+    if (method === 'delete') {
+      return {
+        ...plan,
+        action: params.force ? 'delete permanently' : 'move to trash',
+        target: this.summarizeResource(current),
+        params
+      };
+    }
+
+    if (!current || Array.isArray(current)) {
+      return { ...plan, action: 'create', data };
+    }
+
+    const changes = {};
+    for (const [key, value] of Object.entries(data)) {
+      const before = current[key]?.raw ?? current[key];
+      if (JSON.stringify(before) !== JSON.stringify(value)) {
+        changes[key] = { from: before ?? null, to: value };
+      }
+    }
+
+    return {
+      ...plan,
+      action: 'update',
+      target: this.summarizeResource(current),
+      changes,
+      unchanged: Object.keys(data).filter(key => !(key in changes))
+    };
+  }
+
+  summarizeResource(resource) {
+    if (!resource || typeof resource !== 'object') return resource ?? null;
+
+    const summary = {
+      id: resource.id,
+      type: resource.type,
+      slug: resource.slug,
+      status: resource.status,
+      title: resource.title?.raw ?? resource.title?.rendered ?? resource.name,
+      link: resource.link
+    };
+
+    return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * GET a single page of a collection, including pagination headers
+   */
+  async getCollectionPage(endpoint, params = {}, useCache = true) {
+    const cacheKey = `GET_PAGE:${endpoint}:${JSON.stringify(params)}`;
+
+    if (useCache) {
+      const cached = this.cache.get(cacheKey);
+      if (cached) return cached;
+    }
+
+    try {
+      const response = await this.client.get(endpoint, { params });
+      const total = parseInt(response.headers?.['x-wp-total'], 10);
+      const totalPages = parseInt(response.headers?.['x-wp-totalpages'], 10);
+
+      const result = {
+        items: Array.isArray(response.data) ? response.data : [],
+        page: params.page || 1,
+        perPage: params.per_page,
+        total: Number.isNaN(total) ? null : total,
+        totalPages: Number.isNaN(totalPages) ? null : totalPages
+      };
+
+      if (useCache) {
+        this.cache.set(cacheKey, result);
+      }
+
+      return result;
+    } catch (error) {
+      throw this.handleError(error);
+    }
+  }
+
+  /**
+   * Iterate over every item of a collection, fetching pages on demand
+   *
+   * Options:
+   * - perPage: items requested per page (WordPress caps this at 100)
+   * - maxItems: stop after yielding this many items
+   * - startPage: first page to fetch
+   * - useCache: read and write pages through the response cache
+   */
+  async *paginate(endpoint, params = {}, options = {}) {
+    const perPage = options.perPage || params.per_page || 100;
+    const maxItems = options.maxItems ?? Infinity;
+    const useCache = options.useCache ?? true;
+    let page = options.startPage || params.page || 1;
+    let yielded = 0;
+
+    while (yielded < maxItems) {
+      const result = await this.getCollectionPage(
+        endpoint,
+        { ...params, page, per_page: perPage },
+        useCache
+      );
+
+      for (const item of result.items) {
+        if (yielded >= maxItems) return;
+        yield item;
+        yielded++;
+      }
+
+      // Endpoints without pagination headers only ever have one page
+      if (!result.totalPages || page >= result.totalPages || result.items.length === 0) {
+        return;
+      }
+
+      page++;
+    }
+  }
+
+  /**
+   * Fetch every item of a collection along with pagination metadata
+   */
+  async getAll(endpoint, params = {}, options = {}) {
+    const perPage = options.perPage || params.per_page || 100;
+    const maxItems = options.maxItems ?? Infinity;
+    const useCache = options.useCache ?? true;
+    const startPage = options.startPage || params.page || 1;
+
+    const items = [];
+    let total = null;
+    let totalPages = null;
+    let pagesFetched = 0;
+    let truncated = false;
+    let page = startPage;
+
+    while (true) {
+      const result = await this.getCollectionPage(
+        endpoint,
+        { ...params, page, per_page: perPage },
+        useCache
+      );
+
+      pagesFetched++;
+      total = result.total;
+      totalPages = result.totalPages;
+
+      const remaining = maxItems - items.length;
+      items.push(...result.items.slice(0, remaining));
+
+      const lastPage = !totalPages || page >= totalPages || result.items.length === 0;
+
+      if (result.items.length > remaining || (items.length >= maxItems && !lastPage)) {
+        truncated = true;
+        break;
+      }
+
+      if (lastPage) break;
+
+      page++;
+    }
+
+    return { items, total, totalPages, pagesFetched, perPage, truncated };
+  }
+
+  /**
+   * Run write operations through /batch/v1 (WordPress 5.6+)
+   *
+   * Each request is { method, path, body, params }. Requests are sent in chunks
+   * of up to 25; sites without batch support fall back to sequential calls.
+   *
+   * Options:
+   * - validation: 'require-all' applies a chunk only if every request in it
+   *   validates, and stops at the first failing chunk; 'normal' applies what it can
+   * - chunkSize: sub-requests per /batch/v1 call (max 25)
+   * - dryRun: preview each request instead of sending the batch
+   */
+  async batch(requests, options = {}) {
+    if (this.isDryRun(options)) {
+      return this.previewBatch(requests);
+    }
+
+    const validation = options.validation || 'normal';
+    const chunkSize = Math.min(options.chunkSize || BATCH_MAX_SIZE, BATCH_MAX_SIZE);
+    const results = new Array(requests.length).fill(null);
+    let mode = this.batchSupported === false ? 'sequential' : 'batch';
+
+    for (let start = 0; start < requests.length; start += chunkSize) {
+      const chunk = requests.slice(start, start + chunkSize);
+      let chunkResults = null;
+
+      if (mode === 'batch') {
+        chunkResults = await this.sendBatchChunk(chunk, validation);
+        if (chunkResults === null) {
+          mode = 'sequential';
+        }
+      }
+
+      if (chunkResults === null) {
+        chunkResults = await this.sendSequential(chunk, validation);
+      }
+
+      chunkResults.forEach((result, offset) => {
+        results[start + offset] = { index: start + offset, ...result };
+      });
+
+      if (validation === 'require-all' && chunkResults.some(result => !result.success)) {
+        break;
+      }
+    }
+
+    // Requests after a failed require-all chunk never ran
+    results.forEach((result, index) => {
+      if (result === null) {
+        results[index] = { index, success: false, skipped: true, status: null, data: null, error: null };
+      }
+    });
+
+    const patterns = new Set(requests.map(request => routePrefix(request.path)));
+    patterns.forEach(pattern => this.cache.invalidatePattern(pattern));
+
+    return {
+      mode,
+      results,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success && !result.skipped).length,
+      skipped: results.filter(result => result.skipped).length
+    };
+  }
+
+  /**
+   * Preview every request of a batch without applying any of them
+   */
+  async previewBatch(requests) {
+    const results = [];
+
+    for (const [index, request] of requests.entries()) {
+      const method = (request.method || 'POST').toLowerCase();
+
+      try {
+        const plan = await this.preview(method === 'patch' ? 'put' : method, request.path, request.body, request.params);
+        results.push({ index, success: true, status: null, data: plan, error: null });
+      } catch (error) {
+        results.push({ index, success: false, status: error.status ?? null, data: null, error: this.handleError(error) });
+      }
+    }
+
+    return {
+      mode: 'dry-run',
+      results,
+      succeeded: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Send one chunk to /batch/v1; returns null when the site doesn't support batching
+   */
+  async sendBatchChunk(chunk, validation) {
+    let response;
+
+    try {
+      response = await this.client.post('/batch/v1', {
+        validation,
+        requests: chunk.map(request => ({
+          method: (request.method || 'POST').toUpperCase(),
+          path: this.buildBatchPath(request.path, request.params),
+          body: request.body,
+          headers: request.headers
+        }))
+      });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        logger.info('Batch endpoint not available, falling back to sequential requests');
+        this.batchSupported = false;
+        return null;
+      }
+      throw this.handleError(error);
+    }
+
+    this.batchSupported = true;
+    const responses = response.data?.responses || [];
+    const results = [];
+
+    for (let i = 0; i < chunk.length; i++) {
+      const item = responses[i];
+
+      // Routes that don't opt into batching are retried individually
+      if (item?.body?.code === 'rest_batch_not_allowed') {
+        const [result] = await this.sendSequential([chunk[i]], 'normal');
+        results.push(result);
+        continue;
+      }
+
+      results.push(this.mapBatchResponse(item, response.data?.failed));
+    }
+
+    return results;
+  }
+
+  /**
+   * Send requests one at a time, without per-request cache invalidation
+   */
+  async sendSequential(requests, validation) {
+    const results = [];
+
+    for (const request of requests) {
+      if (validation === 'require-all' && results.some(result => !result.success)) {
+        results.push({ success: false, skipped: true, status: null, data: null, error: null });
+        continue;
+      }
+
+      try {
+        const response = await this.client.request({
+          method: (request.method || 'POST').toLowerCase(),
+          url: request.path,
+          data: request.body,
+          params: request.params,
+          headers: request.headers
+        });
+        results.push({ success: true, status: response.status, data: response.data, error: null });
+      } catch (error) {
+        const apiError = this.handleError(error);
+        results.push({ success: false, status: apiError.status, data: null, error: apiError });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Map a /batch/v1 response envelope onto a result entry
+   */
+  mapBatchResponse(item, failed) {
+    if (!item && failed === 'validation') {
+      // require-all validation failed elsewhere in the chunk, so this one never ran
+      return { success: false, skipped: true, status: null, data: null, error: null };
+    }
+
+    if (!item) {
+      return { success: false, status: null, data: null, error: this.handleError(new Error('Missing response in batch result')) };
+    }
+
+    if (item.status >= 200 && item.status < 300) {
+      return { success: true, status: item.status, data: item.body, error: null };
+    }
+
+    const error = this.handleError({
+      message: item.body?.message || `Batch request failed with status ${item.status}`,
+      response: { status: item.status, data: item.body, headers: item.headers || {} }
+    });
+
+    return { success: false, status: item.status, data: null, error };
+  }
+
+  buildBatchPath(path, params) {
+    if (!params || Object.keys(params).length === 0) {
+      return path;
+    }
+
+    const query = new URLSearchParams(
+      Object.entries(params).map(([key, value]) => [key, String(value)])
+    ).toString();
+
+    return `${path}${path.includes('?') ? '&' : '?'}${query}`;
+  }
+
   /**
    * Posts
    */
-  async getPosts(params = {}) {
-    return this.get('/wp/v2/posts', params);
+  async getPosts(params = {}, options = {}) {
+    const posts = await this.get('/wp/v2/posts', this.contentParams(params, options));
+    return options.markdown ? posts.map(item => this.withMarkdown(item, options)) : posts;
   }
 
-  async getPost(id) {
-    return this.get(`/wp/v2/posts/${id}`);
+  async getPost(id, params = {}, options = {}) {
+    const post = await this.get(`/wp/v2/posts/${id}`, this.contentParams(params, options));
+    return options.markdown ? this.withMarkdown(post, options) : post;
   }
 
-  async createPost(data) {
-    return this.post('/wp/v2/posts', data);
+  async createPost(data, options = {}) {
+    return this.post('/wp/v2/posts', await this.prepareContent(data, options), options);
   }
 
-  async updatePost(id, data) {
-    return this.put(`/wp/v2/posts/${id}`, data);
+  async updatePost(id, data, options = {}) {
+    return this.put(`/wp/v2/posts/${id}`, await this.prepareContent(data, options), options);
   }
 
-  async deletePost(id, force = false) {
-    return this.delete(`/wp/v2/posts/${id}`, { force });
+  async deletePost(id, force = false, options = {}) {
+    return this.delete(`/wp/v2/posts/${id}`, { force }, options);
   }
 
   /**
    * Pages
    */
-  async getPages(params = {}) {
-    return this.get('/wp/v2/pages', params);
+  async getPages(params = {}, options = {}) {
+    const pages = await this.get('/wp/v2/pages', this.contentParams(params, options));
+    return options.markdown ? pages.map(item => this.withMarkdown(item, options)) : pages;
   }
 
-  async getPage(id) {
-    return this.get(`/wp/v2/pages/${id}`);
+  async getPage(id, params = {}, options = {}) {
+    const page = await this.get(`/wp/v2/pages/${id}`, this.contentParams(params, options));
+    return options.markdown ? this.withMarkdown(page, options) : page;
   }
 
-  async createPage(data) {
-    return this.post('/wp/v2/pages', data);
+  async createPage(data, options = {}) {
+    return this.post('/wp/v2/pages', await this.prepareContent(data, options), options);
   }
 
-  async updatePage(id, data) {
-    return this.put(`/wp/v2/pages/${id}`, data);
+  async updatePage(id, data, options = {}) {
+    return this.put(`/wp/v2/pages/${id}`, await this.prepareContent(data, options), options);
   }
 
-  async deletePage(id, force = false) {
-    return this.delete(`/wp/v2/pages/${id}`, { force });
+  async deletePage(id, force = false, options = {}) {
+    return this.delete(`/wp/v2/pages/${id}`, { force }, options);
   }
 
   /**
@@ -186,27 +784,363 @@ export class WordPressRestClient {
     return this.get(`/wp/v2/media/${id}`);
   }
 
-  async uploadMedia(fileData, filename, mimeType) {
+  /**
+   * Upload raw file content (Buffer or stream)
+   * Metadata options (title, alt_text, caption, description, post) are applied in the same request
+   */
+  async uploadMedia(fileData, filename, mimeType, options = {}) {
+    const headers = {
+      'Content-Type': mimeType,
+      'Content-Disposition': `attachment; filename="${filename.replace(/["\r\n]/g, '')}"`
+    };
+
+    if (options.contentLength) {
+      headers['Content-Length'] = options.contentLength;
+    }
+
+    const params = {};
+    for (const field of MEDIA_FIELDS) {
+      if (options[field] !== undefined) params[field] = options[field];
+    }
+
+    if (this.isDryRun(options)) {
+      // The body is never sent; close a file or download stream instead of leaving it open
+      fileData?.destroy?.();
+      return {
+        dryRun: true,
+        method: 'POST',
+        endpoint: '/wp/v2/media',
+        action: 'upload',
+        filename,
+        mimeType,
+        size: options.contentLength ?? (Buffer.isBuffer(fileData) ? fileData.length : null),
+        params
+      };
+    }
+
     try {
       const response = await this.client.post('/wp/v2/media', fileData, {
-        headers: {
-          'Content-Type': mimeType,
-          'Content-Disposition': `attachment; filename="${filename}"`
-        }
+        headers,
+        params,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity
       });
-      cache.invalidatePattern('media');
+      this.cache.invalidatePattern('/wp/v2/media');
       return response.data;
     } catch (error) {
       throw this.handleError(error);
     }
   }
 
+  /**
+   * Upload from a local file, streaming it from disk
+   * The file must be inside one of allowedDirs (WORDPRESS_MEDIA_DIRS), after resolving symlinks
+   */
+  async uploadMediaFromPath(inputPath, options = {}) {
+    const filePath = await this.resolveMediaPath(inputPath);
+    const stats = await fs.promises.stat(filePath);
+    let filename = options.filename || path.basename(inputPath);
+    let mimeType = options.mimeType || getMimeType(filename);
+
+    if (!mimeType) {
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+        mimeType = sniffMimeType(buffer.subarray(0, bytesRead));
+      } finally {
+        await handle.close();
+      }
+    }
+
+    this.assertMimeType(mimeType, filename);
+    filename = this.ensureExtension(filename, mimeType);
+
+    if (options.checksum) {
+      const checksum = await this.hashStream(fs.createReadStream(filePath));
+      const existing = await this.findMediaByChecksum(checksum);
+      if (existing) return existing;
+      filename = this.withChecksum(filename, checksum);
+    }
+
+    return this.uploadMedia(fs.createReadStream(filePath), filename, mimeType, {
+      ...options,
+      contentLength: stats.size
+    });
+  }
+
+  /**
+   * Resolve a local upload path to the real file, refusing anything outside allowedDirs
+   */
+  async resolveMediaPath(filePath) {
+    const notAllowed = (message) => new ValidationError(message, {
+      code: 'media_path_not_allowed',
+      hint: this.allowedDirs.length
+        ? `Only files in ${this.allowedDirs.join(', ')} can be uploaded. Upload the file as base64 or from a URL instead.`
+        : 'Uploads from local paths are disabled until WORDPRESS_MEDIA_DIRS is set. Upload the file as base64 or from a URL instead.'
+    });
+
+    if (this.allowedDirs.length === 0) {
+      throw notAllowed(`Uploading local files is not allowed: ${filePath}`);
+    }
+
+    // Missing files get the same error, so paths outside the allowed directories can't be probed
+    const realPath = await fs.promises.realpath(filePath).catch(() => null);
+    const realDirs = await Promise.all(this.allowedDirs.map(dir => fs.promises.realpath(expandHome(dir)).catch(() => null)));
+    const inside = realPath && realDirs.some((dir) => {
+      const relative = dir && path.relative(dir, realPath);
+      return dir && !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+    });
+
+    if (!inside) {
+      throw notAllowed(`File not found in the allowed upload directories: ${filePath}`);
+    }
+
+    return realPath;
+  }
+
+  /**
+   * Download a media URL, checking every redirect hop
+   * Only public http(s) addresses are fetched (see utils/url-guard.js)
+   */
+  async downloadMedia(url, options = {}) {
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      await assertPublicUrl(current);
+
+      let response;
+      try {
+        response = await axios.get(current, {
+          ...publicRequestOptions,
+          responseType: options.checksum ? 'arraybuffer' : 'stream',
+          timeout: options.timeout || 60000,
+          maxContentLength: this.maxMediaSize,
+          maxRedirects: 0,
+          validateStatus: status => status >= 200 && status < 400
+        });
+      } catch (error) {
+        if (/maxContentLength/.test(error.message)) {
+          throw this.mediaTooLarge(current);
+        }
+        throw new NetworkError(`Failed to download ${current}: ${error.message}`, {
+          status: error.response?.status ?? null,
+          code: 'media_download_failed',
+          hint: 'The file URL could not be fetched. Check that it is publicly reachable, or upload the file as base64 instead.',
+          cause: error
+        });
+      }
+
+      if (response.status < 300) {
+        if (parseInt(response.headers['content-length'], 10) > this.maxMediaSize) {
+          response.data?.destroy?.();
+          throw this.mediaTooLarge(current);
+        }
+        // axios only enforces maxContentLength on buffered responses
+        if (!Buffer.isBuffer(response.data)) {
+          response.data = this.limitStream(response.data, current);
+        }
+        return { response, url: current };
+      }
+
+      response.data?.destroy?.();
+
+      if (!response.headers.location || redirects >= MAX_MEDIA_REDIRECTS) {
+        throw new NetworkError(`Failed to download ${url}: ${response.headers.location ? 'too many redirects' : `HTTP ${response.status} without a Location`}`, {
+          status: response.status,
+          code: 'media_download_failed',
+          hint: 'The file URL could not be fetched. Use the final URL of the file, or upload it as base64 instead.'
+        });
+      }
+
+      current = new URL(response.headers.location, current).href;
+    }
+  }
+
+  mediaTooLarge(url) {
+    return new ValidationError(`File at ${url} is larger than the ${this.maxMediaSize} byte limit`, {
+      code: 'media_too_large',
+      hint: 'Raise maxMediaSize (WORDPRESS_MAX_MEDIA_SIZE) or upload a smaller file.'
+    });
+  }
+
+  /**
+   * Pass a download through, failing it once it grows past maxMediaSize
+   * The error is kept on the stream so uploads can report it instead of the aborted request
+   */
+  limitStream(source, url) {
+    let size = 0;
+    const limited = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        if (size > this.maxMediaSize) {
+          limited.limitError = this.mediaTooLarge(url);
+          source.destroy();
+          return callback(limited.limitError);
+        }
+        callback(null, chunk);
+      }
+    });
+    source.on('error', error => limited.destroy(error));
+    return source.pipe(limited);
+  }
+
+  /**
+   * Upload from a remote URL, streaming the download straight to WordPress
+   * The URL and every redirect must point to a public http(s) address
+   */
+  async uploadMediaFromUrl(inputUrl, options = {}) {
+    const { response, url } = await this.downloadMedia(inputUrl, options);
+
+    const contentType = response.headers['content-type']?.split(';')[0].trim();
+    let filename = options.filename
+      || this.filenameFromDisposition(response.headers['content-disposition'])
+      || decodeURIComponent(path.basename(new URL(url).pathname));
+    let mimeType = options.mimeType
+      || (contentType && contentType !== 'application/octet-stream' ? contentType : null)
+      || getMimeType(filename);
+    let body = response.data;
+
+    if (!mimeType || options.checksum) {
+      body = Buffer.isBuffer(body) ? body : await this.streamToBuffer(body, this.maxMediaSize);
+      mimeType = mimeType || sniffMimeType(body);
+    }
+
+    this.assertMimeType(mimeType, filename);
+    filename = this.ensureExtension(filename, mimeType);
+
+    if (options.checksum) {
+      const checksum = crypto.createHash('sha256').update(body).digest('hex');
+      const existing = await this.findMediaByChecksum(checksum);
+      if (existing) return existing;
+      filename = this.withChecksum(filename, checksum);
+    }
+
+    const contentLength = Buffer.isBuffer(body) ? body.length : response.headers['content-length'];
+
+    try {
+      return await this.uploadMedia(body, filename, mimeType, { ...options, contentLength });
+    } catch (error) {
+      throw body.limitError || error;
+    }
+  }
+
+  /**
+   * Upload from a base64 string or data URL (how MCP clients usually send images)
+   */
+  async uploadMediaFromBase64(data, options = {}) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?,(.*)$/s.exec(data);
+    const buffer = Buffer.from(match ? match[2] : data, 'base64');
+
+    if (buffer.length === 0) {
+      throw new ValidationError('Base64 media content is empty or invalid', {
+        code: 'invalid_media_data',
+        hint: 'Pass the file content as a base64 string or a data: URL.'
+      });
+    }
+
+    const mimeType = options.mimeType
+      || match?.[1]
+      || sniffMimeType(buffer)
+      || getMimeType(options.filename);
+
+    this.assertMimeType(mimeType, options.filename);
+
+    let filename = this.ensureExtension(options.filename || `upload-${Date.now()}`, mimeType);
+
+    if (options.checksum) {
+      const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+      const existing = await this.findMediaByChecksum(checksum);
+      if (existing) return existing;
+      filename = this.withChecksum(filename, checksum);
+    }
+
+    return this.uploadMedia(buffer, filename, mimeType, { ...options, contentLength: buffer.length });
+  }
+
+  /**
+   * Upload from { path }, { url } or { base64 }
+   */
+  async uploadMediaFrom(source, options = {}) {
+    if (source.path) return this.uploadMediaFromPath(source.path, options);
+    if (source.url) return this.uploadMediaFromUrl(source.url, options);
+    if (source.base64) return this.uploadMediaFromBase64(source.base64, options);
+
+    throw new ValidationError('Media source must include path, url or base64', {
+      code: 'invalid_media_source',
+      hint: 'Provide exactly one of path, url or base64.'
+    });
+  }
+
+  /**
+   * Find media previously uploaded with the same checksum suffix in its filename
+   */
+  async findMediaByChecksum(checksum) {
+    const marker = checksum.slice(0, 16);
+    const results = await this.get('/wp/v2/media', { search: marker, per_page: 10 }, false);
+    const existing = (results || []).find(item => item.source_url?.includes(marker));
+
+    if (existing) {
+      logger.info(`Skipping upload, identical media already exists: ${existing.id}`);
+    }
+
+    return existing || null;
+  }
+
+  withChecksum(filename, checksum) {
+    const ext = path.extname(filename);
+    return `${path.basename(filename, ext)}-${checksum.slice(0, 16)}${ext}`;
+  }
+
+  ensureExtension(filename, mimeType) {
+    if (filename && path.extname(filename)) return filename;
+    return `${filename || 'upload'}.${getExtension(mimeType) || 'bin'}`;
+  }
+
+  assertMimeType(mimeType, filename) {
+    if (!mimeType) {
+      throw new ValidationError(`Could not determine MIME type for ${filename || 'upload'}`, {
+        code: 'unknown_mime_type',
+        hint: 'Pass mimeType explicitly or use a filename with a known extension.'
+      });
+    }
+  }
+
+  filenameFromDisposition(disposition) {
+    const match = /filename\*?=(?:UTF-8'')?"?([^";]+)"?/i.exec(disposition || '');
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  async hashStream(stream) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  async streamToBuffer(stream, maxSize = Infinity) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > maxSize) {
+        stream.destroy();
+        throw new ValidationError(`Stream is larger than the ${maxSize} byte limit`, {
+          code: 'media_too_large',
+          hint: 'Raise maxMediaSize (WORDPRESS_MAX_MEDIA_SIZE) or upload a smaller file.'
+        });
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
   async updateMedia(id, data) {
     return this.put(`/wp/v2/media/${id}`, data);
   }
 
-  async deleteMedia(id, force = false) {
-    return this.delete(`/wp/v2/media/${id}`, { force });
+  async deleteMedia(id, force = false, options = {}) {
+    return this.delete(`/wp/v2/media/${id}`, { force }, options);
   }
 
   /**
@@ -224,8 +1158,8 @@ export class WordPressRestClient {
     return this.put(`/wp/v2/categories/${id}`, data);
   }
 
-  async deleteCategory(id, force = false) {
-    return this.delete(`/wp/v2/categories/${id}`, { force });
+  async deleteCategory(id, force = false, options = {}) {
+    return this.delete(`/wp/v2/categories/${id}`, { force }, options);
   }
 
   /**
@@ -243,8 +1177,8 @@ export class WordPressRestClient {
     return this.put(`/wp/v2/tags/${id}`, data);
   }
 
-  async deleteTag(id, force = false) {
-    return this.delete(`/wp/v2/tags/${id}`, { force });
+  async deleteTag(id, force = false, options = {}) {
+    return this.delete(`/wp/v2/tags/${id}`, { force }, options);
   }
 
   /**
@@ -289,6 +1223,56 @@ export class WordPressRestClient {
     return this.put(`/wp/v2/plugins/${plugin}`, { status: 'inactive' });
   }
 
+  async networkActivatePlugin(plugin) {
+    return this.put(`/wp/v2/plugins/${plugin}`, { status: 'network-active' });
+  }
+
+  /**
+   * Multisite
+   * /wp/v2/sites is not in core; it is available when a network plugin registers it
+   */
+  async getSites(params = {}) {
+    try {
+      return await this.get('/wp/v2/sites', params);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        error.hint = 'This site does not expose /wp/v2/sites. Use WPCLIClient.listSites() or pass the sub-site URL directly.';
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a client for a multisite sub-site, by URL, path (e.g. /blog2) or blog ID
+   */
+  async forSite(site) {
+    let url = String(site);
+
+    if (/^\d+$/.test(url)) {
+      const sites = await this.getSites({ per_page: 100 });
+      const match = (sites || []).find(item => String(item.id ?? item.blog_id) === url);
+
+      if (!match) {
+        throw new NotFoundError(`Unknown site ID: ${url}`, {
+          code: 'unknown_site',
+          hint: 'List the network sites first to find a valid blog ID.'
+        });
+      }
+
+      url = match.url || match.siteurl || `${new URL(this.baseUrl).protocol}//${match.domain}${match.path || '/'}`;
+    } else if (url.startsWith('/')) {
+      url = `${new URL(this.baseUrl).origin}${url}`;
+    }
+
+    url = url.replace(/\/$/, '');
+
+    return new WordPressRestClient({
+      ...this.config,
+      url,
+      cacheNamespace: `${this.cache.name}>${url}`
+    });
+  }
+
   /**
    * Settings
    */
@@ -319,8 +1303,8 @@ export class WordPressRestClient {
     return this.put(`/wp/v2/menus/${id}`, data);
   }
 
-  async deleteMenu(id) {
-    return this.delete(`/wp/v2/menus/${id}`);
+  async deleteMenu(id, options = {}) {
+    return this.delete(`/wp/v2/menus/${id}`, {}, options);
   }
 
   /**
@@ -338,8 +1322,8 @@ export class WordPressRestClient {
     return this.put(`/wp/v2/menu-items/${id}`, data);
   }
 
-  async deleteMenuItem(id) {
-    return this.delete(`/wp/v2/menu-items/${id}`);
+  async deleteMenuItem(id, options = {}) {
+    return this.delete(`/wp/v2/menu-items/${id}`, {}, options);
   }
 
   /**
@@ -368,20 +1352,322 @@ export class WordPressRestClient {
   }
 
   /**
-   * Error handler
+   * Post type and taxonomy discovery
    */
-  handleError(error) {
-    if (error.response) {
-      const { status, data } = error.response;
-      const message = data?.message || data?.error || error.message;
-      return new Error(`WordPress API Error (${status}): ${message}`);
+  async getPostTypes(params = {}) {
+    return this.get('/wp/v2/types', params);
+  }
+
+  async getTaxonomies(params = {}) {
+    return this.get('/wp/v2/taxonomies', params);
+  }
+
+  /**
+   * Resolve a post type or taxonomy (by slug or rest_base) to its REST route
+   */
+  async resolveRoute(kind, name) {
+    const objects = kind === 'taxonomy' ? await this.getTaxonomies() : await this.getPostTypes();
+    const match = Object.values(objects || {}).find(
+      object => object.slug === name || object.rest_base === name
+    );
+
+    if (!match || !match.rest_base) {
+      const available = Object.values(objects || {})
+        .filter(object => object.rest_base)
+        .map(object => object.slug);
+
+      throw new NotFoundError(`Unknown ${kind === 'taxonomy' ? 'taxonomy' : 'post type'}: ${name}`, {
+        code: kind === 'taxonomy' ? 'unknown_taxonomy' : 'unknown_post_type',
+        hint: `Use one of the ${kind === 'taxonomy' ? 'taxonomies' : 'post types'} exposed over REST: ${available.join(', ')}.`
+      });
+    }
+
+    const namespace = match.rest_namespace || 'wp/v2';
+
+    return {
+      slug: match.slug,
+      restBase: match.rest_base,
+      namespace,
+      route: `/${namespace}/${match.rest_base}`
+    };
+  }
+
+  async resolvePostType(type) {
+    return this.resolveRoute('type', type);
+  }
+
+  async resolveTaxonomy(taxonomy) {
+    return this.resolveRoute('taxonomy', taxonomy);
+  }
+
+  /**
+   * Generic items of any post type (posts, pages, custom post types)
+   */
+  async getItems(type, params = {}) {
+    const { route } = await this.resolvePostType(type);
+    return this.get(route, params);
+  }
+
+  async getAllItems(type, params = {}, options = {}) {
+    const { route } = await this.resolvePostType(type);
+    return this.getAll(route, params, options);
+  }
+
+  async getItem(type, id, params = {}) {
+    const { route } = await this.resolvePostType(type);
+    return this.get(`${route}/${id}`, params);
+  }
+
+  async createItem(type, data) {
+    const { route } = await this.resolvePostType(type);
+    return this.post(route, data);
+  }
+
+  async updateItem(type, id, data) {
+    const { route } = await this.resolvePostType(type);
+    return this.put(`${route}/${id}`, data);
+  }
+
+  async deleteItem(type, id, force = false, options = {}) {
+    const { route } = await this.resolvePostType(type);
+    return this.delete(`${route}/${id}`, { force }, options);
+  }
+
+  /**
+   * Markdown content
+   * With options.markdown, content is read with context=edit and returned as content.markdown
+   * next to the raw markup, and content passed to create/update is converted from Markdown to blocks
+   */
+  contentParams(params, options) {
+    return options.markdown ? { context: 'edit', ...params } : params;
+  }
+
+  withMarkdown(item, options = {}) {
+    const source = item.content?.raw ?? item.content?.rendered;
+    if (typeof source !== 'string') return item;
+
+    return { ...item, content: { ...item.content, markdown: contentToMarkdown(source, options) } };
+  }
+
+  /**
+   * Convert data.content from Markdown; ![alt](media:42) image references are looked up in the media library
+   */
+  async prepareContent(data, options = {}) {
+    if (!options.markdown || typeof data?.content !== 'string') {
+      return data;
     }
 
-    if (error.request) {
-      return new Error('No response from WordPress API. Check your connection and URL.');
+    const ids = [...new Set([...data.content.matchAll(/\]\(\s*media:(\d+)/g)].map(match => match[1]))];
+    const media = {};
+
+    for (const id of ids) {
+      const item = await this.getMediaItem(id);
+      media[id] = { url: item.source_url, alt: item.alt_text };
     }
 
-    return new Error(`Request failed: ${error.message}`);
+    return { ...data, content: markdownToContent(data.content, { media }) };
+  }
+
+  /**
+   * Block content
+   * Post content as a block tree (see utils/blocks.js). Content is read with context=edit
+   * and bypasses the cache, since the raw markup is what gets written back.
+   * options.type is a post type slug or rest_base (default 'posts')
+   */
+  async getPostBlocks(id, options = {}) {
+    const route = await this.contentRoute(options.type);
+    const post = await this.get(`${route}/${id}`, { context: 'edit' }, false);
+
+    if (typeof post.content?.raw !== 'string') {
+      throw new ValidationError(`Raw content of ${route}/${id} is not available`, {
+        code: 'raw_content_unavailable',
+        hint: 'Editing blocks needs a user who can edit this item, and a post type that supports the editor.'
+      });
+    }
+
+    return { post, blocks: parseBlocks(post.content.raw) };
+  }
+
+  async updatePostBlocks(id, blocks, options = {}) {
+    const route = await this.contentRoute(options.type);
+    return this.put(`${route}/${id}`, { content: serializeBlocks(blocks) }, options);
+  }
+
+  /**
+   * Read, transform and write back a post's blocks; nothing is written when the markup is unchanged
+   * edit(blocks, post) returns the new block tree
+   */
+  async editPostBlocks(id, edit, options = {}) {
+    const { post, blocks } = await this.getPostBlocks(id, options);
+    const updated = await edit(blocks, post);
+    const content = serializeBlocks(updated);
+
+    if (content === post.content.raw) {
+      return { changed: false, post, blocks };
+    }
+
+    const result = await this.put(`${await this.contentRoute(options.type)}/${id}`, { content }, options);
+    return { changed: true, post: result, blocks: updated };
+  }
+
+  async contentRoute(type = 'posts') {
+    if (type === 'posts' || type === 'pages') {
+      return `/wp/v2/${type}`;
+    }
+    return (await this.resolvePostType(type)).route;
+  }
+
+  /**
+   * Revisions and autosaves
+   * For posts, pages and any post type with revision support (options.type, default 'posts').
+   * Always read with context=edit and uncached, so raw fields are current for diffs and restores
+   */
+  async getRevisions(id, params = {}, options = {}) {
+    return this.revisionRequest(id, 'revisions', options, route => this.get(route, { context: 'edit', ...params }, false));
+  }
+
+  async getRevision(id, revisionId, options = {}) {
+    return this.revisionRequest(id, `revisions/${revisionId}`, options, route => this.get(route, { context: 'edit' }, false));
+  }
+
+  async deleteRevision(id, revisionId, options = {}) {
+    // Revisions can't be trashed, so force is required
+    return this.revisionRequest(id, `revisions/${revisionId}`, options, route => this.delete(route, { force: true }, options));
+  }
+
+  async getAutosaves(id, options = {}) {
+    return this.revisionRequest(id, 'autosaves', options, route => this.get(route, { context: 'edit' }, false));
+  }
+
+  async getAutosave(id, autosaveId, options = {}) {
+    return this.revisionRequest(id, `autosaves/${autosaveId}`, options, route => this.get(route, { context: 'edit' }, false));
+  }
+
+  async createAutosave(id, data, options = {}) {
+    const body = await this.prepareContent(data, options);
+    return this.revisionRequest(id, 'autosaves', options, route => this.post(route, body, options));
+  }
+
+  /**
+   * Put a revision's title, content, excerpt (and revisioned meta) back on the post
+   * WordPress keeps the replaced version as a new revision, so a restore can itself be undone
+   */
+  async restoreRevision(id, revisionId, options = {}) {
+    return this.restoreVersion(id, await this.getRevision(id, revisionId, options), options);
+  }
+
+  async restoreAutosave(id, autosaveId, options = {}) {
+    return this.restoreVersion(id, await this.getAutosave(id, autosaveId, options), options);
+  }
+
+  async restoreVersion(id, version, options = {}) {
+    const data = {
+      title: version.title?.raw ?? '',
+      content: version.content?.raw ?? '',
+      excerpt: version.excerpt?.raw ?? ''
+    };
+
+    if (version.meta && typeof version.meta === 'object' && !Array.isArray(version.meta) && Object.keys(version.meta).length > 0) {
+      data.meta = version.meta;
+    }
+
+    return this.put(`${await this.contentRoute(options.type)}/${id}`, data, options);
+  }
+
+  /**
+   * Diff two versions of a post: revision IDs, or 'current' for the saved post
+   * Returns diffContent()'s { changed, fields, summary } plus the compared versions
+   */
+  async diffRevisions(id, fromId, toId = 'current', options = {}) {
+    const [from, to] = await Promise.all([this.getVersion(id, fromId, options), this.getVersion(id, toId, options)]);
+
+    return {
+      from: this.describeVersion(from, fromId),
+      to: this.describeVersion(to, toId),
+      ...diffContent(from, to)
+    };
+  }
+
+  /**
+   * Diff the saved post against proposed changes ({ title, content, excerpt, meta }) before saving
+   * Only the fields given are compared; with options.markdown, content is converted first
+   */
+  async diffPostContent(id, proposed, options = {}) {
+    const current = await this.getVersion(id, 'current', options);
+    return diffContent(current, await this.prepareContent(proposed, options), { partial: true });
+  }
+
+  async getVersion(id, versionId, options = {}) {
+    if (versionId === 'current') {
+      return this.get(`${await this.contentRoute(options.type)}/${id}`, { context: 'edit' }, false);
+    }
+    return this.getRevision(id, versionId, options);
+  }
+
+  describeVersion(version, versionId) {
+    return {
+      id: versionId === 'current' ? 'current' : version.id,
+      date: version.modified ?? version.date ?? null,
+      author: version.author ?? null
+    };
+  }
+
+  async revisionRequest(id, resource, options, request) {
+    const type = options.type || 'posts';
+
+    try {
+      return await request(`${await this.contentRoute(type)}/${id}/${resource}`);
+    } catch (error) {
+      if (error.code === 'rest_no_route') {
+        throw new NotFoundError(`Post type ${type} does not expose ${resource.split('/')[0]} over REST`, {
+          status: error.status,
+          code: 'revisions_not_supported',
+          hint: 'Only post types registered with revisions support (and show_in_rest) have revisions and autosaves.',
+          cause: error
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Generic terms of any taxonomy (categories, tags, custom taxonomies)
+   */
+  async getTerms(taxonomy, params = {}) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.get(route, params);
+  }
+
+  async getAllTerms(taxonomy, params = {}, options = {}) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.getAll(route, params, options);
+  }
+
+  async getTerm(taxonomy, id, params = {}) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.get(`${route}/${id}`, params);
+  }
+
+  async createTerm(taxonomy, data) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.post(route, data);
+  }
+
+  async updateTerm(taxonomy, id, data) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.put(`${route}/${id}`, data);
+  }
+
+  async deleteTerm(taxonomy, id, force = false, options = {}) {
+    const { route } = await this.resolveTaxonomy(taxonomy);
+    return this.delete(`${route}/${id}`, { force }, options);
+  }
+
+  /**
+   * Error handler - maps axios errors onto the typed error hierarchy
+   */
+  handleError(error) {
+    return createApiError(error);
   }
 
   /**
@@ -389,6 +1675,12 @@ export class WordPressRestClient {
    */
   async testConnection() {
     try {
+      if (!this.auth.authenticated) {
+        const site = await this.get('/', {}, false);
+        logger.info(`Connected to WordPress anonymously: ${site.name}`);
+        return { success: true, user: null, site: { name: site.name, url: site.url } };
+      }
+
       const user = await this.getCurrentUser();
       logger.info(`Connected to WordPress as: ${user.name} (${user.email})`);
       return { success: true, user };
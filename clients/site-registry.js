@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import logger from '../utils/logger.js';
+import { NotFoundError } from '../utils/errors.js';
+import { WordPressRestClient } from './rest-api.js';
+import { WPCLIClient } from './wp-cli.js';
+
+/**
+ * Replace ${VAR} references with environment values so secrets stay out of config files
+ * An unset or empty variable is an error: an empty password must not fall back to another site's
+ */
+function interpolateEnv(value, site) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => {
+      if (!process.env[name]) {
+        throw new Error(`Site "${site}" references \${${name}}, which is not set`);
+      }
+      return process.env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(inner => interpolateEnv(inner, site));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, interpolateEnv(inner, site)]));
+  }
+  return value;
+}
+
+/**
+ * Registry of named WordPress sites, each with its own REST and WP-CLI clients
+ *
+ * Config shape (JSON or YAML):
+ *   default: production
+ *   sites:
+ *     production:
+ *       url: https://example.com
+ *       username: admin
+ *       appPassword: ${PROD_APP_PASSWORD}
+ *       cacheNamespace: prod
+ *       wpCli: { enabled: true, sshHost: example.com, sshUser: deploy, wordPressPath: /var/www/html }
+ *
+ * Each site uses only its own settings: the clients never fall back to WORDPRESS_* or SSH_*
+ * environment variables, so a missing value can't pick up another site's credentials.
+ */
+export class SiteRegistry {
+  constructor(config = {}) {
+    this.sites = new Map();
+    this.clients = new Map();
+
+    for (const [name, site] of Object.entries(config.sites || {})) {
+      if (!site?.url) {
+        throw new Error(`Site "${name}" has no url`);
+      }
+      this.sites.set(name, interpolateEnv(site, name));
+    }
+
+    if (this.sites.size === 0) {
+      throw new Error('Site registry requires at least one site');
+    }
+
+    this.defaultSite = config.default || this.sites.keys().next().value;
+
+    if (!this.sites.has(this.defaultSite)) {
+      throw new Error(`Default site "${this.defaultSite}" is not defined`);
+    }
+
+    logger.info(`Site registry loaded: ${this.names().join(', ')} (default: ${this.defaultSite})`);
+  }
+
+  /**
+   * Load a registry from a .json, .yaml or .yml file
+   */
+  static fromFile(filePath = process.env.WP_SITES_CONFIG) {
+    if (!filePath) {
+      throw new Error('Site config path is required (set WP_SITES_CONFIG)');
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const config = ext === '.yaml' || ext === '.yml' ? YAML.parse(raw) : JSON.parse(raw);
+
+    return new SiteRegistry(config);
+  }
+
+  names() {
+    return [...this.sites.keys()];
+  }
+
+  has(name) {
+    return this.sites.has(name);
+  }
+
+  /**
+   * Get the REST/WP-CLI client pair for a site, creating it on first use
+   */
+  get(name = this.defaultSite) {
+    const siteName = name || this.defaultSite;
+
+    if (!this.sites.has(siteName)) {
+      throw new NotFoundError(`Unknown site: ${siteName}`, {
+        code: 'unknown_site',
+        hint: `Use one of the configured sites: ${this.names().join(', ')}.`
+      });
+    }
+
+    if (!this.clients.has(siteName)) {
+      const site = this.sites.get(siteName);
+      const { wpCli, ...rest } = site;
+
+      this.clients.set(siteName, {
+        name: siteName,
+        rest: new WordPressRestClient({ cacheNamespace: siteName, ...rest, env: false }),
+        cli: wpCli ? new WPCLIClient({ enabled: true, ...wpCli, env: false }) : null
+      });
+    }
+
+    return this.clients.get(siteName);
+  }
+
+  getRestClient(name) {
+    return this.get(name).rest;
+  }
+
+  getCliClient(name) {
+    return this.get(name).cli;
+  }
+}
+
+export default SiteRegistry;
@@ -0,0 +1,540 @@
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { pipeline } from 'stream/promises';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from '../utils/logger.js';
+import { quoteArg, quoteCommand, splitCommand } from '../utils/shell.js';
+import { addRedaction } from '../utils/redact.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Expand a leading ~ the way a shell would, since commands don't run through one
+ */
+export function expandHome(filePath) {
+  return filePath ? filePath.replace(/^~(?=$|\/)/, os.homedir()) : filePath;
+}
+
+/**
+ * Base WP-CLI transport
+ * Turns a wp argv into a process to spawn and runs it
+ */
+export class Transport {
+  constructor(config = {}) {
+    this.type = 'base';
+    this.wpCliPath = config.wpCliPath || 'wp';
+    this.wordPressPath = config.wordPressPath || '.';
+    this.defaultTimeout = 60000;
+  }
+
+  get hasPath() {
+    return Boolean(this.wordPressPath) && this.wordPressPath !== '.';
+  }
+
+  /**
+   * Return { file, args } for a wp argv (without the wp binary itself)
+   */
+  build(wpArgs) {
+    throw new Error(`${this.constructor.name} must implement build()`);
+  }
+
+  /**
+   * Return { file, args } for a non-wp command run on the WordPress host, in the WordPress directory
+   * Used for files the backup subsystem manages (tar, sha256sum, mkdir...)
+   */
+  buildHostCommand(argv) {
+    throw new Error(`${this.constructor.name} does not support host commands`);
+  }
+
+  describe(wpArgs) {
+    const { file, args } = this.build(wpArgs);
+    return quoteCommand([file, ...args]);
+  }
+
+  spawnOptions() {
+    return { env: process.env };
+  }
+
+  async runHostCommand(argv, options = {}) {
+    const { file, args, cwd } = this.buildHostCommand(argv);
+    return execFileAsync(file, args, {
+      ...this.spawnOptions(),
+      ...(cwd ? { cwd } : {}),
+      signal: options.signal,
+      // 0 disables the timeout for long archive jobs
+      timeout: options.timeout ?? this.defaultTimeout,
+      maxBuffer: options.maxBuffer || 10 * 1024 * 1024
+    });
+  }
+
+  /**
+   * Copy a file from the WordPress host to this machine by streaming it through `cat`
+   */
+  async download(remotePath, localPath, options = {}) {
+    await fs.promises.mkdir(path.dirname(localPath), { recursive: true, mode: 0o700 });
+    await this.pipeHostCommand(['cat', remotePath], { output: fs.createWriteStream(localPath, { mode: 0o600 }), signal: options.signal });
+  }
+
+  /**
+   * Copy a file from this machine to the WordPress host, readable only by its owner there
+   */
+  async upload(localPath, remotePath, options = {}) {
+    await this.pipeHostCommand(['sh', '-c', 'umask 077 && cat > "$1"', 'sh', remotePath], {
+      input: fs.createReadStream(localPath),
+      signal: options.signal
+    });
+  }
+
+  pipeHostCommand(argv, options = {}) {
+    const { file, args, cwd } = this.buildHostCommand(argv);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, args, {
+        ...this.spawnOptions(),
+        ...(cwd ? { cwd } : {}),
+        signal: options.signal,
+        stdio: [options.input ? 'pipe' : 'ignore', options.output ? 'pipe' : 'ignore', 'pipe']
+      });
+      let stderr = '';
+      let pipeError = null;
+
+      // Handled from the start: a command that exits without reading its input fails the
+      // write with EPIPE before 'close', and an unhandled rejection would end the process
+      const transfers = [
+        options.input ? pipeline(options.input, child.stdin) : null,
+        options.output ? pipeline(child.stdout, options.output) : null
+      ].filter(Boolean).map(transfer => transfer.catch((error) => {
+        pipeError ??= error;
+        if (child.exitCode === null) child.kill();
+      }));
+
+      child.stderr.on('data', (chunk) => {
+        stderr += chunk.toString();
+      });
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        Promise.all(transfers).then(() => {
+          if (code === 0 && !pipeError) {
+            resolve();
+          } else if (code !== 0 && code !== null) {
+            // The command's own failure explains a broken pipe better than EPIPE does
+            reject(Object.assign(new Error(`Command failed with exit code ${code}: ${quoteCommand([file, ...args])}\n${stderr}`), {
+              code,
+              stderr,
+              ...(pipeError ? { cause: pipeError } : {})
+            }));
+          } else {
+            reject(pipeError || Object.assign(new Error(`Command failed with signal ${signal}: ${quoteCommand([file, ...args])}\n${stderr}`), { signal, stderr }));
+          }
+        });
+      });
+    });
+  }
+
+  async run(wpArgs, options = {}) {
+    const { file, args } = this.build(wpArgs);
+    return execFileAsync(file, args, {
+      ...this.spawnOptions(),
+      signal: options.signal,
+      timeout: options.timeout || this.defaultTimeout,
+      maxBuffer: options.maxBuffer || 10 * 1024 * 1024
+    });
+  }
+
+  /**
+   * Run with output delivered line by line through options.onLine(line, stream)
+   * No output buffer limit and no timeout unless one is given; options.signal cancels
+   */
+  stream(wpArgs, options = {}) {
+    const { file, args } = this.build(wpArgs);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(file, args, {
+        ...this.spawnOptions(),
+        signal: options.signal,
+        timeout: options.timeout
+      });
+      const output = { stdout: '', stderr: '' };
+      const pending = { stdout: '', stderr: '' };
+      let settled = false;
+
+      const emit = (name, chunk) => {
+        const text = chunk.toString();
+        output[name] += text;
+
+        // WP-CLI redraws progress with \r, so treat it as a line break too
+        const lines = (pending[name] + text).split(/\r\n|\n|\r/);
+        pending[name] = lines.pop();
+        lines.forEach(line => options.onLine?.(line, name));
+      };
+
+      child.stdout.on('data', chunk => emit('stdout', chunk));
+      child.stderr.on('data', chunk => emit('stderr', chunk));
+
+      child.on('error', (error) => {
+        if (settled) return;
+        settled = true;
+        Object.assign(error, output);
+        reject(error);
+      });
+
+      child.on('close', (code, signal) => {
+        if (settled) return;
+        settled = true;
+
+        for (const name of ['stdout', 'stderr']) {
+          if (pending[name]) options.onLine?.(pending[name], name);
+        }
+
+        if (code === 0) {
+          resolve(output);
+          return;
+        }
+
+        const error = new Error(`Command failed with ${signal ? `signal ${signal}` : `exit code ${code}`}: ${quoteCommand([file, ...args])}`);
+        // killed: stopped by options.timeout rather than by the command itself
+        Object.assign(error, output, { code, signal, killed: child.killed });
+        reject(error);
+      });
+    });
+  }
+
+  async close() {}
+}
+
+/**
+ * Run wp on this machine, without a shell
+ */
+export class LocalTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'local';
+  }
+
+  build(wpArgs) {
+    const [file, ...prefix] = splitCommand(this.wpCliPath);
+    const args = [...prefix, ...wpArgs];
+
+    if (this.hasPath) {
+      args.push(`--path=${expandHome(this.wordPressPath)}`);
+    }
+
+    return { file, args };
+  }
+
+  buildHostCommand(argv) {
+    const [file, ...args] = argv;
+    return { file, args, cwd: this.hasPath ? expandHome(this.wordPressPath) : undefined };
+  }
+
+  async download(remotePath, localPath) {
+    await fs.promises.mkdir(path.dirname(localPath), { recursive: true, mode: 0o700 });
+    // Streamed rather than copyFile(), which would keep the source file's mode
+    await pipeline(fs.createReadStream(expandHome(remotePath)), fs.createWriteStream(localPath, { mode: 0o600 }));
+  }
+
+  async upload(localPath, remotePath) {
+    await fs.promises.copyFile(localPath, expandHome(remotePath));
+  }
+}
+
+/**
+ * Run wp over SSH, reusing one connection through an OpenSSH ControlMaster socket
+ */
+export class SshTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'ssh';
+    this.host = config.host;
+    this.port = config.port || '22';
+    this.user = config.user || 'root';
+    this.keyPath = config.keyPath;
+    if (this.keyPath) addRedaction(this.keyPath, expandHome(this.keyPath));
+    this.reuseConnection = config.reuseConnection ?? true;
+    this.controlPersist = config.controlPersist || 600;
+    // A private per-user directory: a predictable socket in a shared /tmp could be hijacked
+    this.controlPath = config.controlPath || path.join(os.homedir(), '.wp-mcp', 'ssh', '%C');
+    this.controlDirPending = !config.controlPath;
+
+    if (!this.host) {
+      throw new Error('SSH transport requires a host');
+    }
+  }
+
+  /**
+   * Create the default ControlPath directory with mode 700 before ssh needs it
+   */
+  ensureControlDir() {
+    if (!this.controlDirPending) return;
+
+    const dir = path.dirname(this.controlPath);
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.chmodSync(dir, 0o700);
+    this.controlDirPending = false;
+  }
+
+  sshOptions() {
+    // Fail at once when the key is missing or refused instead of waiting at a password prompt
+    const args = ['-o', 'BatchMode=yes'];
+
+    if (this.port && String(this.port) !== '22') {
+      args.push('-p', String(this.port));
+    }
+
+    if (this.keyPath) {
+      args.push('-i', expandHome(this.keyPath));
+    }
+
+    if (this.reuseConnection) {
+      this.ensureControlDir();
+      args.push(
+        '-o', 'ControlMaster=auto',
+        '-o', `ControlPath=${this.controlPath}`,
+        '-o', `ControlPersist=${this.controlPersist}`
+      );
+    }
+
+    return args;
+  }
+
+  build(wpArgs) {
+    return this.buildHostCommand([...splitCommand(this.wpCliPath), ...wpArgs]);
+  }
+
+  buildHostCommand(argv) {
+    // Leave a leading ~/ unquoted so the remote shell still expands it
+    const remotePath = this.wordPressPath.startsWith('~/')
+      ? `~/${quoteArg(this.wordPressPath.slice(2))}`
+      : quoteArg(this.wordPressPath);
+    const command = quoteCommand(argv);
+    const remoteCommand = this.hasPath ? `cd ${remotePath} && ${command}` : command;
+
+    return {
+      file: 'ssh',
+      args: [...this.sshOptions(), `${this.user}@${this.host}`, remoteCommand]
+    };
+  }
+
+  /**
+   * Close the shared master connection
+   */
+  async close() {
+    if (!this.reuseConnection) return;
+
+    try {
+      await execFileAsync('ssh', [...this.sshOptions(), '-O', 'exit', `${this.user}@${this.host}`], { timeout: 10000 });
+    } catch (error) {
+      // No master running is fine
+      logger.debug(`SSH master not closed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Run wp inside a Docker container, or a docker compose service when `service` is set
+ */
+export class DockerTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'docker';
+    this.container = config.container;
+    this.service = config.service;
+    this.composeFile = config.composeFile;
+    this.user = config.user;
+    this.dockerPath = config.dockerPath || 'docker';
+
+    if (!this.container && !this.service) {
+      throw new Error('Docker transport requires a container or compose service');
+    }
+  }
+
+  build(wpArgs) {
+    return this.buildHostCommand([...splitCommand(this.wpCliPath), ...wpArgs]);
+  }
+
+  buildHostCommand(argv) {
+    const args = [];
+
+    if (this.service) {
+      args.push('compose');
+      if (this.composeFile) args.push('-f', this.composeFile);
+      args.push('exec', '-T');
+    } else {
+      args.push('exec', '-i');
+    }
+
+    if (this.user) args.push('-u', this.user);
+    if (this.hasPath) args.push('-w', this.wordPressPath);
+
+    args.push(this.service || this.container, ...argv);
+
+    return { file: this.dockerPath, args };
+  }
+}
+
+/**
+ * Run wp in a @wordpress/env environment ('cli' or 'tests-cli')
+ */
+export class WpEnvTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'wp-env';
+    this.environment = config.environment || 'cli';
+    this.cwd = config.cwd;
+    this.wpEnvPath = config.wpEnvPath || 'npx';
+    this.defaultTimeout = 120000;
+  }
+
+  spawnOptions() {
+    return { env: process.env, cwd: this.cwd };
+  }
+
+  build(wpArgs) {
+    return this.buildHostCommand(['wp', ...wpArgs]);
+  }
+
+  buildHostCommand(argv) {
+    const prefix = this.wpEnvPath === 'npx' ? ['wp-env'] : [];
+    return {
+      file: this.wpEnvPath,
+      args: [...prefix, 'run', this.environment, ...argv]
+    };
+  }
+}
+
+/**
+ * In-memory transport for tests: records calls and returns canned output
+ *
+ *   const fake = new FakeTransport();
+ *   fake.respond(['plugin', 'list'], JSON.stringify([{ name: 'akismet' }]));
+ *   fake.respond(/^core update/, { stderr: 'Error: no network', code: 1 });
+ */
+export class FakeTransport extends Transport {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'fake';
+    this.calls = [];
+    this.responses = [];
+    this.defaultResponse = config.defaultResponse ?? '';
+    // Host files by path, for download()/upload()
+    this.files = new Map(Object.entries(config.files || {}));
+  }
+
+  respond(matcher, response) {
+    this.responses.push({ matcher, response });
+    return this;
+  }
+
+  build(wpArgs) {
+    return { file: 'wp', args: wpArgs };
+  }
+
+  buildHostCommand(argv) {
+    const [file, ...args] = argv;
+    return { file, args };
+  }
+
+  matches(matcher, wpArgs) {
+    const command = wpArgs.join(' ');
+    if (matcher instanceof RegExp) return matcher.test(command);
+    if (typeof matcher === 'function') return matcher(wpArgs);
+    if (Array.isArray(matcher)) return matcher.every((arg, i) => wpArgs[i] === arg);
+    return command.startsWith(matcher);
+  }
+
+  async run(wpArgs, options = {}) {
+    this.calls.push({ args: wpArgs, options });
+    return this.reply(wpArgs, `wp ${wpArgs.join(' ')}`);
+  }
+
+  /**
+   * Host commands are recorded with host: true and matched against the same responses
+   */
+  async runHostCommand(argv, options = {}) {
+    this.calls.push({ args: argv, options, host: true });
+    return this.reply(argv, argv.join(' '));
+  }
+
+  reply(argv, display) {
+    const entry = [...this.responses].reverse().find(({ matcher }) => this.matches(matcher, argv));
+    const response = entry ? entry.response : this.defaultResponse;
+    const result = typeof response === 'string' ? { stdout: response, stderr: '' } : { stdout: '', stderr: '', ...response };
+
+    if (result.code) {
+      const error = new Error(`Command failed: ${display}`);
+      Object.assign(error, result);
+      throw error;
+    }
+
+    return { stdout: result.stdout, stderr: result.stderr };
+  }
+
+  async stream(wpArgs, options = {}) {
+    options.signal?.throwIfAborted();
+    const output = await this.run(wpArgs, options);
+
+    for (const name of ['stdout', 'stderr']) {
+      output[name].split(/\r\n|\n|\r/).filter(Boolean).forEach(line => options.onLine?.(line, name));
+    }
+
+    return output;
+  }
+
+  async download(remotePath, localPath) {
+    if (!this.files.has(remotePath)) {
+      throw new Error(`No such file on fake host: ${remotePath}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(localPath), { recursive: true, mode: 0o700 });
+    await fs.promises.writeFile(localPath, this.files.get(remotePath), { mode: 0o600 });
+  }
+
+  async upload(localPath, remotePath) {
+    this.files.set(remotePath, await fs.promises.readFile(localPath));
+  }
+}
+
+/**
+ * Build a transport from WP-CLI client config
+ *
+ * config.transport may be a Transport instance, a type name, or { type, ...options }.
+ * Without it, SSH is used when sshHost is set and local execution otherwise.
+ */
+export function createTransport(config = {}) {
+  if (config.transport instanceof Transport) {
+    return config.transport;
+  }
+
+  const options = typeof config.transport === 'string' ? { type: config.transport } : { ...config.transport };
+  const env = config.env === false ? {} : process.env;
+  const type = options.type || env.WP_CLI_TRANSPORT || (config.sshHost ? 'ssh' : 'local');
+  const base = { wpCliPath: config.wpCliPath, wordPressPath: config.wordPressPath, ...options };
+
+  switch (type) {
+    case 'local':
+      return new LocalTransport(base);
+    case 'ssh':
+      return new SshTransport({
+        host: config.sshHost,
+        port: config.sshPort,
+        user: config.sshUser,
+        keyPath: config.sshKeyPath,
+        ...base
+      });
+    case 'docker':
+      return new DockerTransport({
+        container: env.WP_CLI_DOCKER_CONTAINER,
+        ...base,
+        // Host paths don't apply inside the container; default to its working directory
+        wordPressPath: options.wordPressPath
+      });
+    case 'wp-env':
+      return new WpEnvTransport(base);
+    case 'fake':
+      return new FakeTransport(base);
+    default:
+      throw new Error(`Unknown WP-CLI transport: ${type}`);
+  }
+}
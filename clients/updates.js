@@ -0,0 +1,339 @@
+import axios from 'axios';
+import logger from '../utils/logger.js';
+import { getToolContext, createStepProgress } from '../utils/context.js';
+import { BackupManager } from './backup.js';
+
+// Markers of a fatal error page rendered by wp_die() / the recovery-mode handler
+const FATAL_PAGE = /There has been a critical error on (this|your) website|class="wp-die-message"/i;
+
+/**
+ * Update core, plugins and themes one at a time with health checks and rollback
+ *
+ * Each run checks what is available, snapshots the database, then for every item:
+ * maintenance mode on, update, maintenance mode off, health check. When the site
+ * is unhealthy afterwards the previous version is reinstalled (and, with
+ * restoreOnFailure, the database snapshot restored).
+ *
+ *   const updates = new UpdateManager({ cli, rest });
+ *   const report = await updates.runUpdates({ plugins: ['akismet'], themes: false });
+ */
+export class UpdateManager {
+  constructor(config = {}) {
+    if (!config.cli) {
+      throw new Error('UpdateManager requires a WPCLIClient');
+    }
+
+    this.cli = config.cli;
+    this.rest = config.rest || null;
+    this.backups = config.backups || new BackupManager({ cli: config.cli, name: config.name });
+    this.homeUrl = config.homeUrl || null;
+    this.healthTimeout = config.healthTimeout || 15000;
+    // Optional extra check: async ({ home, rest }) => boolean | { ok, ... }
+    this.healthCheck = config.healthCheck || null;
+  }
+
+  /**
+   * Available updates: { core: [...], plugins: [...], themes: [...], total }
+   */
+  async checkUpdates() {
+    const [core, plugins, themes] = await Promise.all([
+      this.cli.checkCoreUpdate(),
+      this.cli.listPluginUpdates(),
+      this.cli.listThemeUpdates()
+    ]);
+
+    return { core, plugins, themes, total: core.length + plugins.length + themes.length };
+  }
+
+  /**
+   * Check the home page renders and the REST API answers
+   * Returns { healthy, home, rest, custom }
+   */
+  async checkHealth() {
+    const home = await this.checkHome();
+    const rest = await this.checkRest();
+    const custom = this.healthCheck ? await this.runCustomCheck(home, rest) : null;
+
+    return {
+      healthy: home.ok && rest.ok && (custom ? custom.ok : true),
+      checkedAt: new Date().toISOString(),
+      home,
+      rest,
+      ...(custom ? { custom } : {})
+    };
+  }
+
+  /**
+   * Run the orchestrated update and return a report
+   * Options:
+   * - core (default true), plugins / themes (true, false or a list of slugs)
+   * - snapshot (default true), includeContent (archive wp-content too, default false)
+   * - restoreOnFailure: restore the database snapshot when a rollback doesn't fix the site
+   * - stopOnFailure (default true): skip remaining items after a failed update
+   * - force: update even when the site is unhealthy beforehand
+   * - signal, onProgress
+   */
+  async runUpdates(options = {}) {
+    const startedAt = new Date().toISOString();
+    const items = this.selectItems(await this.checkUpdates(), await this.cli.coreVersion(), options);
+    const signal = options.signal || getToolContext()?.signal;
+    const stopOnFailure = options.stopOnFailure ?? true;
+
+    if (this.cli.isDryRun(options)) {
+      return {
+        dryRun: true,
+        items: items.map(({ type, name, from, to }) => ({ type, name, from, to })),
+        effects: [
+          ...(options.snapshot === false ? [] : ['A database snapshot is taken first']),
+          'Each item is updated with maintenance mode on, then the home page and REST API are checked',
+          'Items that leave the site unhealthy are reinstalled at their previous version'
+        ]
+      };
+    }
+
+    const report = { startedAt, finishedAt: null, snapshot: null, healthBefore: null, items: [], aborted: null, summary: null };
+
+    if (items.length === 0) {
+      return this.finishReport(report);
+    }
+
+    const progress = createStepProgress(items.length + (options.snapshot === false ? 1 : 2), options.onProgress);
+
+    progress('Checking site health');
+    report.healthBefore = await this.checkHealth();
+    if (!report.healthBefore.healthy && !options.force) {
+      report.aborted = 'The site was unhealthy before updating, so update results could not be judged. Fix the site or pass force: true.';
+      report.items = items.map(item => ({ ...item, status: 'skipped' }));
+      return this.finishReport(report);
+    }
+
+    if (options.snapshot !== false) {
+      progress('Taking database snapshot');
+      const snapshot = await this.backups.createSnapshot({
+        includeContent: options.includeContent ?? false,
+        label: 'Before updates',
+        signal,
+        onProgress: () => {}
+      });
+      report.snapshot = snapshot.id;
+    }
+
+    for (const item of items) {
+      if (report.aborted) {
+        report.items.push({ ...item, status: 'skipped' });
+        continue;
+      }
+
+      progress(`Updating ${item.type} ${item.name} ${item.from} -> ${item.to}`);
+      const result = await this.updateItem(item, { ...options, signal, snapshot: report.snapshot });
+      report.items.push(result);
+
+      if (result.status !== 'updated' && stopOnFailure) {
+        report.aborted = `Stopped after ${item.type} ${item.name} did not update cleanly; remaining items were skipped.`;
+      }
+    }
+
+    return this.finishReport(report);
+  }
+
+  /**
+   * Update one item, check health, and roll back if needed
+   */
+  async updateItem(item, options = {}) {
+    const result = { ...item, status: 'updated', error: null, health: null, rollback: null };
+
+    try {
+      await this.withMaintenance(() => this.applyUpdate(item, item.to, options));
+    } catch (error) {
+      logger.error(`Updating ${item.type} ${item.name} failed: ${error.message}`);
+      result.error = error.message;
+    }
+
+    result.health = await this.checkHealth();
+    if (!result.error && result.health.healthy) {
+      logger.info(`Updated ${item.type} ${item.name} to ${item.to}`);
+      return result;
+    }
+
+    logger.warn(`Rolling back ${item.type} ${item.name} to ${item.from}`);
+    result.status = 'rolled_back';
+    result.rollback = { ok: false, error: null, health: null, restoredSnapshot: false };
+
+    try {
+      await this.withMaintenance(() => this.applyUpdate(item, item.from, { ...options, rollback: true }));
+    } catch (error) {
+      logger.error(`Rollback of ${item.type} ${item.name} failed: ${error.message}`);
+      result.rollback.error = error.message;
+    }
+
+    result.rollback.health = await this.checkHealth();
+
+    if (!result.rollback.health.healthy && options.restoreOnFailure && options.snapshot) {
+      logger.warn(`Restoring database snapshot ${options.snapshot}`);
+      try {
+        await this.backups.restoreSnapshot(options.snapshot, { content: false, dryRun: false, signal: options.signal, onProgress: () => {} });
+        result.rollback.restoredSnapshot = true;
+        result.rollback.health = await this.checkHealth();
+      } catch (error) {
+        // Kept on the item so runUpdates still returns its report
+        logger.error(`Restoring snapshot ${options.snapshot} failed: ${error.message}`);
+        const message = `Restoring snapshot ${options.snapshot} failed: ${error.message}`;
+        result.rollback.error = result.rollback.error ? `${result.rollback.error}; ${message}` : message;
+      }
+    }
+
+    result.rollback.ok = !result.rollback.error && result.rollback.health.healthy;
+    if (!result.rollback.ok) {
+      result.status = 'failed';
+    }
+
+    return result;
+  }
+
+  async applyUpdate(item, version, options = {}) {
+    const streamOptions = { signal: options.signal, onProgress: () => {} };
+
+    switch (item.type) {
+      case 'core':
+        // Downgrades need --force; the database schema is only ever upgraded
+        await this.cli.coreUpdate({ ...streamOptions, version, force: Boolean(options.rollback) });
+        if (!options.rollback) await this.cli.coreUpdateDb();
+        return;
+      case 'plugin':
+        if (options.rollback) {
+          await this.cli.installPlugin(item.name, false, { version, force: true });
+        } else {
+          await this.cli.updatePlugin(item.name, { ...streamOptions, version });
+        }
+        return;
+      case 'theme':
+        if (options.rollback) {
+          await this.cli.installTheme(item.name, false, { version, force: true });
+        } else {
+          await this.cli.updateTheme(item.name, { ...streamOptions, version });
+        }
+        return;
+      default:
+        throw new Error(`Unknown update type: ${item.type}`);
+    }
+  }
+
+  async withMaintenance(fn) {
+    await this.cli.enableMaintenanceMode();
+    try {
+      return await fn();
+    } finally {
+      await this.cli.disableMaintenanceMode()
+        .catch(error => logger.error(`Could not disable maintenance mode: ${error.message}`));
+    }
+  }
+
+  selectItems(available, coreVersion, options) {
+    const selected = (list, selection) => {
+      if (selection === false) return [];
+      if (Array.isArray(selection)) return list.filter(item => selection.includes(item.name));
+      return list;
+    };
+
+    const items = [];
+
+    if (options.core !== false && available.core.length > 0) {
+      items.push({ type: 'core', name: 'wordpress', from: coreVersion, to: available.core[0].version });
+    }
+
+    for (const plugin of selected(available.plugins, options.plugins)) {
+      items.push({ type: 'plugin', name: plugin.name, from: plugin.version, to: plugin.update_version });
+    }
+
+    for (const theme of selected(available.themes, options.themes)) {
+      items.push({ type: 'theme', name: theme.name, from: theme.version, to: theme.update_version });
+    }
+
+    return items;
+  }
+
+  finishReport(report) {
+    const count = status => report.items.filter(item => item.status === status).length;
+
+    report.finishedAt = new Date().toISOString();
+    report.summary = {
+      total: report.items.length,
+      updated: count('updated'),
+      rolledBack: count('rolled_back'),
+      failed: count('failed'),
+      skipped: count('skipped')
+    };
+
+    return report;
+  }
+
+  async getHomeUrl() {
+    if (!this.homeUrl) {
+      this.homeUrl = this.rest?.baseUrl || await this.cli.getOption('home');
+    }
+    return this.homeUrl.replace(/\/$/, '');
+  }
+
+  async checkHome() {
+    const url = `${await this.getHomeUrl()}/`;
+
+    try {
+      // Cache-busting query so page caches can't hide a broken site
+      const response = await axios.get(url, {
+        params: { wp_mcp_health: Date.now() },
+        timeout: this.healthTimeout,
+        maxRedirects: 5,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+      const fatal = FATAL_PAGE.test(String(response.data));
+      // Only 2xx/3xx is healthy: a broken plugin or theme can leave the home page 403 or 404
+      const served = response.status >= 200 && response.status < 400;
+
+      return {
+        url,
+        status: response.status,
+        ok: served && !fatal,
+        ...(fatal ? { error: 'The page shows a WordPress critical error' } : {}),
+        ...(!served && !fatal ? { error: `The home page answered HTTP ${response.status}` } : {})
+      };
+    } catch (error) {
+      return { url, status: null, ok: false, error: error.message };
+    }
+  }
+
+  async checkRest() {
+    if (this.rest) {
+      try {
+        const index = await this.rest.get('/', {}, false);
+        return { url: `${this.rest.baseUrl}/wp-json/`, status: 200, ok: Array.isArray(index?.namespaces) };
+      } catch (error) {
+        return { url: `${this.rest.baseUrl}/wp-json/`, status: error.status ?? null, ok: false, error: error.message };
+      }
+    }
+
+    const url = `${await this.getHomeUrl()}/wp-json/`;
+
+    try {
+      const response = await axios.get(url, { timeout: this.healthTimeout, validateStatus: () => true });
+      return {
+        url,
+        status: response.status,
+        ok: response.status === 200 && Array.isArray(response.data?.namespaces)
+      };
+    } catch (error) {
+      return { url, status: null, ok: false, error: error.message };
+    }
+  }
+
+  async runCustomCheck(home, rest) {
+    try {
+      const result = await this.healthCheck({ home, rest });
+      return typeof result === 'boolean' ? { ok: result } : { ...result, ok: Boolean(result?.ok) };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+}
+
+export default UpdateManager;
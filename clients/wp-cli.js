@@ -1,8 +1,47 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import logger from '../utils/logger.js';
+import { WordPressError, ValidationError, TimeoutError, CommandError } from '../utils/errors.js';
+import { parseOutput, validateOutput, parseBatch, parseMessage, parseSearchReplace, wpCliSchemas as schemas } from '../utils/wp-cli-output.js';
+import { splitCommand } from '../utils/shell.js';
+import { getToolContext } from '../utils/context.js';
+import { createTransport } from './transports.js';
 
-const execAsync = promisify(exec);
+/**
+ * Build a --name=value flag, or a bare --name when called without a value
+ * Returns null (dropped) when the value is unset
+ */
+export function flag(name, ...rest) {
+  const value = rest.length === 0 ? true : rest[0];
+
+  if (value === undefined || value === null || value === false || value === '') return null;
+  return value === true ? `--${name}` : `--${name}=${value}`;
+}
+
+// Subcommands that only read; anything else is treated as a change and skipped in dry-run mode
+const READ_ONLY_SUBCOMMANDS = new Set([
+  'list', 'get', 'status', 'is-installed', 'is-active', 'path', 'search', 'check-update',
+  'version', 'verify-checksums', 'size', 'tables', 'prefix', 'exists', 'count', 'columns', 'export'
+]);
+const READ_ONLY_COMMANDS = new Set(['--version', '--info', 'cli', 'help', 'export']);
+// Commands whose first argument is input, not a subcommand
+const INPUT_COMMANDS = new Set(['search-replace', 'import', 'eval', 'eval-file', 'shell']);
+// A single statement that only reads
+const READ_ONLY_SQL = /^\s*(select|show|describe|desc|explain)\b[^;]*;?\s*$/i;
+// SELECT ... INTO OUTFILE / DUMPFILE writes a file on the database server
+const FILE_WRITING_SQL = /\b(outfile|dumpfile)\b/i;
+
+/**
+ * Whether a WP-CLI argv leaves the site unchanged
+ */
+export function isReadOnlyCommand(args) {
+  const words = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--dry-run') || READ_ONLY_COMMANDS.has(args[0])) return true;
+  if (INPUT_COMMANDS.has(words[0])) return false;
+  if (words[0] === 'db' && words[1] === 'query') return READ_ONLY_SQL.test(words[2] || '') && !FILE_WRITING_SQL.test(words[2]);
+  if (words[0] === 'cron' && words[1] === 'event') return words[2] === 'list';
+
+  return READ_ONLY_SUBCOMMANDS.has(words[1]);
+}
 
 /**
  * WP-CLI Client for advanced WordPress operations
@@ -10,16 +49,35 @@ const execAsync = promisify(exec);
  */
 export class WPCLIClient {
   constructor(config = {}) {
+    // env: false uses only the given config, never the SSH_* / WORDPRESS_PATH target settings (see SiteRegistry)
+    const env = config.env === false ? {} : process.env;
+
     this.enabled = config.enabled || process.env.ENABLE_WP_CLI === 'true';
     this.wpCliPath = config.wpCliPath || process.env.WP_CLI_PATH || 'wp';
-    this.wordPressPath = config.wordPressPath || process.env.WORDPRESS_PATH || '.';
-    this.sshHost = config.sshHost || process.env.SSH_HOST;
-    this.sshPort = config.sshPort || process.env.SSH_PORT || '22';
-    this.sshUser = config.sshUser || process.env.SSH_USER;
-    this.sshKeyPath = config.sshKeyPath || process.env.SSH_KEY_PATH;
+    this.wordPressPath = config.wordPressPath || env.WORDPRESS_PATH || '.';
+    this.sshHost = config.sshHost || env.SSH_HOST;
+    this.sshPort = config.sshPort || env.SSH_PORT || '22';
+    this.sshUser = config.sshUser || env.SSH_USER;
+    this.sshKeyPath = config.sshKeyPath || env.SSH_KEY_PATH;
+    // Multisite: default --url for every command
+    this.url = config.url || env.WP_CLI_URL;
+    this.config = config;
+    // Preview destructive commands instead of running them (also forced per tool call by createMcpServer)
+    this.dryRun = config.dryRun ?? process.env.WP_DRY_RUN === 'true';
+
+    // Local or SSH by default; see clients/transports.js for Docker, wp-env and fakes
+    this.transport = createTransport({
+      ...config,
+      wpCliPath: this.wpCliPath,
+      wordPressPath: this.wordPressPath,
+      sshHost: this.sshHost,
+      sshPort: this.sshPort,
+      sshUser: this.sshUser,
+      sshKeyPath: this.sshKeyPath
+    });
 
     if (this.enabled) {
-      logger.info('WP-CLI client enabled');
+      logger.info(`WP-CLI client enabled (transport: ${this.transport.type})`);
     } else {
       logger.info('WP-CLI client disabled - enable with ENABLE_WP_CLI=true');
     }
@@ -32,7 +90,7 @@ export class WPCLIClient {
     if (!this.enabled) return false;
 
     try {
-      await this.exec('--version', { format: null });
+      await this.exec(['--version'], { format: null });
       return true;
     } catch (error) {
       logger.warn('WP-CLI not available:', error.message);
@@ -42,211 +100,607 @@ export class WPCLIClient {
 
   /**
    * Execute WP-CLI command
+   * `command` is an argv array (preferred) or a legacy string, which is split without a shell
+   *
+   * With `stream: true` output is read line by line (see execStream). Inside a
+   * createMcpServer tool handler, the call's AbortSignal and progress reporter are used by default.
+   *
+   * Output is parsed with `options.parse` (a parser name from utils/wp-cli-output.js or a
+   * (stdout, stderr) function; JSON for --format=json, trimmed text otherwise) and checked
+   * against `options.schema` when given. Unparseable output throws a ParseError.
+   *
+   * In dry-run mode (see isDryRun) commands that change the site are not run; a plan()
+   * describing them is returned instead. Pass `readOnly: true` for commands such as
+   * `eval` that only read but can't be recognized from their arguments.
    */
   async exec(command, options = {}) {
     if (!this.enabled) {
       throw new Error('WP-CLI is not enabled. Set ENABLE_WP_CLI=true to use WP-CLI features.');
     }
 
-    const format = options.format || 'json';
-    const fullCommand = this.buildCommand(command, format);
+    const context = getToolContext();
+    const format = options.format === undefined ? 'json' : options.format;
+    const args = Array.isArray(command) ? this.normalizeArgs(command) : splitCommand(command);
+    const wpArgs = this.buildCommand(args, format, options.url || this.url);
+    const display = this.transport.describe(wpArgs);
+    const runOptions = { ...options, signal: options.signal || context?.signal };
+
+    if (!options.readOnly && !isReadOnlyCommand(args) && this.isDryRun(options)) {
+      logger.info(`Dry run, not executing WP-CLI: ${display}`);
+      return this.plan(args, { effects: ['Not run: dry-run mode. Run again with dry run off to apply it.'] });
+    }
+
+    logger.debug(`Executing WP-CLI: ${display}`);
 
-    logger.debug(`Executing WP-CLI: ${fullCommand}`);
+    let output;
 
     try {
-      const { stdout, stderr } = await execAsync(fullCommand, {
-        timeout: options.timeout || 60000,
-        shell: '/bin/bash',
-        env: process.env
-      });
+      output = options.stream
+        ? await this.transport.stream(wpArgs, {
+          ...runOptions,
+          onLine: this.createLineHandler(options.onLine, options.onProgress || context?.progress)
+        })
+        : await this.transport.run(wpArgs, runOptions);
+    } catch (error) {
+      throw this.commandError(error, args, display, runOptions.signal);
+    }
 
-      if (stderr && !stderr.includes('Warning')) {
-        logger.warn('WP-CLI stderr:', stderr);
-      }
+    const { stdout, stderr } = output;
 
-      if (format === 'json' && stdout.trim()) {
-        try {
-          return JSON.parse(stdout);
-        } catch (e) {
-          logger.warn('Failed to parse JSON output, returning raw string');
-          return stdout.trim();
-        }
-      }
+    if (stderr && !stderr.includes('Warning')) {
+      logger.warn('WP-CLI stderr:', stderr);
+    }
 
-      return stdout.trim();
-    } catch (error) {
-      logger.error('WP-CLI execution failed:', {
-        message: error.message,
-        code: error.code,
+    const result = parseOutput(options.parse || (format === 'json' ? 'json' : 'text'), stdout, stderr, display);
+    return options.schema ? validateOutput(options.schema, result, display) : result;
+  }
+
+  /**
+   * Run a command that reports with Success:/Warning: lines
+   * Returns { success, message, warnings }
+   */
+  async execMessage(command, options = {}) {
+    return this.exec(command, { format: null, parse: 'message', schema: schemas.message, ...options });
+  }
+
+  /**
+   * Execute a long-running command with streamed output
+   * Options: onLine(line, stream), onProgress(progress, total, message), signal, timeout (none by default)
+   */
+  async execStream(command, options = {}) {
+    return this.exec(command, { ...options, stream: true });
+  }
+
+  /**
+   * Map a failed transport run onto the error hierarchy, keeping the original as cause
+   * Cancelled (the signal's reason), timed out (TimeoutError), exited non-zero (CommandError)
+   */
+  commandError(error, args, display, signal) {
+    const command = args.join(' ');
+
+    if (error.name === 'AbortError') {
+      logger.warn(`WP-CLI command cancelled: ${display}`);
+      // Aborted by the timeout middleware or the client: report why
+      if (signal?.reason instanceof WordPressError) return signal.reason;
+      return new WordPressError(`WP-CLI command was cancelled: ${command}`, { code: 'command_cancelled', cause: error });
+    }
+
+    logger.error('WP-CLI execution failed:', {
+      message: error.message,
+      code: error.code,
+      signal: error.signal,
+      stdout: error.stdout,
+      stderr: error.stderr,
+      command: display
+    });
+
+    if (error.killed && error.signal) {
+      return new TimeoutError(`WP-CLI command timed out: ${command}`, {
+        code: 'command_timeout',
+        hint: 'WP-CLI did not finish in time. Retry with a narrower command, or run it as a streamed command without a timeout.',
+        cause: error
+      });
+    }
+
+    const message = `WP-CLI command failed: ${error.message}\nStderr: ${error.stderr}\nStdout: ${error.stdout}`;
+
+    if (typeof error.code === 'number') {
+      return new CommandError(message, {
+        code: 'command_failed',
+        exitCode: error.code,
         stdout: error.stdout,
         stderr: error.stderr,
-        command: fullCommand
+        cause: error
       });
-      throw new Error(`WP-CLI command failed: ${error.message}\nStderr: ${error.stderr}\nStdout: ${error.stdout}`);
     }
+
+    // The command could not run at all, e.g. wp or ssh missing (ENOENT) or too much output
+    return new WordPressError(message, { code: error.code ?? null, cause: error });
+  }
+
+  /**
+   * Turn output lines into progress updates
+   * Lines like "12/250 Regenerated thumbnails..." give progress and total; otherwise lines are counted
+   */
+  createLineHandler(onLine, onProgress) {
+    let lines = 0;
+    let hasTotal = false;
+
+    return (line, stream) => {
+      onLine?.(line, stream);
+
+      if (!onProgress || !line.trim()) return;
+
+      const match = /^\s*(\d+)\s*\/\s*(\d+)\b/.exec(line);
+      if (match) {
+        hasTotal = true;
+        onProgress(Number(match[1]), Number(match[2]), line.trim());
+      } else if (!hasTotal) {
+        lines++;
+        onProgress(lines, undefined, line.trim());
+      }
+    };
   }
 
   /**
-   * Build full WP-CLI command with SSH support
+   * Add global flags to a WP-CLI argv; the transport decides how it is run
    */
-  buildCommand(command, format = 'json') {
-    let cmd = `${this.wpCliPath} ${command}`;
+  buildCommand(args, format = 'json', url = this.url) {
+    const wpArgs = [...args];
 
-    if (format && format !== null && !command.includes('--format')) {
-      cmd += ` --format=${format}`;
+    if (format && !wpArgs.some(arg => arg.startsWith('--format'))) {
+      wpArgs.push(`--format=${format}`);
     }
 
-    if (this.wordPressPath && this.wordPressPath !== '.' && !this.sshHost) {
-      cmd += ` --path=${this.wordPressPath}`;
+    if (url && !wpArgs.some(arg => arg.startsWith('--url'))) {
+      wpArgs.push(`--url=${url}`);
     }
 
-    if (this.sshHost) {
-      const sshOpts = this.sshKeyPath ? `-i ${this.sshKeyPath}` : '';
-      const port = this.sshPort && this.sshPort !== '22' ? `-p ${this.sshPort}` : '';
-      const user = this.sshUser || 'root';
-      const pathPrefix = this.wordPressPath && this.wordPressPath !== '.' ? `cd ${this.wordPressPath} && ` : '';
-      cmd = `ssh ${port} ${sshOpts} ${user}@${this.sshHost} "${pathPrefix}${cmd}"`;
+    return wpArgs;
+  }
+
+  /**
+   * Release transport resources such as a shared SSH connection
+   */
+  async close() {
+    await this.transport.close();
+  }
+
+  /**
+   * Drop unset entries (e.g. from flag()) and stringify the rest
+   */
+  normalizeArgs(args) {
+    return args.filter(arg => arg !== null && arg !== undefined).map(String);
+  }
+
+  /**
+   * Whether a destructive command should only be previewed: per call, then per tool call, then per client
+   */
+  isDryRun(options = {}) {
+    return options.dryRun ?? getToolContext()?.dryRun ?? this.dryRun;
+  }
+
+  /**
+   * Describe a command without running it
+   */
+  plan(args, details = {}) {
+    return {
+      dryRun: true,
+      command: this.transport.describe(this.buildCommand(this.normalizeArgs(args), null)),
+      ...details
+    };
+  }
+
+  /**
+   * Guard a positional value so model-supplied input can't be read as a flag
+   */
+  positional(value, name = 'argument') {
+    const arg = String(value);
+
+    // WP-CLI only treats --name as a flag, so values like -5 are safe
+    if (arg.startsWith('--')) {
+      throw new ValidationError(`Invalid ${name}: ${arg} (values may not start with "--")`, {
+        code: 'invalid_wp_cli_argument',
+        hint: `Pass a plain ${name} without leading dashes.`
+      });
     }
 
-    return cmd;
+    return arg;
   }
 
   // Database operations
-  async dbQuery(sql) {
-    return this.exec(`db query "${sql.replace(/"/g, '\\"')}"`, { format: 'table' });
+
+  /**
+   * Run SQL and return rows as objects keyed by column
+   * With header: false, runs with --skip-column-names and returns arrays of values
+   */
+  async dbQuery(sql, options = {}) {
+    const header = options.header ?? true;
+
+    return this.exec([
+      'db', 'query', this.positional(sql, 'SQL'),
+      '--batch',
+      header ? null : '--skip-column-names'
+    ], {
+      format: null,
+      parse: stdout => parseBatch(stdout, { header }),
+      schema: header ? schemas.queryRows : schemas.queryValues
+    });
   }
 
-  async dbExport(file) {
-    return this.exec(`db export ${file}`, { format: null });
+  async dbExport(file, options = {}) {
+    return this.execMessage(['db', 'export', this.positional(file, 'file')], { ...options, stream: true });
   }
 
-  async dbImport(file) {
-    return this.exec(`db import ${file}`, { format: null });
+  async dbImport(file, options = {}) {
+    const args = ['db', 'import', this.positional(file, 'file')];
+
+    if (this.isDryRun(options)) {
+      const size = await this.exec(['db', 'size', '--size_format=b'], { format: null, parse: 'integer', schema: schemas.id });
+      return this.plan(args, {
+        currentSizeBytes: size,
+        effects: [`Tables in the current database are dropped and replaced with the contents of ${file}`]
+      });
+    }
+
+    return this.execMessage(args, { ...options, stream: true });
   }
 
   async dbOptimize() {
-    return this.exec('db optimize', { format: null });
+    return this.execMessage(['db', 'optimize']);
   }
 
-  async searchReplace(search, replace, tables = []) {
-    const tableArgs = tables.length > 0 ? tables.join(' ') : '--all-tables';
-    return this.exec(`search-replace "${search}" "${replace}" ${tableArgs}`);
+  /**
+   * Returns { totalReplacements, tables: [{ table, column, replacements, type }], message }
+   */
+  async searchReplace(search, replace, tables = [], options = {}) {
+    const tableArgs = tables.length > 0 ? tables.map(table => this.positional(table, 'table')) : ['--all-tables'];
+    const args = [
+      'search-replace',
+      this.positional(search, 'search string'),
+      this.positional(replace, 'replacement'),
+      ...tableArgs
+    ];
+    const parseOptions = { format: null, parse: parseSearchReplace, schema: schemas.searchReplace };
+
+    // Native dry run: WP-CLI reports replacement counts per table and column
+    if (this.isDryRun(options)) {
+      const report = await this.execStream([...args, '--dry-run', '--report-changed-only'], { ...options, ...parseOptions });
+      return this.plan(args, report);
+    }
+
+    return this.execStream(args, { ...options, ...parseOptions });
   }
 
   // Cache operations
   async cacheFlush() {
-    return this.exec('cache flush');
+    return this.execMessage(['cache', 'flush']);
   }
 
   // Theme operations
-  async installTheme(theme, activate = false) {
-    const activateFlag = activate ? '--activate' : '';
-    return this.exec(`theme install ${theme} ${activateFlag}`);
+
+  /**
+   * Options: version (with force: true, reinstalls a specific version, e.g. to roll back)
+   */
+  async installTheme(theme, activate = false, options = {}) {
+    return this.execMessage([
+      'theme', 'install', this.positional(theme, 'theme'),
+      flag('activate', activate),
+      flag('version', options.version),
+      flag('force', options.force)
+    ]);
   }
 
   async activateTheme(theme) {
-    return this.exec(`theme activate ${theme}`);
+    return this.execMessage(['theme', 'activate', this.positional(theme, 'theme')]);
   }
 
-  async deleteTheme(theme) {
-    return this.exec(`theme delete ${theme}`);
+  async deleteTheme(theme, options = {}) {
+    const args = ['theme', 'delete', this.positional(theme, 'theme')];
+
+    if (this.isDryRun(options)) {
+      const target = await this.exec(['theme', 'get', theme, '--fields=name,title,version,status'], { schema: schemas.theme });
+      return this.plan(args, {
+        target,
+        effects: [
+          `Theme files for ${theme} are removed`,
+          ...(target.status === 'active' ? ['The theme is active; WP-CLI refuses to delete it without --force'] : [])
+        ]
+      });
+    }
+
+    return this.execMessage(args);
   }
 
   async listThemes() {
-    return this.exec('theme list');
+    return this.exec(['theme', 'list'], { schema: schemas.themes });
+  }
+
+  /**
+   * Themes with an update available, with update_version
+   */
+  async listThemeUpdates() {
+    return this.exec(['theme', 'list', '--update=available', '--fields=name,status,version,update_version'], { schema: schemas.themes });
+  }
+
+  /**
+   * Returns [{ name, old_version, new_version, status }]; empty when nothing needed updating
+   */
+  async updateTheme(theme = 'all', options = {}) {
+    const target = theme === 'all' ? '--all' : this.positional(theme, 'theme');
+
+    return this.execStream(['theme', 'update', target, flag('version', options.version)], {
+      ...options,
+      parse: 'jsonList',
+      schema: schemas.themeUpdates
+    });
   }
 
   // Plugin operations
-  async installPlugin(plugin, activate = false) {
-    const activateFlag = activate ? '--activate' : '';
-    return this.exec(`plugin install ${plugin} ${activateFlag}`);
+
+  /**
+   * Options: version (with force: true, reinstalls a specific version, e.g. to roll back)
+   */
+  async installPlugin(plugin, activate = false, options = {}) {
+    return this.execMessage([
+      'plugin', 'install', this.positional(plugin, 'plugin'),
+      flag('activate', activate),
+      flag('version', options.version),
+      flag('force', options.force)
+    ]);
   }
 
   async activatePlugin(plugin) {
-    return this.exec(`plugin activate ${plugin}`);
+    return this.execMessage(['plugin', 'activate', this.positional(plugin, 'plugin')]);
   }
 
   async deactivatePlugin(plugin) {
-    return this.exec(`plugin deactivate ${plugin}`);
+    return this.execMessage(['plugin', 'deactivate', this.positional(plugin, 'plugin')]);
   }
 
-  async deletePlugin(plugin) {
-    return this.exec(`plugin delete ${plugin}`);
+  async deletePlugin(plugin, options = {}) {
+    const args = ['plugin', 'delete', this.positional(plugin, 'plugin')];
+
+    if (this.isDryRun(options)) {
+      const target = await this.exec(['plugin', 'get', plugin, '--fields=name,title,version,status'], { schema: schemas.plugin });
+      return this.plan(args, {
+        target,
+        effects: [
+          `Plugin files for ${plugin} are removed`,
+          ...(target.status === 'active' ? ['The plugin is active and will be deactivated first'] : [])
+        ]
+      });
+    }
+
+    return this.execMessage(args);
   }
 
-  async updatePlugin(plugin = 'all') {
-    return this.exec(`plugin update ${plugin}`);
+  /**
+   * Returns [{ name, old_version, new_version, status }]; empty when nothing needed updating
+   */
+  async updatePlugin(plugin = 'all', options = {}) {
+    const target = plugin === 'all' ? '--all' : this.positional(plugin, 'plugin');
+
+    return this.execStream(['plugin', 'update', target, flag('version', options.version)], {
+      ...options,
+      parse: 'jsonList',
+      schema: schemas.pluginUpdates
+    });
   }
 
   async listPlugins() {
-    return this.exec('plugin list');
+    return this.exec(['plugin', 'list'], { schema: schemas.plugins });
+  }
+
+  /**
+   * Plugins with an update available, with update_version
+   */
+  async listPluginUpdates() {
+    return this.exec(['plugin', 'list', '--update=available', '--fields=name,status,version,update_version'], { schema: schemas.plugins });
   }
 
   // Core operations
-  async coreUpdate() {
-    return this.exec('core update');
+
+  /**
+   * Options: version, force (needed to downgrade), minor (minor releases only)
+   */
+  async coreUpdate(options = {}) {
+    return this.execMessage([
+      'core', 'update',
+      flag('version', options.version),
+      flag('force', options.force),
+      flag('minor', options.minor)
+    ], { ...options, stream: true });
+  }
+
+  async coreUpdateDb() {
+    return this.execMessage(['core', 'update-db']);
+  }
+
+  /**
+   * Available core updates as [{ version, update_type, package_url }]
+   */
+  async checkCoreUpdate() {
+    return this.exec(['core', 'check-update'], { parse: 'jsonList', schema: schemas.coreUpdates });
   }
 
   async coreVersion() {
-    return this.exec('core version', { format: null });
+    return this.exec(['core', 'version'], { format: null, schema: schemas.version });
   }
 
   // User operations
+
+  /**
+   * Returns the new user's ID
+   */
   async createUser(username, email, options = {}) {
-    const role = options.role || 'subscriber';
-    const password = options.password || '';
-    const displayName = options.displayName ? `--display_name="${options.displayName}"` : '';
-    return this.exec(`user create ${username} ${email} --role=${role} ${displayName} ${password ? `--user_pass="${password}"` : ''}`);
-  }
+    return this.exec([
+      'user', 'create',
+      this.positional(username, 'username'),
+      this.positional(email, 'email'),
+      flag('role', options.role || 'subscriber'),
+      flag('display_name', options.displayName),
+      flag('user_pass', options.password),
+      '--porcelain'
+    ], { format: null, parse: 'integer', schema: schemas.id });
+  }
+
+  async deleteUser(userId, reassign = null, options = {}) {
+    const args = ['user', 'delete', this.positional(userId, 'user'), flag('reassign', reassign), '--yes'];
+
+    if (this.isDryRun(options)) {
+      const target = await this.exec(['user', 'get', userId, '--fields=ID,user_login,user_email,roles'], { schema: schemas.user });
+      const posts = await this.exec(
+        ['post', 'list', flag('author', target.ID), '--post_type=any', '--post_status=any'],
+        { format: 'count', parse: 'integer', schema: schemas.count }
+      );
+
+      return this.plan(args, {
+        target,
+        posts,
+        effects: [
+          `User ${target.user_login} is deleted`,
+          reassign ? `${posts} posts are reassigned to user ${reassign}` : `${posts} posts authored by the user are deleted`
+        ]
+      });
+    }
 
-  async deleteUser(userId, reassign = null) {
-    const reassignFlag = reassign ? `--reassign=${reassign}` : '';
-    return this.exec(`user delete ${userId} ${reassignFlag}`);
+    return this.execMessage(args);
   }
 
   async listUsers() {
-    return this.exec('user list');
+    return this.exec(['user', 'list'], { schema: schemas.users });
   }
 
   // Maintenance operations
   async enableMaintenanceMode() {
-    return this.exec('maintenance-mode activate', { format: null });
+    return this.execMessage(['maintenance-mode', 'activate']);
   }
 
   async disableMaintenanceMode() {
-    return this.exec('maintenance-mode deactivate', { format: null });
+    return this.execMessage(['maintenance-mode', 'deactivate']);
   }
 
   // Site operations
+
+  /**
+   * Returns the decoded option value (serialized options come back as objects)
+   */
   async getOption(optionName) {
-    return this.exec(`option get ${optionName}`, { format: null });
+    return this.exec(['option', 'get', this.positional(optionName, 'option name')]);
   }
 
   async setOption(optionName, value) {
-    return this.exec(`option update ${optionName} "${value}"`, { format: null });
+    return this.execMessage(['option', 'update', this.positional(optionName, 'option name'), this.positional(value, 'option value')]);
   }
 
   // Media operations
-  async regenerateThumbnails() {
-    return this.exec('media regenerate --yes');
+  async regenerateThumbnails(options = {}) {
+    return this.execMessage(['media', 'regenerate', '--yes'], { ...options, stream: true });
   }
 
+  /**
+   * Returns the new attachment ID
+   */
   async importMedia(url) {
-    return this.exec(`media import ${url}`);
+    return this.exec(['media', 'import', this.positional(url, 'URL'), '--porcelain'], { format: null, parse: 'integer', schema: schemas.id });
   }
 
   // Export/Import
-  async exportContent(dir) {
-    return this.exec(`export --dir=${dir}`, { format: null });
+
+  /**
+   * Returns the message result plus the WXR files that were written
+   */
+  async exportContent(dir, options = {}) {
+    return this.execStream(['export', flag('dir', dir)], {
+      ...options,
+      format: null,
+      parse: (stdout, stderr) => ({
+        ...parseMessage(stdout, stderr),
+        files: [...stdout.matchAll(/^Writing to file (.+)$/gm)].map(match => match[1].trim())
+      }),
+      schema: schemas.export
+    });
   }
 
-  async importContent(file) {
-    return this.exec(`import ${file}`, { format: null });
+  async importContent(file, options = {}) {
+    return this.execMessage(['import', this.positional(file, 'file'), '--authors=create'], { ...options, stream: true });
   }
 
   // Rewrite rules
   async flushRewrite() {
-    return this.exec('rewrite flush');
+    return this.execMessage(['rewrite', 'flush']);
+  }
+
+  // Multisite operations
+  forSite(url) {
+    return new WPCLIClient({ ...this.config, enabled: this.enabled, transport: this.transport, url });
+  }
+
+  async listSites(options = {}) {
+    return this.exec([
+      'site', 'list',
+      flag('fields', options.fields?.join(',')),
+      options.archived !== undefined ? flag('archived', options.archived ? 1 : 0) : null
+    ], { schema: options.fields ? schemas.records : schemas.sites });
+  }
+
+  /**
+   * Returns the new site's blog ID
+   */
+  async createSite(slug, options = {}) {
+    return this.exec([
+      'site', 'create',
+      flag('slug', slug),
+      flag('title', options.title),
+      flag('email', options.email),
+      '--porcelain'
+    ], { format: null, parse: 'integer', schema: schemas.id });
+  }
+
+  async deleteSite(siteId, keepTables = false, options = {}) {
+    const args = ['site', 'delete', this.positional(siteId, 'site ID'), '--yes', flag('keep-tables', keepTables)];
+
+    if (this.isDryRun(options)) {
+      const [target] = await this.exec(['site', 'list', flag('site__in', siteId), '--fields=blog_id,url,last_updated'], { schema: schemas.sites });
+      return this.plan(args, {
+        target: target || null,
+        effects: [
+          `Site ${target?.url || siteId} is removed from the network`,
+          keepTables ? 'Database tables are kept' : 'Database tables for the site are dropped'
+        ]
+      });
+    }
+
+    return this.execMessage(args);
+  }
+
+  async networkActivatePlugin(plugin) {
+    return this.execMessage(['plugin', 'activate', this.positional(plugin, 'plugin'), '--network']);
+  }
+
+  async networkDeactivatePlugin(plugin) {
+    return this.execMessage(['plugin', 'deactivate', this.positional(plugin, 'plugin'), '--network']);
+  }
+
+  async networkEnableTheme(theme) {
+    return this.execMessage(['theme', 'enable', this.positional(theme, 'theme'), '--network']);
+  }
+
+  async networkDisableTheme(theme) {
+    return this.execMessage(['theme', 'disable', this.positional(theme, 'theme'), '--network']);
+  }
+
+  async listSuperAdmins() {
+    return this.exec(['super-admin', 'list'], { schema: schemas.superAdmins });
+  }
+
+  async addSuperAdmin(user) {
+    return this.execMessage(['super-admin', 'add', this.positional(user, 'user')]);
+  }
+
+  async removeSuperAdmin(user) {
+    return this.execMessage(['super-admin', 'remove', this.positional(user, 'user')]);
   }
 }
 
@@ -4,7 +4,100 @@
  */
 
 export { WordPressRestClient, default as WordPressRestClientDefault } from './clients/rest-api.js';
-export { WPCLIClient, default as WPCLIClientDefault } from './clients/wp-cli.js';
-export { logger, default as loggerDefault } from './utils/logger.js';
+export { WPCLIClient, flag, isReadOnlyCommand, default as WPCLIClientDefault } from './clients/wp-cli.js';
+export {
+  Transport,
+  LocalTransport,
+  SshTransport,
+  DockerTransport,
+  WpEnvTransport,
+  FakeTransport,
+  createTransport,
+  expandHome
+} from './clients/transports.js';
+export {
+  AuthStrategy,
+  AppPasswordAuth,
+  BearerAuth,
+  JwtAuth,
+  CookieNonceAuth,
+  AnonymousAuth,
+  createAuthStrategy
+} from './clients/auth.js';
+export { SiteRegistry, default as SiteRegistryDefault } from './clients/site-registry.js';
+export { BackupManager, default as BackupManagerDefault } from './clients/backup.js';
+export { UpdateManager, default as UpdateManagerDefault } from './clients/updates.js';
+export { SiteDiagnostics, default as SiteDiagnosticsDefault } from './clients/diagnostics.js';
+export { logger, attachMcpLogging, useStdioLogging, default as loggerDefault } from './utils/logger.js';
+export { redact, addRedaction } from './utils/redact.js';
 export { cache, default as cacheDefault } from './utils/cache.js';
-export { convertSchema, createMcpServer } from './utils/schema.js';
+export { RateLimiter, getRateLimiter } from './utils/rate-limiter.js';
+export {
+  WordPressError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  CommandError,
+  createApiError,
+  serializeError
+} from './utils/errors.js';
+export { getMimeType, getExtension, sniffMimeType } from './utils/mime.js';
+export { quoteArg, quoteCommand, splitCommand } from './utils/shell.js';
+export { isPublicAddress, assertPublicUrl, publicLookup, publicRequestOptions } from './utils/url-guard.js';
+export {
+  parseOutput,
+  validateOutput,
+  parseJsonOutput,
+  parseJsonList,
+  parseTabular,
+  parseBatch,
+  parseMessage,
+  parseInteger,
+  parseSearchReplace,
+  wpCliSchemas
+} from './utils/wp-cli-output.js';
+export {
+  createBlock,
+  parseBlocks,
+  serializeAttributes,
+  serializeBlock,
+  serializeBlocks,
+  blockMatcher,
+  walkBlocks,
+  findBlocks,
+  updateBlocks,
+  removeBlocks,
+  replaceInBlocks,
+  blocksToText
+} from './utils/blocks.js';
+export {
+  markdownToBlocks,
+  markdownToContent,
+  blocksToMarkdown,
+  contentToMarkdown,
+  inlineToHtml,
+  htmlToInline
+} from './utils/markdown.js';
+export { diffContent, diffBlocks, diffText, contentFields } from './utils/content-diff.js';
+export { getToolContext, runWithToolContext, createProgressReporter, createStepProgress } from './utils/context.js';
+export { convertSchema, createMcpServer, startServer } from './utils/schema.js';
+export { startHttpServer } from './utils/http-server.js';
+export {
+  registerResources,
+  createWordPressResources,
+  compileUriTemplate,
+  expandUriTemplate
+} from './utils/resources.js';
+export { registerPrompts, createWordPressPrompts, promptArguments } from './utils/prompts.js';
+export {
+  runToolMiddleware,
+  createTimingMiddleware,
+  createArgumentLoggingMiddleware,
+  createTimeoutMiddleware,
+  createConcurrencyMiddleware
+} from './utils/middleware.js';
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createAuthStrategy,
+  AppPasswordAuth,
+  BearerAuth,
+  JwtAuth,
+  CookieNonceAuth,
+  AnonymousAuth
+} from '../clients/auth.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { AuthenticationError } from '../utils/errors.js';
+import { redact } from '../utils/redact.js';
+import { startWordPress } from './helpers.js';
+
+const apply = async strategy => (await strategy.apply({ headers: {} })).headers;
+
+test('createAuthStrategy builds each strategy from config', () => {
+  assert.ok(createAuthStrategy({ env: false, username: 'admin', appPassword: 'abcd efgh' }) instanceof AppPasswordAuth);
+  assert.ok(createAuthStrategy({ env: false, auth: { type: 'bearer', token: 't' } }) instanceof BearerAuth);
+  assert.ok(createAuthStrategy({ env: false, url: 'https://example.com', auth: { type: 'jwt', username: 'a', password: 'b' } }) instanceof JwtAuth);
+  assert.ok(createAuthStrategy({ env: false, auth: { type: 'cookie', cookie: 'c', nonce: 'n' } }) instanceof CookieNonceAuth);
+  assert.ok(createAuthStrategy({ env: false, auth: 'anonymous' }) instanceof AnonymousAuth);
+
+  const instance = new AnonymousAuth();
+  assert.equal(createAuthStrategy({ auth: instance }), instance);
+  assert.throws(() => createAuthStrategy({ env: false, auth: 'kerberos' }), /Unknown WordPress auth type/);
+  assert.throws(() => createAuthStrategy({ env: false }), /application password are required/);
+});
+
+test('createAuthStrategy reads WORDPRESS_* variables unless env is false', () => {
+  Object.assign(process.env, { WORDPRESS_AUTH_TYPE: 'bearer', WORDPRESS_TOKEN: 'from-env' });
+
+  try {
+    assert.equal(createAuthStrategy({}).token, 'from-env');
+    assert.throws(() => createAuthStrategy({ env: false }), /application password/);
+  } finally {
+    delete process.env.WORDPRESS_AUTH_TYPE;
+    delete process.env.WORDPRESS_TOKEN;
+  }
+});
+
+test('application passwords are sent as basic auth and redacted from logs', async () => {
+  const auth = new AppPasswordAuth({ username: 'admin', appPassword: 'abcd efgh ijkl' });
+  const token = Buffer.from('admin:abcdefghijkl').toString('base64');
+
+  assert.deepEqual(await apply(auth), { Authorization: `Basic ${token}` });
+  assert.doesNotMatch(redact(`header Basic ${token} password abcdefghijkl`), /abcdefghijkl|Basic [A-Za-z0-9]{8}/);
+});
+
+test('bearer tokens are fetched once for concurrent requests', async () => {
+  let calls = 0;
+  const auth = new BearerAuth({ getToken: async () => `token-${++calls}` });
+
+  const [first, second] = await Promise.all([apply(auth), apply(auth)]);
+  assert.equal(calls, 1);
+  assert.equal(first.Authorization, 'Bearer token-1');
+  assert.equal(second.Authorization, 'Bearer token-1');
+
+  assert.equal(await auth.refresh(), true);
+  assert.equal((await apply(auth)).Authorization, 'Bearer token-2');
+  assert.equal(await new BearerAuth({ token: 'static' }).refresh(), false);
+});
+
+test('cookie auth sends the cookie and the REST nonce', async () => {
+  let nonces = 0;
+  const auth = new CookieNonceAuth({ cookie: 'wordpress_logged_in=x', getNonce: async () => `nonce-${++nonces}` });
+
+  assert.deepEqual(await apply(auth), { Cookie: 'wordpress_logged_in=x', 'X-WP-Nonce': 'nonce-1' });
+  await auth.refresh();
+  assert.equal((await apply(auth))['X-WP-Nonce'], 'nonce-2');
+});
+
+test('anonymous auth adds no credentials and is not a user', async () => {
+  const auth = new AnonymousAuth();
+  assert.deepEqual(await apply(auth), {});
+  assert.equal(auth.authenticated, false);
+});
+
+test('JWT auth requests a token and reports rejected credentials', async () => {
+  const wordpress = await startWordPress((req, body) => JSON.parse(body).password === 'right'
+    ? { body: { token: 'jwt-token' } }
+    : { status: 403, body: { code: '[jwt_auth] incorrect_password', message: 'Wrong password' } });
+
+  try {
+    const auth = new JwtAuth({ url: wordpress.url, username: 'admin', password: 'right' });
+    assert.equal((await apply(auth)).Authorization, 'Bearer jwt-token');
+    assert.equal(wordpress.requests[0].url, '/wp-json/jwt-auth/v1/token');
+
+    const rejected = new JwtAuth({ url: wordpress.url, username: 'admin', password: 'wrong' });
+    await assert.rejects(rejected.requestToken(), error => {
+      assert.ok(error instanceof AuthenticationError);
+      assert.equal(error.code, '[jwt_auth] incorrect_password');
+      return true;
+    });
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('the REST client refreshes credentials once after a 401 and retries', async () => {
+  const wordpress = await startWordPress(req => req.headers.authorization === 'Bearer fresh'
+    ? { body: { id: 1 } }
+    : { status: 401, body: { code: 'rest_not_logged_in', message: 'Expired' } });
+  const tokens = ['stale', 'fresh'];
+  const rest = new WordPressRestClient({ url: wordpress.url, env: false, auth: new BearerAuth({ getToken: async () => tokens.shift() }) });
+
+  try {
+    assert.deepEqual(await rest.get('/wp/v2/users/me', {}, false), { id: 1 });
+    assert.equal(wordpress.requests.length, 2);
+
+    // A second 401 after refreshing is reported, not retried forever
+    tokens.push('stale', 'stale');
+    await rest.auth.refresh();
+    await assert.rejects(rest.get('/wp/v2/users/me', {}, false), AuthenticationError);
+    assert.equal(wordpress.requests.length, 4);
+  } finally {
+    await wordpress.close();
+  }
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { BackupManager } from '../clients/backup.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+
+function createSite() {
+  const transport = new FakeTransport({ defaultResponse: '' })
+    .respond(['sh', '-c', 'printf %s "$HOME"'], '/home/deploy')
+    .respond(['core', 'version'], '6.6.1')
+    .respond(['plugin', 'list'], '[{"name":"akismet","version":"5.3","status":"active"}]')
+    .respond(['theme', 'list'], '[{"name":"twentytwentyfour","version":"1.2","status":"active"}]')
+    .respond(['option', 'get'], '"https://example.com"')
+    .respond(['eval'], '/var/www/html/wp-content');
+  // Every staged file exists on the fake host
+  transport.files = { has: () => true, get: remotePath => `contents of ${remotePath}`, set: () => {} };
+
+  return { transport, cli: new WPCLIClient({ enabled: true, transport, env: false }) };
+}
+
+const mode = async file => (await fs.promises.stat(file)).mode & 0o777;
+
+test('snapshots are staged in a private directory under the host home', async (t) => {
+  const storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wp-mcp-backups-'));
+  t.after(() => fs.promises.rm(storageDir, { recursive: true, force: true }));
+
+  const { transport, cli } = createSite();
+  const backups = new BackupManager({ cli, storageDir });
+  const snapshot = await backups.createSnapshot();
+
+  const hostCalls = transport.calls.filter(call => call.host).map(call => call.args);
+  const remote = `/home/deploy/.wp-mcp-backups/${snapshot.id}`;
+
+  assert.deepEqual(hostCalls[1], ['sh', '-c', 'umask 077 && exec "$@"', 'sh', 'mkdir', '-p', '-m', '700', remote]);
+  assert.deepEqual(hostCalls[2].slice(0, 7), ['sh', '-c', 'umask 077 && exec "$@"', 'sh', 'tar', '-czf', `${remote}/wp-content.tar.gz`]);
+  assert.deepEqual(hostCalls.at(-1), ['rm', '-rf', remote]);
+});
+
+test('local snapshot storage is readable only by its owner', async (t) => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wp-mcp-backups-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  // Storage left by an older version with the default umask
+  await fs.promises.mkdir(path.join(root, 'production'), { mode: 0o755 });
+  await fs.promises.chmod(path.join(root, 'production'), 0o755);
+
+  const { cli } = createSite();
+  const backups = new BackupManager({ cli, storageDir: root, name: 'production' });
+  const snapshot = await backups.createSnapshot();
+
+  assert.equal(await mode(backups.storageDir), 0o700);
+  assert.equal(await mode(snapshot.path), 0o700);
+  for (const name of ['database.sql', 'wp-content.tar.gz', 'manifest.json']) {
+    assert.equal(await mode(path.join(snapshot.path, name)), 0o600, name);
+  }
+  assert.deepEqual(snapshot.files.map(file => file.name), ['database.sql', 'wp-content.tar.gz']);
+});
+
+async function storage(t) {
+  const storageDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wp-mcp-backups-'));
+  t.after(() => fs.promises.rm(storageDir, { recursive: true, force: true }));
+  return storageDir;
+}
+
+async function writeSnapshot(backups, id, createdAt) {
+  await fs.promises.mkdir(path.join(backups.storageDir, id), { recursive: true });
+  await fs.promises.writeFile(path.join(backups.storageDir, id, 'manifest.json'), JSON.stringify({ id, createdAt, files: [{ name: 'database.sql', size: 10 }] }));
+}
+
+test('snapshots are listed newest first and pruned by retention', async (t) => {
+  const { cli } = createSite();
+  const backups = new BackupManager({ cli, storageDir: await storage(t) });
+  const now = Date.now();
+
+  await writeSnapshot(backups, 'old', new Date(now - 40 * 24 * 60 * 60 * 1000).toISOString());
+  await writeSnapshot(backups, 'middle', new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString());
+  await writeSnapshot(backups, 'new', new Date(now).toISOString());
+  await fs.promises.mkdir(path.join(backups.storageDir, 'no-manifest'));
+
+  assert.deepEqual((await backups.listSnapshots()).map(snapshot => snapshot.id), ['new', 'middle', 'old']);
+
+  assert.deepEqual(await backups.pruneSnapshots({ maxAgeDays: 30, dryRun: true }), { dryRun: true, removed: ['old'], kept: ['new', 'middle'] });
+  assert.equal((await backups.listSnapshots()).length, 3);
+
+  assert.deepEqual(await backups.pruneSnapshots({ keepLast: 1 }), { removed: ['middle', 'old'], kept: ['new'] });
+  assert.deepEqual((await backups.listSnapshots()).map(snapshot => snapshot.id), ['new']);
+});
+
+test('snapshot IDs are validated and unknown snapshots are not found', async (t) => {
+  const { cli } = createSite();
+  const backups = new BackupManager({ cli, storageDir: await storage(t) });
+
+  await assert.rejects(backups.getSnapshot('../etc'), { name: 'ValidationError', code: 'invalid_snapshot_id' });
+  await assert.rejects(backups.getSnapshot('missing'), { name: 'NotFoundError', code: 'snapshot_not_found' });
+});
+
+test('a restore verifies checksums and imports inside maintenance mode', async (t) => {
+  const { transport, cli } = createSite();
+  const backups = new BackupManager({ cli, storageDir: await storage(t) });
+  const snapshot = await backups.createSnapshot();
+
+  assert.equal((await backups.verifySnapshot(snapshot.id)).valid, true);
+
+  const plan = await backups.restoreSnapshot(snapshot.id, { dryRun: true });
+  assert.equal(plan.dryRun, true);
+  assert.deepEqual(plan.plugins, []);
+  assert.equal(plan.effects.length, 3);
+
+  transport.calls.length = 0;
+  const result = await backups.restoreSnapshot(snapshot.id, { content: false });
+  assert.deepEqual(result, { id: snapshot.id, restored: { database: true, content: false }, warnings: [] });
+
+  const commands = transport.calls.map(call => call.args.slice(0, 2).join(' '));
+  const activate = commands.indexOf('maintenance-mode activate');
+  assert.ok(activate >= 0 && activate < commands.indexOf('db import'));
+  assert.ok(commands.indexOf('db import') < commands.indexOf('maintenance-mode deactivate'));
+  assert.ok(!transport.calls.some(call => call.args.includes('-xzf')));
+
+  await fs.promises.appendFile(path.join(snapshot.path, 'database.sql'), 'tampered');
+  const verification = await backups.verifySnapshot(snapshot.id);
+  assert.equal(verification.valid, false);
+  assert.deepEqual(verification.files.filter(file => !file.valid).map(file => file.name), ['database.sql']);
+  await assert.rejects(backups.restoreSnapshot(snapshot.id), { name: 'ValidationError', code: 'snapshot_corrupt' });
+});
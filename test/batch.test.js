@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { startWordPress } from './helpers.js';
+
+/**
+ * A site with /batch/v1 that fails sub-requests titled 'bad' and refuses to batch /wp/v2/settings
+ */
+async function setup(options = {}) {
+  const wordpress = await startWordPress((req, body) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/wp-json/batch/v1') {
+      if (!options.batch) return { status: 404, body: { code: 'rest_no_route' } };
+
+      const { requests } = JSON.parse(body);
+      return {
+        status: 207,
+        body: {
+          responses: requests.map(request => {
+            if (request.path.startsWith('/wp/v2/settings')) return { status: 400, body: { code: 'rest_batch_not_allowed' } };
+            if (request.body?.title === 'bad') return { status: 400, body: { code: 'rest_invalid_param', message: 'Invalid title' } };
+            return { status: 201, body: { path: request.path } };
+          })
+        }
+      };
+    }
+
+    const data = body ? JSON.parse(body) : {};
+    if (data.title === 'bad') return { status: 400, body: { code: 'rest_invalid_param', message: 'Invalid title' } };
+    return { status: 201, body: { path: req.url.replace('/wp-json', '') } };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+  const calls = path => wordpress.requests.filter(request => request.url.startsWith(`/wp-json${path}`)).length;
+
+  return { rest, wordpress, calls, close: () => wordpress.close() };
+}
+
+const posts = titles => titles.map(title => ({ method: 'POST', path: '/wp/v2/posts', body: { title } }));
+
+test('batch sends requests to /batch/v1 in chunks of 25', async () => {
+  const { rest, calls, close } = await setup({ batch: true });
+
+  try {
+    const result = await rest.batch(posts(Array(30).fill('ok')));
+
+    assert.equal(result.mode, 'batch');
+    assert.equal(result.succeeded, 30);
+    assert.equal(calls('/batch/v1'), 2);
+    assert.deepEqual(result.results[29], { index: 29, success: true, status: 201, data: { path: '/wp/v2/posts' }, error: null });
+  } finally {
+    await close();
+  }
+});
+
+test('failed sub-requests get typed errors without failing the batch', async () => {
+  const { rest, close } = await setup({ batch: true });
+
+  try {
+    const result = await rest.batch(posts(['ok', 'bad', 'ok']));
+
+    assert.deepEqual([result.succeeded, result.failed, result.skipped], [2, 1, 0]);
+    assert.equal(result.results[1].error.name, 'ValidationError');
+    assert.equal(result.results[1].error.code, 'rest_invalid_param');
+  } finally {
+    await close();
+  }
+});
+
+test('routes that refuse batching are sent on their own', async () => {
+  const { rest, calls, close } = await setup({ batch: true });
+
+  try {
+    const result = await rest.batch([...posts(['ok']), { method: 'POST', path: '/wp/v2/settings', body: { title: 'Site' } }]);
+
+    assert.equal(result.succeeded, 2);
+    assert.equal(calls('/wp/v2/settings'), 1);
+  } finally {
+    await close();
+  }
+});
+
+test('sites without /batch/v1 fall back to sequential requests', async () => {
+  const { rest, calls, close } = await setup({ batch: false });
+
+  try {
+    const result = await rest.batch(posts(['ok', 'ok']));
+
+    assert.equal(result.mode, 'sequential');
+    assert.equal(result.succeeded, 2);
+    assert.equal(calls('/wp/v2/posts'), 2);
+    assert.equal(rest.batchSupported, false);
+  } finally {
+    await close();
+  }
+});
+
+test('require-all stops at the first failure and skips the rest', async () => {
+  const { rest, calls, close } = await setup({ batch: false });
+
+  try {
+    const result = await rest.batch(posts(['ok', 'bad', 'ok', 'ok']), { validation: 'require-all', chunkSize: 2 });
+
+    assert.deepEqual([result.succeeded, result.failed, result.skipped], [1, 1, 2]);
+    assert.equal(calls('/wp/v2/posts'), 2);
+  } finally {
+    await close();
+  }
+});
+
+test('a dry-run batch previews every request and sends none', async () => {
+  const { rest, wordpress, close } = await setup({ batch: true });
+
+  try {
+    const result = await rest.batch([{ method: 'DELETE', path: '/wp/v2/posts/1', params: { force: true } }], { dryRun: true });
+
+    assert.equal(result.mode, 'dry-run');
+    assert.equal(result.results[0].data.dryRun, true);
+    assert.ok(wordpress.requests.every(request => request.method === 'GET'));
+  } finally {
+    await close();
+  }
+});
+
+test('buildBatchPath appends params as a query string', () => {
+  const rest = new WordPressRestClient({ url: 'http://127.0.0.1', auth: 'anonymous', env: false });
+
+  assert.equal(rest.buildBatchPath('/wp/v2/posts/1', { force: true }), '/wp/v2/posts/1?force=true');
+  assert.equal(rest.buildBatchPath('/wp/v2/posts?status=draft', { page: 2 }), '/wp/v2/posts?status=draft&page=2');
+  assert.equal(rest.buildBatchPath('/wp/v2/posts', {}), '/wp/v2/posts');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseBlocks,
+  serializeBlocks,
+  serializeAttributes,
+  createBlock,
+  findBlocks,
+  updateBlocks,
+  removeBlocks,
+  replaceInBlocks,
+  blocksToText
+} from '../utils/blocks.js';
+
+// Hand-written markup: odd spacing, escaped attributes, void blocks and HTML outside blocks
+const DOCUMENT = [
+  '<p>Classic intro</p>\n',
+  '<!-- wp:heading {"level":3}  -->\n<h3>Title</h3>\n<!-- /wp:heading -->\n\n',
+  '<!--  wp:paragraph {"className":"a\\u002d\\u002db","note":"\\u003cb\\u003e"}\n-->\n<p>One &amp; two</p>\n<!-- /wp:paragraph -->\n\n',
+  '<!-- wp:group {"layout":{"type":"constrained"}} -->\n<div class="wp-block-group">',
+  '<!-- wp:paragraph -->\n<p>Inside</p>\n<!-- /wp:paragraph -->',
+  '<!-- wp:my-plugin/widget {"id":7} /-->',
+  '</div>\n<!-- /wp:group -->\n\n',
+  '<!-- wp:separator /-->'
+].join('');
+
+test('serialize(parse(markup)) reproduces the markup byte for byte', () => {
+  assert.equal(serializeBlocks(parseBlocks(DOCUMENT)), DOCUMENT);
+  assert.equal(serializeBlocks(parseBlocks('')), '');
+  assert.equal(serializeBlocks(parseBlocks('<p>No blocks at all</p>')), '<p>No blocks at all</p>');
+});
+
+test('parseBlocks builds the same tree shape as the WordPress parser', () => {
+  const blocks = parseBlocks(DOCUMENT);
+
+  assert.deepEqual(blocks.map(block => block.name), [null, 'core/heading', null, 'core/paragraph', null, 'core/group', null, 'core/separator']);
+  assert.deepEqual(blocks[1], {
+    name: 'core/heading',
+    attrs: { level: 3 },
+    innerBlocks: [],
+    innerHTML: '\n<h3>Title</h3>\n',
+    innerContent: ['\n<h3>Title</h3>\n']
+  });
+  assert.deepEqual(blocks[3].attrs, { className: 'a--b', note: '<b>' });
+
+  const group = blocks[5];
+  assert.deepEqual(group.innerBlocks.map(block => block.name), ['core/paragraph', 'my-plugin/widget']);
+  assert.deepEqual(group.innerContent, ['\n<div class="wp-block-group">', null, null, '</div>\n']);
+  assert.equal(group.innerHTML, '\n<div class="wp-block-group"></div>\n');
+});
+
+test('changed blocks are written in canonical form while the rest stays untouched', () => {
+  const blocks = updateBlocks(parseBlocks(DOCUMENT), { name: 'heading' }, { attrs: { level: 2 }, innerHTML: '\n<h2>Title</h2>\n' });
+
+  assert.equal(blocks.count, 1);
+  assert.equal(
+    serializeBlocks(blocks),
+    DOCUMENT.replace('<!-- wp:heading {"level":3}  -->\n<h3>Title</h3>\n', '<!-- wp:heading {"level":2} -->\n<h2>Title</h2>\n')
+  );
+  assert.equal(serializeAttributes({ html: '<a href="x">--&</a>' }), '{"html":"\\u003ca href=\\u0022x\\u0022\\u003e\\u002d\\u002d\\u0026\\u003c/a\\u003e"}');
+});
+
+test('inner blocks can be added, removed and found by path', () => {
+  const parsed = parseBlocks(DOCUMENT);
+
+  assert.deepEqual(findBlocks(parsed, 'paragraph').map(found => found.path), [[3], [5, 0]]);
+  assert.deepEqual(findBlocks(parsed, { name: 'my-plugin/widget', attrs: { id: 7 } }).map(found => found.path), [[5, 1]]);
+
+  const removed = removeBlocks(parsed, 'my-plugin/widget');
+  assert.equal(removed.count, 1);
+  assert.ok(!serializeBlocks(removed).includes('my-plugin/widget'));
+  assert.ok(serializeBlocks(removed).includes('<p>Inside</p>\n<!-- /wp:paragraph --></div>'));
+
+  const added = updateBlocks(parsed, 'group', block => ({
+    innerBlocks: [...block.innerBlocks, createBlock('core/paragraph', {}, [], '<p>Added</p>')]
+  }));
+  assert.ok(serializeBlocks(added).includes('<!-- wp:my-plugin/widget {"id":7} /--><!-- wp:paragraph --><p>Added</p><!-- /wp:paragraph --></div>'));
+  assert.equal(serializeBlocks(parsed), DOCUMENT, 'the original tree is not modified');
+
+  assert.throws(() => updateBlocks(parsed, 'group', { innerHTML: '<div></div>' }), { name: 'ValidationError', code: 'block_has_inner_blocks' });
+});
+
+test('replaceInBlocks edits text inside matching blocks only', () => {
+  const replaced = replaceInBlocks(parseBlocks(DOCUMENT), /Inside|Title/, 'Changed', { matcher: 'paragraph' });
+
+  assert.equal(replaced.count, 1);
+  assert.match(serializeBlocks(replaced), /<p>Changed<\/p>/);
+  assert.match(serializeBlocks(replaced), /<h3>Title<\/h3>/);
+  assert.equal(blocksToText(parseBlocks(DOCUMENT)), 'Classic intro\nTitle\nOne &amp; two\nInside');
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffText, diffBlocks, diffContent } from '../utils/content-diff.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { startWordPress } from './helpers.js';
+
+const paragraph = text => `<!-- wp:paragraph -->\n<p>${text}</p>\n<!-- /wp:paragraph -->`;
+const heading = (text, level = 2) => `<!-- wp:heading {"level":${level}} -->\n<h${level}>${text}</h${level}>\n<!-- /wp:heading -->`;
+
+test('diffText reports word-level changes', () => {
+  assert.deepEqual(diffText('The quick fox', 'The slow fox').changes, [
+    { type: 'equal', text: 'The ' },
+    { type: 'delete', text: 'quick' },
+    { type: 'insert', text: 'slow' },
+    { type: 'equal', text: ' fox' }
+  ]);
+  assert.deepEqual(diffText('same', 'same'), { changed: false, from: 'same', to: 'same', changes: [{ type: 'equal', text: 'same' }] });
+});
+
+test('diffBlocks pairs edited blocks and reports the rest as added or removed', () => {
+  const before = [heading('Intro'), paragraph('First'), paragraph('Second'), paragraph('Gone')].join('\n\n');
+  const after = [heading('Intro', 3), paragraph('First'), paragraph('Second, edited'), '<!-- wp:separator /-->'].join('\n\n');
+
+  const diff = diffBlocks(before, after);
+
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 2 });
+  assert.deepEqual(diff.blocks.map(block => [block.type, block.index, block.name]), [
+    ['changed', 0, 'core/heading'],
+    ['changed', 2, 'core/paragraph'],
+    ['removed', 3, 'core/paragraph'],
+    ['added', 3, 'core/separator']
+  ]);
+  assert.deepEqual(diff.blocks[0].attrs, { level: { from: 2, to: 3 } });
+  assert.equal(diff.blocks[0].text.changed, false);
+  assert.deepEqual(diff.blocks[1].text.changes.filter(change => change.type !== 'equal'), [{ type: 'delete', text: 'Second' }, { type: 'insert', text: 'Second, edited' }]);
+
+  assert.equal(diffBlocks(before, `${before}\n\n`).changed, false, 'whitespace between blocks is not a change');
+});
+
+test('diffContent compares REST items field by field and skips missing fields', () => {
+  const saved = { title: { raw: 'Hello', rendered: 'Hello' }, excerpt: { raw: '' }, content: { raw: paragraph('Hi') }, meta: { subtitle: 'a', color: 'red' } };
+
+  const diff = diffContent(saved, { title: 'Hello world', meta: { subtitle: 'b' } }, { partial: true });
+  assert.equal(diff.fields.title.changed, true);
+  assert.equal(diff.fields.content.changed, false);
+  assert.deepEqual(diff.fields.meta.keys, { subtitle: { from: 'a', to: 'b' } });
+  assert.deepEqual(diff.summary, ['Title changed', 'Meta changed: subtitle']);
+
+  assert.deepEqual(diffContent(saved, { content: paragraph('Hi there') }).summary, ['Content: 1 block changed']);
+  assert.equal(diffContent(saved, saved).changed, false);
+});
+
+test('diffRevisions compares a revision with the saved post', async () => {
+  const wordpress = await startWordPress((req) => {
+    if (req.url.startsWith('/wp-json/wp/v2/posts/7/revisions/3')) {
+      return { body: { id: 3, author: 1, modified: '2024-05-01T10:00:00', title: { raw: 'Draft' }, content: { raw: paragraph('Old') } } };
+    }
+    if (req.url.startsWith('/wp-json/wp/v2/posts/7/revisions')) {
+      return { status: 404, body: { code: 'rest_no_route', message: 'No route' } };
+    }
+    return { body: { id: 7, author: 1, modified: '2024-05-02T10:00:00', title: { raw: 'Final' }, content: { raw: paragraph('New') } } };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+
+  try {
+    const diff = await rest.diffRevisions(7, 3);
+
+    assert.deepEqual(diff.from, { id: 3, date: '2024-05-01T10:00:00', author: 1 });
+    assert.deepEqual(diff.to, { id: 'current', date: '2024-05-02T10:00:00', author: 1 });
+    assert.deepEqual(diff.summary, ['Title changed', 'Content: 1 block changed']);
+
+    await assert.rejects(rest.getRevisions(7), { name: 'NotFoundError', code: 'revisions_not_supported' });
+  } finally {
+    await wordpress.close();
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SiteDiagnostics } from '../clients/diagnostics.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { startWordPress } from './helpers.js';
+
+const ENVIRONMENT = {
+  wordpress: '6.6.1',
+  php: '8.2.10',
+  mysql: '8.0.35',
+  environment: 'production',
+  multisite: false,
+  permalinkStructure: '/%postname%/',
+  debug: { WP_DEBUG: true, WP_DEBUG_LOG: false, WP_DEBUG_DISPLAY: true, SCRIPT_DEBUG: false, SAVEQUERIES: null },
+  cron: { disabled: false, alternate: false }
+};
+
+function createCli(environment = ENVIRONMENT) {
+  const transport = new FakeTransport()
+    .respond(['--version'], 'WP-CLI 2.10.0')
+    .respond(['eval'], JSON.stringify(environment))
+    .respond(['plugin', 'list'], JSON.stringify([
+      { name: 'akismet', status: 'active', version: '5.3', update: 'available' },
+      { name: 'hello', status: 'inactive', version: '1.7.2', update: 'none' }
+    ]))
+    .respond(['theme', 'list'], JSON.stringify([{ name: 'twentytwentyfour', status: 'active', version: '1.2', update: 'none' }]))
+    .respond(['cron', 'event'], JSON.stringify([
+      { hook: 'wp_version_check', next_run_gmt: '2020-01-01 00:00:00' },
+      { hook: 'wp_scheduled_delete', next_run_gmt: '2999-01-01 00:00:00' }
+    ]));
+
+  return new WPCLIClient({ enabled: true, transport, env: false });
+}
+
+test('diagnostics need at least one client', () => {
+  assert.throws(() => new SiteDiagnostics(), /requires a REST client, a WP-CLI client or both/);
+});
+
+test('a WP-CLI report covers versions, cron and debug settings and ranks the issues', async () => {
+  const report = await new SiteDiagnostics({ cli: createCli() }).getReport();
+
+  assert.deepEqual(report.versions, { wordpress: '6.6.1', php: '8.2.10', mysql: '8.0.35' });
+  assert.deepEqual(report.permalinks, { structure: '/%postname%/', pretty: true });
+  assert.equal(report.plugins.source, 'cli');
+  assert.deepEqual(report.plugins.active.map(plugin => plugin.name), ['akismet']);
+  assert.equal(report.cron.overdue, 1);
+  assert.deepEqual(report.cron.overdueHooks, ['wp_version_check']);
+
+  assert.deepEqual(report.issues.map(issue => [issue.severity, issue.section]), [
+    ['critical', 'debug'],
+    ['critical', 'cron'],
+    ['recommended', 'plugins']
+  ]);
+  assert.equal(report.status, 'critical');
+  assert.equal(report.rest, null);
+});
+
+test('an unreachable REST API still returns the CLI sections with a warning', async () => {
+  const wordpress = await startWordPress(() => ({ status: 500, body: { code: 'internal_server_error', message: 'Boom' } }));
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, retry: { retries: 0 } });
+
+  try {
+    const report = await new SiteDiagnostics({ rest, cli: createCli({ ...ENVIRONMENT, environment: 'staging' }) }).getReport();
+
+    assert.deepEqual(report.sources.rest, { configured: true, reachable: false });
+    assert.ok(report.warnings.some(warning => warning.section === 'rest'));
+    assert.equal(report.versions.wordpress, '6.6.1');
+    assert.equal(report.issues[0].section, 'rest');
+    assert.ok(!report.issues.some(issue => issue.section === 'debug'), 'debug display is only an issue in production');
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('a REST-only report falls back to REST plugins, themes and Site Health', async () => {
+  const wordpress = await startWordPress((req) => {
+    const route = req.url.replace(/^\/wp-json/, '').split('?')[0];
+    if (route === '/') return { body: { name: 'Example', url: 'https://example.com', home: 'https://example.com', namespaces: ['wp/v2', 'wp-site-health/v1'] } };
+    if (route === '/wp/v2/plugins') return { body: [{ plugin: 'akismet/akismet', status: 'active', version: '5.3' }] };
+    if (route === '/wp/v2/themes') return { body: [{ stylesheet: 'twentytwentyfour', status: 'active', version: '1.2' }] };
+    if (route === '/wp-site-health/v1/tests/https-status') return { body: { test: 'https_status', status: 'recommended', label: 'Your site does not use HTTPS' } };
+    if (route.startsWith('/wp-site-health/v1/tests/')) return { status: 404, body: { code: 'rest_no_route', message: 'No route' } };
+    return { body: { test: 'x', status: 'good', label: 'OK' } };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+
+  try {
+    const report = await new SiteDiagnostics({ rest }).getReport();
+
+    assert.deepEqual(report.sources, { rest: { configured: true, reachable: true }, cli: { configured: false, available: false } });
+    assert.deepEqual(report.permalinks, { structure: null, pretty: true });
+    assert.deepEqual(report.plugins, { source: 'rest', total: 1, active: [{ name: 'akismet/akismet', version: '5.3', status: 'active' }], updatesAvailable: null });
+    assert.equal(report.themes.active[0].name, 'twentytwentyfour');
+    assert.deepEqual(report.siteHealth.summary, { good: 0, recommended: 1, critical: 0 });
+    assert.deepEqual(report.issues, [{ severity: 'recommended', section: 'siteHealth', message: 'Your site does not use HTTPS' }]);
+    assert.equal(report.status, 'recommended');
+    assert.equal(report.versions, null);
+  } finally {
+    await wordpress.close();
+  }
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { runWithToolContext } from '../utils/context.js';
+import { startWordPress } from './helpers.js';
+
+const POST = { id: 42, type: 'post', slug: 'hello', status: 'publish', title: { raw: 'Hello' }, content: { raw: '<p>Hi</p>' } };
+
+async function setup(config = {}) {
+  const wordpress = await startWordPress(req => req.url.startsWith('/wp-json/wp/v2/posts/404')
+    ? { status: 404, body: { code: 'rest_post_invalid_id', message: 'Invalid post ID.' } }
+    : { body: POST });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, ...config });
+  const writes = () => wordpress.requests.filter(request => request.method !== 'GET');
+
+  return { rest, writes, close: () => wordpress.close() };
+}
+
+test('a dry-run update previews the changed fields against the current resource', async () => {
+  const { rest, writes, close } = await setup({ dryRun: true });
+
+  try {
+    const plan = await rest.put('/wp/v2/posts/42', { title: 'New title', status: 'publish' });
+
+    assert.deepEqual(plan, {
+      dryRun: true,
+      method: 'PUT',
+      endpoint: '/wp/v2/posts/42',
+      action: 'update',
+      target: { id: 42, type: 'post', slug: 'hello', status: 'publish', title: 'Hello' },
+      changes: { title: { from: 'Hello', to: 'New title' } },
+      unchanged: ['status']
+    });
+    assert.equal(writes().length, 0);
+  } finally {
+    await close();
+  }
+});
+
+test('dry-run creates and deletes describe what would happen', async () => {
+  const { rest, writes, close } = await setup({ dryRun: true });
+
+  try {
+    assert.deepEqual(await rest.post('/wp/v2/posts', { title: 'Draft' }), {
+      dryRun: true, method: 'POST', endpoint: '/wp/v2/posts', action: 'create', data: { title: 'Draft' }
+    });
+
+    const trash = await rest.delete('/wp/v2/posts/42');
+    assert.equal(trash.action, 'move to trash');
+    assert.equal(trash.target.id, 42);
+    assert.equal((await rest.delete('/wp/v2/posts/42', { force: true })).action, 'delete permanently');
+
+    await assert.rejects(rest.delete('/wp/v2/posts/404'), { name: 'NotFoundError' });
+    assert.equal(writes().length, 0);
+  } finally {
+    await close();
+  }
+});
+
+test('dryRun can be forced per call and by the tool context', async () => {
+  const { rest, writes, close } = await setup();
+
+  try {
+    assert.equal((await rest.put('/wp/v2/posts/42', { title: 'x' }, { dryRun: true })).dryRun, true);
+    assert.equal((await runWithToolContext({ dryRun: true }, () => rest.put('/wp/v2/posts/42', { title: 'x' }))).dryRun, true);
+    assert.equal(writes().length, 0);
+
+    await rest.put('/wp/v2/posts/42', { title: 'x' });
+    assert.equal(writes().length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('WP-CLI dry runs skip writes, keep reads and use native --dry-run', async () => {
+  const transport = new FakeTransport({ defaultResponse: '[]' })
+    .respond(['search-replace'], 'Table\tColumn\tReplacements\tType\nwp_posts\tpost_content\t2\tSQL\n');
+  const cli = new WPCLIClient({ enabled: true, transport, env: false, dryRun: true });
+
+  const plan = await cli.exec(['plugin', 'delete', 'akismet']);
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.command, 'wp plugin delete akismet');
+
+  await cli.exec(['plugin', 'list']);
+  const report = await cli.searchReplace('http://old.test', 'https://new.test');
+  assert.equal(report.totalReplacements, 2);
+
+  assert.deepEqual(transport.calls.map(call => call.args.slice(0, 2)), [['plugin', 'list'], ['search-replace', 'http://old.test']]);
+  assert.ok(transport.calls[1].args.includes('--dry-run'));
+});
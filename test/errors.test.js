@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import {
+  WordPressError,
+  AuthenticationError,
+  PermissionError,
+  NotFoundError,
+  ValidationError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  createApiError,
+  parseRetryAfter,
+  serializeError
+} from '../utils/errors.js';
+
+/**
+ * An axios-shaped error for a WordPress response
+ */
+function responseError(status, data = {}, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers },
+    request: {}
+  });
+}
+
+test('createApiError maps HTTP statuses onto error classes', () => {
+  const cases = [
+    [400, ValidationError],
+    [401, AuthenticationError],
+    [403, PermissionError],
+    [404, NotFoundError],
+    [408, TimeoutError],
+    [429, RateLimitError]
+  ];
+
+  for (const [status, ErrorClass] of cases) {
+    const error = createApiError(responseError(status));
+    assert.ok(error instanceof ErrorClass, String(status));
+    assert.ok(error instanceof WordPressError, String(status));
+    assert.equal(error.status, status);
+  }
+
+  const serverError = createApiError(responseError(500));
+  assert.equal(serverError.constructor, WordPressError);
+  assert.equal(serverError.retryable, true);
+  assert.equal(createApiError(responseError(409)).retryable, false);
+});
+
+test('createApiError keeps the WordPress code, params and cause', () => {
+  const original = responseError(400, {
+    code: 'rest_invalid_param',
+    message: 'Invalid parameter(s): status',
+    data: { status: 400, params: { status: 'status is not one of publish, draft.' } }
+  });
+  const error = createApiError(original);
+
+  assert.equal(error.message, 'WordPress API Error (400): Invalid parameter(s): status');
+  assert.equal(error.code, 'rest_invalid_param');
+  assert.deepEqual(error.params, { status: 'status is not one of publish, draft.' });
+  assert.equal(error.cause, original);
+  assert.match(error.hint, /status/);
+});
+
+test('createApiError reads Retry-After on 429', () => {
+  assert.equal(createApiError(responseError(429, {}, { 'retry-after': '30' })).retryAfter, 30);
+  assert.match(createApiError(responseError(429, {}, { 'retry-after': '30' })).hint, /Wait 30s/);
+});
+
+test('createApiError tells timeouts, cancellations and network failures apart', () => {
+  const timeout = createApiError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED', request: {} }));
+  assert.ok(timeout instanceof TimeoutError);
+
+  const network = createApiError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', request: {} }));
+  assert.ok(network instanceof NetworkError);
+  assert.equal(network.code, 'ECONNREFUSED');
+
+  const reason = new TimeoutError('Tool timed out');
+  const controller = new AbortController();
+  controller.abort(reason);
+  const canceled = { code: 'ERR_CANCELED', message: 'canceled', config: { signal: controller.signal } };
+  assert.equal(createApiError(canceled), reason);
+  assert.equal(createApiError({ ...canceled, config: {} }).code, 'request_cancelled');
+
+  const typed = new NotFoundError('gone');
+  assert.equal(createApiError(typed), typed);
+});
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('12'), 12);
+  assert.equal(parseRetryAfter(undefined), null);
+
+  const seconds = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+  assert.ok(seconds >= 8 && seconds <= 10, String(seconds));
+});
+
+test('serializeError returns a machine-readable payload for any error', () => {
+  assert.deepEqual(serializeError(new NotFoundError('Post 9 not found', { status: 404, code: 'rest_post_invalid_id' })), {
+    type: 'not_found',
+    message: 'Post 9 not found',
+    status: 404,
+    code: 'rest_post_invalid_id',
+    details: null,
+    retryable: false,
+    hint: 'The resource does not exist. List the collection first to find a valid ID or slug.'
+  });
+
+  assert.equal(serializeError(new RateLimitError('Slow down', { retryAfter: 5 })).retryAfter, 5);
+
+  const zod = serializeError(z.object({ id: z.number() }).safeParse({ id: 'x' }).error);
+  assert.equal(zod.type, 'invalid_arguments');
+  assert.deepEqual(Object.keys(zod.details), ['id']);
+
+  const plain = serializeError(Object.assign(new Error('boom'), { code: 'EBOOM' }));
+  assert.equal(plain.type, 'internal_error');
+  assert.equal(plain.code, 'EBOOM');
+});
@@ -0,0 +1,45 @@
+import http from 'node:http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+/**
+ * Connect an MCP client to a server in memory
+ */
+export async function connect(server) {
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'test-client', version: '1.0.0' });
+
+  await server.connect(serverTransport);
+  await client.connect(clientTransport);
+  return client;
+}
+
+/**
+ * Local HTTP server answering with handler(req, body) -> { status, headers, body }
+ * Every request is recorded in `requests`
+ */
+export async function startWordPress(handler = () => ({ body: {} })) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('utf8');
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const reply = await handler(req, body);
+    const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? {});
+    res.writeHead(reply.status ?? 200, { 'Content-Type': 'application/json', ...reply.headers });
+    res.end(payload);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMcpServer } from '../utils/schema.js';
+import { startHttpServer } from '../utils/http-server.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+async function start(t, options = {}) {
+  const closed = [];
+  const createServer = () => {
+    const server = createMcpServer('test', '1.0.0', []);
+    const close = server.close.bind(server);
+    server.close = async () => {
+      closed.push(server);
+      return close();
+    };
+    return server;
+  };
+
+  const http = await startHttpServer(null, { port: 0, handleSignals: false, createServer, ...options });
+  t.after(() => http.close());
+  return { ...http, closed };
+}
+
+function post(url, body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function initialize(url, headers) {
+  const response = await post(url, INITIALIZE, headers);
+  await response.text();
+  return response;
+}
+
+const waitFor = async (check, timeout = 2000) => {
+  const until = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > until) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('DELETE closes the session and its server', async (t) => {
+  const { url, sessions, closed } = await start(t);
+  const response = await initialize(url);
+  const sessionId = response.headers.get('mcp-session-id');
+
+  assert.equal(response.status, 200);
+  assert.equal(sessions.size, 1);
+
+  const deleted = await fetch(url, { method: 'DELETE', headers: { 'mcp-session-id': sessionId } });
+  assert.equal(deleted.status, 200);
+  await waitFor(() => sessions.size === 0 && closed.length === 1);
+});
+
+test('idle sessions expire and close their server', async (t) => {
+  const { url, sessions, closed } = await start(t, { sessionTimeout: 100 });
+  const response = await initialize(url);
+
+  assert.equal(sessions.size, 1);
+  await waitFor(() => sessions.size === 0 && closed.length === 1);
+
+  const late = await post(url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'mcp-session-id': response.headers.get('mcp-session-id') });
+  assert.equal(late.status, 404);
+});
+
+test('only localhost origins are accepted without an allowlist', async (t) => {
+  const { url } = await start(t);
+
+  assert.equal((await initialize(url)).status, 200);
+  assert.equal((await initialize(url, { Origin: 'http://localhost:5173' })).status, 200);
+  assert.equal((await initialize(url, { Origin: 'http://[::1]:8080' })).status, 200);
+  assert.equal((await initialize(url, { Origin: 'https://evil.example' })).status, 403);
+  assert.equal((await initialize(url, { Origin: 'http://localhost.evil.example' })).status, 403);
+  assert.equal((await initialize(url, { Origin: 'null' })).status, 403);
+});
+
+test('an allowlist replaces the localhost default', async (t) => {
+  const { url } = await start(t, { allowedOrigins: ['https://app.example'] });
+
+  assert.equal((await initialize(url, { Origin: 'https://app.example' })).status, 200);
+  assert.equal((await initialize(url, { Origin: 'http://localhost:5173' })).status, 403);
+});
+
+test('a bearer token is required when configured', async (t) => {
+  const { url } = await start(t, { token: 'secret' });
+
+  const missing = await initialize(url);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await initialize(url, { Authorization: 'Bearer wrong' })).status, 401);
+  assert.equal((await initialize(url, { Authorization: 'Bearer secret' })).status, 200);
+
+  const health = await fetch(new URL('/health', url));
+  assert.equal(health.status, 200);
+});
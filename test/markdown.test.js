@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { markdownToContent, markdownToBlocks, contentToMarkdown, inlineToHtml, htmlToInline } from '../utils/markdown.js';
+import { parseBlocks } from '../utils/blocks.js';
+
+const MARKDOWN = `# Title
+
+Some *emphasis*, **bold**, ~~gone~~, \`a < b\` and [a link](https://example.com).
+
+- one
+- two
+
+1. first
+2. second
+
+> quoted
+
+\`\`\`js
+const x = 1 < 2;
+\`\`\`
+
+![Alt](https://example.com/a.jpg "Caption"){id=42}
+
+| A | B |
+| --- | --- |
+| 1 | 2 |
+
+---
+
+<!-- wp:my-plugin/widget {"id":7} /-->`;
+
+test('Markdown becomes core blocks laid out the way the editor saves them', () => {
+  const blocks = parseBlocks(markdownToContent(MARKDOWN)).filter(block => block.name);
+
+  assert.deepEqual(blocks.map(block => block.name), [
+    'core/heading', 'core/paragraph', 'core/list', 'core/list', 'core/quote',
+    'core/code', 'core/image', 'core/table', 'core/separator', 'my-plugin/widget'
+  ]);
+  assert.equal(blocks[0].innerHTML, '\n<h1 class="wp-block-heading">Title</h1>\n');
+  assert.equal(blocks[1].innerHTML, '\n<p>Some <em>emphasis</em>, <strong>bold</strong>, <s>gone</s>, <code>a &lt; b</code> and <a href="https://example.com">a link</a>.</p>\n');
+  assert.deepEqual(blocks[3].attrs, { ordered: true });
+  assert.deepEqual(blocks[3].innerBlocks.map(item => item.innerHTML), ['\n<li>first</li>\n', '\n<li>second</li>\n']);
+  assert.equal(blocks[5].innerHTML, '\n<pre class="wp-block-code language-js"><code>const x = 1 &lt; 2;</code></pre>\n');
+  assert.deepEqual(blocks[6].attrs, { id: 42, sizeSlug: 'large', linkDestination: 'none' });
+  assert.match(blocks[6].innerHTML, /<img src="https:\/\/example.com\/a.jpg" alt="Alt" class="wp-image-42"\/><figcaption class="wp-element-caption">Caption<\/figcaption>/);
+  assert.deepEqual(blocks[9].attrs, { id: 7 });
+});
+
+test('Markdown survives a round trip through post content', () => {
+  assert.equal(contentToMarkdown(markdownToContent(MARKDOWN)), MARKDOWN);
+});
+
+test('media: references are resolved from options.media', () => {
+  const [image] = markdownToBlocks('![Alt](media:42 "Caption")', { media: { 42: { url: 'https://example.com/a.jpg', alt: 'Alt' } } });
+
+  assert.equal(image.attrs.id, 42);
+  assert.match(image.innerHTML, /src="https:\/\/example.com\/a.jpg"/);
+});
+
+test('classic HTML and blocks without a Markdown form', () => {
+  assert.equal(contentToMarkdown('<h2>Classic</h2><p>Hello <strong>world</strong></p><ul><li>a</li></ul>'), '## Classic\n\nHello **world**\n\n- a');
+
+  const compact = contentToMarkdown(markdownToContent(MARKDOWN), { unknownBlocks: 'content' });
+  assert.ok(!compact.includes('wp:my-plugin/widget'));
+  assert.ok(compact.endsWith('---'));
+});
+
+test('inline conversion leaves escapes, code and unknown tags alone', () => {
+  assert.equal(inlineToHtml('snake_case_name *x* <br> \\*'), 'snake_case_name <em>x</em> <br> *');
+  assert.equal(htmlToInline('<em>x</em> <code>y</code> <span>z</span>'), '*x* `y` <span>z</span>');
+});
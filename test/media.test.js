@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { startWordPress } from './helpers.js';
+
+function client(config = {}) {
+  return new WordPressRestClient({ url: 'http://127.0.0.1', auth: 'anonymous', env: false, ...config });
+}
+
+function chunks(count, size = 1024) {
+  return Readable.from(Array.from({ length: count }, () => Buffer.alloc(size)));
+}
+
+test('maxMediaSize defaults to 100 MB and reads WORDPRESS_MAX_MEDIA_SIZE', () => {
+  assert.equal(client().maxMediaSize, 100 * 1024 * 1024);
+  assert.equal(client({ maxMediaSize: 10 }).maxMediaSize, 10);
+
+  process.env.WORDPRESS_MAX_MEDIA_SIZE = '2048';
+  try {
+    assert.equal(client().maxMediaSize, 2048);
+  } finally {
+    delete process.env.WORDPRESS_MAX_MEDIA_SIZE;
+  }
+});
+
+test('streamToBuffer stops once the stream grows past the limit', async () => {
+  const rest = client();
+  assert.equal((await rest.streamToBuffer(chunks(4), 4096)).length, 4096);
+
+  const stream = chunks(8);
+  await assert.rejects(rest.streamToBuffer(stream, 4096), { name: 'ValidationError', code: 'media_too_large' });
+  assert.equal(stream.destroyed, true);
+});
+
+test('limitStream fails a download larger than maxMediaSize', async () => {
+  const rest = client({ maxMediaSize: 4096 });
+  const source = chunks(8);
+  const limited = rest.limitStream(source, 'https://example.com/big.png');
+
+  await assert.rejects(async () => {
+    for await (const chunk of limited) assert.ok(chunk);
+  }, { name: 'ValidationError', code: 'media_too_large' });
+  assert.equal(source.destroyed, true);
+});
+
+test('uploadMediaFromUrl reports an oversized streamed download, not the aborted upload', async () => {
+  const wordpress = await startWordPress(() => ({ status: 201, body: { id: 1 } }));
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, maxMediaSize: 4096 });
+  rest.downloadMedia = async url => ({
+    url,
+    response: { headers: { 'content-type': 'image/png' }, data: rest.limitStream(chunks(64), url) }
+  });
+
+  try {
+    await assert.rejects(
+      rest.uploadMediaFromUrl('https://example.com/big.png'),
+      { name: 'ValidationError', code: 'media_too_large' }
+    );
+  } finally {
+    await wordpress.close();
+  }
+});
@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import {
+  runToolMiddleware,
+  createTimingMiddleware,
+  createArgumentLoggingMiddleware,
+  createTimeoutMiddleware,
+  createConcurrencyMiddleware
+} from '../utils/middleware.js';
+import { createMcpServer } from '../utils/schema.js';
+import logger from '../utils/logger.js';
+import { connect } from './helpers.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const call = (tool = {}, args = {}) => ({ name: tool.name || 'tool', tool, args, context: {} });
+
+function tracer(name, events, hooks = {}) {
+  return {
+    name,
+    before: () => { events.push(`${name}:before`); },
+    after: () => { events.push(`${name}:after`); },
+    onError: () => { events.push(`${name}:error`); },
+    ...hooks
+  };
+}
+
+test('before hooks run in order, after and onError in reverse', async () => {
+  const events = [];
+  const middleware = [tracer('outer', events), tracer('inner', events)];
+
+  const result = await runToolMiddleware(middleware, call(), async () => {
+    events.push('handler');
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.deepEqual(events, ['outer:before', 'inner:before', 'handler', 'inner:after', 'outer:after']);
+
+  events.length = 0;
+  await assert.rejects(runToolMiddleware(middleware, call(), async () => { throw new Error('boom'); }), /boom/);
+  assert.deepEqual(events, ['outer:before', 'inner:before', 'inner:error', 'outer:error']);
+});
+
+test('middleware can rewrite arguments, replace results and recover from errors', async () => {
+  const middleware = [
+    { name: 'recover', onError: (_, error) => `recovered from ${error.message}` },
+    { name: 'wrap', after: (_, result) => `[${result}]` },
+    { name: 'args', before: (current) => { current.args = { value: current.args.value * 2 }; } }
+  ];
+
+  assert.equal(await runToolMiddleware(middleware, call({}, { value: 2 }), async args => args.value), '[4]');
+  assert.equal(await runToolMiddleware(middleware, call(), async () => { throw new Error('boom'); }), 'recovered from boom');
+});
+
+test('a middleware that throws in before rejects the call and unwinds the outer layers', async () => {
+  const events = [];
+  let ran = false;
+  const middleware = [tracer('outer', events), { name: 'deny', before: () => { throw new Error('Not allowed'); } }];
+
+  await assert.rejects(runToolMiddleware(middleware, call(), async () => { ran = true; }), /Not allowed/);
+  assert.equal(ran, false);
+  assert.deepEqual(events, ['outer:before', 'outer:error']);
+});
+
+test('tools opt out of all or some middleware with skipMiddleware', async () => {
+  const events = [];
+  const middleware = [tracer('a', events), tracer('b', events)];
+
+  await runToolMiddleware(middleware, call({ skipMiddleware: ['a'] }), async () => {});
+  assert.deepEqual(events, ['b:before', 'b:after']);
+
+  events.length = 0;
+  await runToolMiddleware(middleware, call({ skipMiddleware: true }), async () => {});
+  assert.deepEqual(events, []);
+});
+
+test('the timeout middleware aborts the signal and fails the call even if the handler ignores it', async () => {
+  const timeout = createTimeoutMiddleware({ timeout: 20 });
+  let signal;
+
+  await assert.rejects(
+    runToolMiddleware([timeout], call({ name: 'slow' }), async (args, context) => {
+      signal = context.signal;
+      await delay(200);
+      return 'too late';
+    }),
+    { name: 'TimeoutError', code: 'tool_timeout', message: 'Tool slow timed out after 20ms' }
+  );
+  assert.equal(signal.aborted, true);
+
+  assert.equal(await runToolMiddleware([timeout], call({ timeout: 0 }), async (args, context) => context.signal ?? 'no signal'), 'no signal');
+
+  const controller = new AbortController();
+  const cancelled = runToolMiddleware([timeout], { ...call(), context: { signal: controller.signal } }, () => delay(200));
+  controller.abort(new Error('Cancelled by the client'));
+  await assert.rejects(cancelled, /Cancelled by the client/);
+});
+
+test('the concurrency middleware queues calls beyond the limit', async () => {
+  const concurrency = createConcurrencyMiddleware({ max: 2 });
+  let running = 0;
+  let peak = 0;
+  const handler = async () => {
+    running++;
+    peak = Math.max(peak, running);
+    await delay(20);
+    running--;
+  };
+
+  await Promise.all(Array.from({ length: 5 }, () => runToolMiddleware([concurrency], call(), handler)));
+  assert.equal(peak, 2);
+  assert.equal(concurrency.getStats().tools.tool, undefined);
+
+  peak = 0;
+  const serial = { name: 'serial', concurrency: 1 };
+  await Promise.all(Array.from({ length: 3 }, () => runToolMiddleware([concurrency], call(serial), handler)));
+  assert.equal(peak, 1);
+  assert.ok(concurrency.getStats().tools.serial);
+});
+
+test('a call cancelled while queued leaves the queue', async () => {
+  const concurrency = createConcurrencyMiddleware({ max: 1 });
+  const first = runToolMiddleware([concurrency], call(), () => delay(50));
+  const controller = new AbortController();
+  let ran = false;
+
+  const queued = runToolMiddleware([concurrency], { ...call(), context: { signal: controller.signal } }, async () => { ran = true; });
+  controller.abort(new Error('Cancelled'));
+
+  await assert.rejects(queued, /Cancelled/);
+  await first;
+  assert.equal(ran, false);
+});
+
+test('timing stats and redacted argument logging', async (t) => {
+  const metrics = [];
+  const timing = createTimingMiddleware({ onMetric: metric => metrics.push(metric) });
+  const logged = [];
+  t.mock.method(logger, 'info', (message, meta) => logged.push(meta));
+
+  const tool = { name: 'save', sensitiveArguments: ['content'] };
+  const middleware = [timing, createArgumentLoggingMiddleware({ level: 'info' })];
+  await runToolMiddleware(middleware, call(tool, { content: 'secret draft', password: 'hunter22', id: 3 }), async () => ({ content: [] }));
+  await runToolMiddleware(middleware, call(tool), async () => ({ isError: true, content: [] }));
+
+  assert.deepEqual(logged[0], { tool: 'save', arguments: { content: '[REDACTED]', password: '[REDACTED]', id: 3 } });
+  assert.deepEqual(metrics.map(metric => metric.status), ['ok', 'error']);
+  assert.deepEqual(Object.keys(timing.getStats().save), ['calls', 'errors', 'avgMs', 'maxMs']);
+  assert.equal(timing.getStats().save.calls, 2);
+  assert.equal(timing.getStats().save.errors, 1);
+});
+
+test('createMcpServer runs tools through its middleware', async () => {
+  const timing = createTimingMiddleware();
+  const server = createMcpServer('test', '1.0.0', [{
+    name: 'slow',
+    description: 'Takes too long',
+    inputSchema: z.object({}),
+    timeout: 20,
+    handler: async () => {
+      await delay(200);
+      return { content: [{ type: 'text', text: 'done' }] };
+    }
+  }], { middleware: [timing, createTimeoutMiddleware()] });
+  const client = await connect(server);
+
+  try {
+    const result = await client.callTool({ name: 'slow', arguments: {} });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /timed out after 20ms/);
+    assert.equal(timing.getStats().slow.errors, 1);
+  } finally {
+    await client.close();
+  }
+});
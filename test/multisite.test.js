@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { NotFoundError } from '../utils/errors.js';
+import { startWordPress } from './helpers.js';
+
+test('REST forSite derives sub-site clients by path, URL or blog ID', async () => {
+  const wordpress = await startWordPress(req => req.url.startsWith('/wp-json/wp/v2/sites')
+    ? { body: [{ id: 1, url: 'https://network.example.com/' }, { id: 2, url: 'https://network.example.com/blog2/' }] }
+    : { body: {} });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+
+  try {
+    const byPath = await rest.forSite('/blog2');
+    assert.equal(byPath.baseUrl, `${wordpress.url}/blog2`);
+    assert.equal(byPath.auth.type, 'anonymous');
+    assert.notEqual(byPath.cache.name, rest.cache.name);
+
+    assert.equal((await rest.forSite('https://other.example.com/')).baseUrl, 'https://other.example.com');
+    assert.equal((await rest.forSite(2)).baseUrl, 'https://network.example.com/blog2');
+    await assert.rejects(rest.forSite(9), error => error instanceof NotFoundError && error.code === 'unknown_site');
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('getSites explains a missing /wp/v2/sites route', async () => {
+  const wordpress = await startWordPress(() => ({ status: 404, body: { code: 'rest_no_route', message: 'No route' } }));
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+
+  try {
+    await assert.rejects(rest.getSites(), error => {
+      assert.ok(error instanceof NotFoundError);
+      assert.match(error.hint, /WPCLIClient\.listSites\(\)/);
+      return true;
+    });
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('WP-CLI forSite runs commands with --url on the same transport', async () => {
+  const transport = new FakeTransport({ defaultResponse: '[]' });
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+  const blog = cli.forSite('https://network.example.com/blog2');
+
+  await blog.exec(['option', 'get', 'blogname']);
+  assert.equal(blog.transport, transport);
+  assert.deepEqual(transport.calls[0].args, ['option', 'get', 'blogname', '--format=json', '--url=https://network.example.com/blog2']);
+});
+
+test('network commands parse their results', async () => {
+  const transport = new FakeTransport()
+    .respond(['site', 'list'], JSON.stringify([{ blog_id: '1', url: 'https://network.example.com/' }]))
+    .respond(['site', 'create'], '3\n')
+    .respond(['plugin', 'activate'], 'Success: Network activated 1 of 1 plugins.');
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+
+  assert.deepEqual(await cli.listSites(), [{ blog_id: 1, url: 'https://network.example.com/' }]);
+  assert.equal(await cli.createSite('blog3', { title: 'Blog 3' }), 3);
+  assert.equal((await cli.networkActivatePlugin('akismet')).success, true);
+  assert.ok(transport.calls.at(-1).args.includes('--network'));
+});
+
+test('deleting a site in dry-run describes the site and deletes nothing', async () => {
+  const transport = new FakeTransport()
+    .respond(['site', 'list'], JSON.stringify([{ blog_id: '2', url: 'https://network.example.com/blog2/' }]));
+  const cli = new WPCLIClient({ enabled: true, transport, env: false, dryRun: true });
+
+  const plan = await cli.deleteSite(2);
+  assert.equal(plan.dryRun, true);
+  assert.equal(plan.target.url, 'https://network.example.com/blog2/');
+  assert.match(plan.effects.join('\n'), /tables for the site are dropped/);
+  assert.ok(transport.calls.every(call => call.args[1] !== 'delete'));
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { startWordPress } from './helpers.js';
+
+const POSTS = Array.from({ length: 5 }, (_, i) => ({ id: i + 1 }));
+
+/**
+ * A collection of five posts paged like WordPress, with X-WP-Total headers
+ */
+async function setup() {
+  const wordpress = await startWordPress((req) => {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const page = parseInt(searchParams.get('page') || '1', 10);
+    const perPage = parseInt(searchParams.get('per_page') || '10', 10);
+
+    return {
+      headers: { 'X-WP-Total': String(POSTS.length), 'X-WP-TotalPages': String(Math.ceil(POSTS.length / perPage)) },
+      body: POSTS.slice((page - 1) * perPage, page * perPage)
+    };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, cacheNamespace: `pagination-${wordpress.url}` });
+  const pages = () => wordpress.requests.map(request => new URL(request.url, 'http://localhost').searchParams.get('page'));
+
+  return { rest, pages, close: () => wordpress.close() };
+}
+
+test('paginate yields every item, fetching pages on demand', async () => {
+  const { rest, pages, close } = await setup();
+
+  try {
+    const ids = [];
+    for await (const post of rest.paginate('/wp/v2/posts', {}, { perPage: 2 })) {
+      ids.push(post.id);
+    }
+
+    assert.deepEqual(ids, [1, 2, 3, 4, 5]);
+    assert.deepEqual(pages(), ['1', '2', '3']);
+  } finally {
+    await close();
+  }
+});
+
+test('paginate stops fetching once maxItems is reached', async () => {
+  const { rest, pages, close } = await setup();
+
+  try {
+    const ids = [];
+    for await (const post of rest.paginate('/wp/v2/posts', {}, { perPage: 2, maxItems: 3 })) {
+      ids.push(post.id);
+    }
+
+    assert.deepEqual(ids, [1, 2, 3]);
+    assert.deepEqual(pages(), ['1', '2']);
+  } finally {
+    await close();
+  }
+});
+
+test('getAll returns the items with pagination metadata', async () => {
+  const { rest, close } = await setup();
+
+  try {
+    const { items, ...meta } = await rest.getAll('/wp/v2/posts', {}, { perPage: 2 });
+    assert.deepEqual(items.map(post => post.id), [1, 2, 3, 4, 5]);
+    assert.deepEqual(meta, { total: 5, totalPages: 3, pagesFetched: 3, perPage: 2, truncated: false });
+
+    const some = await rest.getAll('/wp/v2/posts', {}, { perPage: 2, maxItems: 3, useCache: false });
+    assert.deepEqual(some.items.map(post => post.id), [1, 2, 3]);
+    assert.equal(some.truncated, true);
+  } finally {
+    await close();
+  }
+});
+
+test('getCollectionPage reads the total headers and caches the page', async () => {
+  const { rest, pages, close } = await setup();
+
+  try {
+    const first = await rest.getCollectionPage('/wp/v2/posts', { page: 2, per_page: 2 });
+    assert.deepEqual(first, { items: [{ id: 3 }, { id: 4 }], page: 2, perPage: 2, total: 5, totalPages: 3 });
+
+    await rest.getCollectionPage('/wp/v2/posts', { page: 2, per_page: 2 });
+    assert.deepEqual(pages(), ['2']);
+  } finally {
+    await close();
+  }
+});
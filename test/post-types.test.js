@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { NotFoundError } from '../utils/errors.js';
+import { startWordPress } from './helpers.js';
+
+const TYPES = {
+  post: { slug: 'post', rest_base: 'posts', rest_namespace: 'wp/v2' },
+  product: { slug: 'product', rest_base: 'products', rest_namespace: 'wc/v3' },
+  book: { slug: 'book', rest_base: 'library' },
+  wp_block_internal: { slug: 'wp_block_internal' }
+};
+const TAXONOMIES = {
+  genre: { slug: 'genre', rest_base: 'genres', rest_namespace: 'wp/v2' }
+};
+
+async function setup() {
+  const wordpress = await startWordPress((req) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/wp-json/wp/v2/types') return { body: TYPES };
+    if (pathname === '/wp-json/wp/v2/taxonomies') return { body: TAXONOMIES };
+    return { body: { id: 7, route: pathname, method: req.method } };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, cacheNamespace: `types-${wordpress.url}` });
+
+  return { rest, wordpress, close: () => wordpress.close() };
+}
+
+test('post types resolve by slug or rest_base to their REST route', async () => {
+  const { rest, close } = await setup();
+
+  try {
+    assert.deepEqual(await rest.resolvePostType('product'), { slug: 'product', restBase: 'products', namespace: 'wc/v3', route: '/wc/v3/products' });
+    assert.equal((await rest.resolvePostType('library')).route, '/wp/v2/library');
+    assert.equal((await rest.resolveTaxonomy('genre')).route, '/wp/v2/genres');
+  } finally {
+    await close();
+  }
+});
+
+test('unknown post types list the available ones', async () => {
+  const { rest, close } = await setup();
+
+  try {
+    await assert.rejects(rest.resolvePostType('wp_block_internal'), error => {
+      assert.ok(error instanceof NotFoundError);
+      assert.equal(error.code, 'unknown_post_type');
+      assert.match(error.hint, /post, product, book/);
+      return true;
+    });
+    await assert.rejects(rest.resolveTaxonomy('mood'), { code: 'unknown_taxonomy' });
+  } finally {
+    await close();
+  }
+});
+
+test('generic item and term methods use the discovered routes', async () => {
+  const { rest, wordpress, close } = await setup();
+
+  try {
+    assert.equal((await rest.getItem('book', 7)).route, '/wp-json/wp/v2/library/7');
+    assert.equal((await rest.createItem('product', { name: 'Mug' })).route, '/wp-json/wc/v3/products');
+    assert.equal((await rest.deleteItem('book', 7, true)).method, 'DELETE');
+    assert.equal((await rest.createTerm('genre', { name: 'Sci-fi' })).route, '/wp-json/wp/v2/genres');
+
+    const discovery = wordpress.requests.filter(request => request.url.startsWith('/wp-json/wp/v2/types'));
+    assert.equal(discovery.length, 1, 'post types are discovered once and cached');
+  } finally {
+    await close();
+  }
+});
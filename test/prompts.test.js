@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../utils/schema.js';
+import { promptArguments, createWordPressPrompts } from '../utils/prompts.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { NotFoundError } from '../utils/errors.js';
+import { connect, startWordPress } from './helpers.js';
+
+const PROMPTS = [
+  {
+    name: 'greet',
+    title: 'Greet',
+    description: 'Say hello',
+    argsSchema: z.object({
+      name: z.string().describe('Who to greet'),
+      times: z.coerce.number().int().positive().optional()
+    }),
+    handler: async ({ name, times = 1 }) => `Say hello to ${name} ${times} time(s).`
+  },
+  {
+    name: 'conversation',
+    handler: async () => ({ description: 'Two turns', messages: [{ text: 'Hi' }, { role: 'assistant', text: 'Hello!' }] })
+  },
+  {
+    name: 'missing',
+    handler: async () => { throw new NotFoundError('Post not found: 9'); }
+  }
+];
+
+test('promptArguments lists Zod fields as prompt arguments', () => {
+  assert.deepEqual(promptArguments(PROMPTS[0].argsSchema), [
+    { name: 'name', description: 'Who to greet', required: true },
+    { name: 'times', required: false }
+  ]);
+  assert.deepEqual(promptArguments(undefined), []);
+});
+
+test('prompts are listed and rendered with validated arguments', async () => {
+  const client = await connect(createMcpServer('test', '1.0.0', [], { prompts: PROMPTS }));
+
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['greet', 'conversation', 'missing']);
+    assert.equal(prompts[0].title, 'Greet');
+    assert.deepEqual(prompts[1].arguments, []);
+
+    assert.deepEqual(await client.getPrompt({ name: 'greet', arguments: { name: 'Ada', times: '2' } }), {
+      description: 'Say hello',
+      messages: [{ role: 'user', content: { type: 'text', text: 'Say hello to Ada 2 time(s).' } }]
+    });
+    assert.deepEqual((await client.getPrompt({ name: 'conversation' })).messages.map(message => [message.role, message.content.text]), [
+      ['user', 'Hi'],
+      ['assistant', 'Hello!']
+    ]);
+
+    await assert.rejects(client.getPrompt({ name: 'nope' }), { code: ErrorCode.InvalidParams, message: /Unknown prompt: nope/ });
+    await assert.rejects(client.getPrompt({ name: 'greet', arguments: { times: 'x' } }), { code: ErrorCode.InvalidParams, message: /failed validation/ });
+    await assert.rejects(client.getPrompt({ name: 'missing' }), { code: ErrorCode.InvalidParams, message: /Post not found: 9/ });
+  } finally {
+    await client.close();
+  }
+});
+
+test('seo_audit includes the page facts and its content as Markdown', async () => {
+  const wordpress = await startWordPress((req) => {
+    if (req.url.startsWith('/wp-json/wp/v2/settings')) return { status: 401, body: { code: 'rest_forbidden', message: 'Sorry' } };
+    if (req.url.startsWith('/wp-json/wp/v2/pages/5')) {
+      return {
+        body: {
+          id: 5,
+          link: 'https://example.com/about/',
+          slug: 'about',
+          title: { rendered: 'About us' },
+          excerpt: { rendered: '<p>Who we are</p>' },
+          content: { rendered: '<h2>Team</h2><p>We build <a href="https://example.com/work">things</a>.</p><img src="a.jpg">' }
+        }
+      };
+    }
+    return { body: { name: 'Example', description: 'Just a site', url: 'https://example.com' } };
+  });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+  const client = await connect(createMcpServer('test', '1.0.0', [], { prompts: createWordPressPrompts(rest) }));
+
+  try {
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['draft_post', 'seo_audit']);
+
+    const { messages } = await client.getPrompt({ name: 'seo_audit', arguments: { id: '5', keyword: 'team' } });
+    const text = messages[0].content.text;
+
+    assert.match(text, /for the focus keyword "team"/);
+    assert.match(text, /Site: Example \(https:\/\/example.com\)/);
+    assert.match(text, /Title \(8 characters\): About us/);
+    assert.match(text, /Images: 1 \(1 without alt text\)/);
+    assert.match(text, /Links: 1 internal, 0 external/);
+    assert.match(text, /H2: Team/);
+    assert.match(text, /Content:\n\n## Team\n\nWe build \[things\]\(https:\/\/example.com\/work\)\./);
+  } finally {
+    await client.close();
+    await wordpress.close();
+  }
+});
+
+test('plugin_updates flags major version changes', async () => {
+  const transport = new FakeTransport().respond(['plugin', 'list'], JSON.stringify([
+    { name: 'akismet', status: 'active', version: '4.2', update_version: '5.3' },
+    { name: 'hello', status: 'inactive', version: '1.7.1', update_version: '1.7.2' }
+  ]));
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+  const rest = new WordPressRestClient({ url: 'http://127.0.0.1:9', auth: 'anonymous', env: false, retry: { retries: 0 } });
+  const [prompt] = createWordPressPrompts(rest, { cli }).filter(item => item.name === 'plugin_updates');
+
+  const text = await prompt.handler({});
+  assert.match(text, /- akismet: 4\.2 → 5\.3, active, major version change/);
+  assert.match(text, /- hello: 1\.7\.1 → 1\.7\.2, inactive\n/);
+});
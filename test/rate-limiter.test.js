@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, getRateLimiter } from '../utils/rate-limiter.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { runWithToolContext } from '../utils/context.js';
+import logger from '../utils/logger.js';
+import { startWordPress } from './helpers.js';
+
+test('RateLimiter holds work beyond maxConcurrent until a slot is released', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 2 });
+  const first = await limiter.acquire();
+  await limiter.acquire();
+
+  let third = false;
+  const waiting = limiter.acquire().then(release => { third = true; return release; });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(third, false);
+  assert.deepEqual(limiter.getStats(), { active: 2, queued: 1, maxConcurrent: 2, requestsPerSecond: 0 });
+
+  first();
+  first();
+  await waiting;
+  assert.equal(third, true);
+  assert.equal(limiter.getStats().active, 2);
+});
+
+test('RateLimiter spaces requests by requestsPerSecond', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 20 });
+  const started = Date.now();
+
+  for (let i = 0; i < 3; i++) {
+    (await limiter.acquire())();
+  }
+
+  assert.ok(Date.now() - started >= 90, 'three requests at 20/s take at least two 50ms intervals');
+});
+
+test('acquire leaves the queue and rejects with the abort reason', async () => {
+  const limiter = new RateLimiter({ maxConcurrent: 1 });
+  const release = await limiter.acquire();
+  const controller = new AbortController();
+  const reason = new Error('cancelled');
+
+  const waiting = limiter.acquire(controller.signal);
+  controller.abort(reason);
+
+  await assert.rejects(waiting, error => error === reason);
+  assert.equal(limiter.getStats().queued, 0);
+  release();
+  await assert.rejects(limiter.acquire(controller.signal), error => error === reason);
+});
+
+test('getRateLimiter shares one limiter per key and warns when limits differ', (t) => {
+  const warnings = [];
+  t.mock.method(logger, 'warn', message => { warnings.push(message); });
+
+  const limiter = getRateLimiter('limits.example', { maxConcurrent: 4 });
+  assert.equal(getRateLimiter('limits.example', { maxConcurrent: 4 }), limiter);
+  assert.equal(warnings.length, 0);
+
+  assert.equal(getRateLimiter('limits.example', { maxConcurrent: 8, requestsPerSecond: 2 }), limiter);
+  assert.equal(limiter.maxConcurrent, 4);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /limits\.example already exists with other limits/);
+});
+
+test('a retry backoff ends as soon as the tool call is cancelled', async () => {
+  const wordpress = await startWordPress(() => ({ status: 503, headers: { 'Retry-After': '5' } }));
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+  const controller = new AbortController();
+  const started = Date.now();
+
+  try {
+    setTimeout(() => controller.abort(new Error('cancelled')), 100);
+    await assert.rejects(runWithToolContext({ signal: controller.signal }, () => rest.get('/wp/v2/posts', {}, false)));
+
+    assert.ok(Date.now() - started < 2000, 'the 5s Retry-After wait was cut short');
+    assert.equal(wordpress.requests.length, 1);
+  } finally {
+    await wordpress.close();
+  }
+});
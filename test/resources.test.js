@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { registerResources, createWordPressResources, compileUriTemplate, expandUriTemplate } from '../utils/resources.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { connect, startWordPress } from './helpers.js';
+
+async function setup() {
+  const wordpress = await startWordPress(req => ({
+    body: req.url.startsWith('/wp-json/wp/v2/posts/1') ? { id: 1, title: { raw: 'Hello' }, content: { raw: '<p>Hi</p>' } } : {}
+  }));
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false });
+  const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { resources: { subscribe: true } } });
+  registerResources(server, createWordPressResources(rest));
+
+  const client = await connect(server);
+  const updated = [];
+  client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => {
+    updated.push(notification.params.uri);
+  });
+
+  return { rest, client, updated, close: async () => { await client.close(); await wordpress.close(); } };
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+test('URI templates match and expand level-1 expressions', () => {
+  const match = compileUriTemplate('wp://posts/{id}');
+
+  assert.deepEqual(match('wp://posts/42'), { id: '42' });
+  assert.equal(match('wp://posts/42/revisions'), null);
+  assert.equal(match('wp://pages/42'), null);
+  assert.equal(expandUriTemplate('wp://menus/{id}', { id: 'a b' }), 'wp://menus/a%20b');
+});
+
+test('a write notifies only resources built from its route', async () => {
+  const { rest, client, updated, close } = await setup();
+
+  try {
+    for (const uri of ['wp://site/settings', 'wp://posts/1', 'wp://pages/1', 'wp://menus/3']) {
+      await client.subscribeResource({ uri });
+    }
+
+    await rest.put('/wp/v2/posts/1', { title: 'New' });
+    await settle();
+    assert.deepEqual(updated, ['wp://posts/1']);
+
+    updated.length = 0;
+    await rest.post('/wp/v2/menu-items', { title: 'Home', menus: 3 });
+    await settle();
+    assert.deepEqual(updated, ['wp://menus/3']);
+
+    updated.length = 0;
+    await rest.post('/wp/v2/settings', { title: 'Site' });
+    await settle();
+    assert.deepEqual(updated, ['wp://site/settings']);
+  } finally {
+    await close();
+  }
+});
+
+test('a write invalidates cached reads of the same route only', async () => {
+  const { rest, close } = await setup();
+
+  try {
+    rest.cache.set('GET:/wp/v2/posts/1:{}', { cached: true });
+    rest.cache.set('GET:/wp/v2/pages/1:{}', { cached: true });
+
+    await rest.delete('/wp/v2/posts/1', { force: true });
+
+    assert.equal(rest.cache.get('GET:/wp/v2/posts/1:{}'), undefined);
+    assert.deepEqual(rest.cache.get('GET:/wp/v2/pages/1:{}'), { cached: true });
+  } finally {
+    await close();
+  }
+});
+
+test('unsubscribed resources get no notifications', async () => {
+  const { rest, client, updated, close } = await setup();
+
+  try {
+    await client.subscribeResource({ uri: 'wp://posts/1' });
+    await client.unsubscribeResource({ uri: 'wp://posts/1' });
+
+    await rest.put('/wp/v2/posts/1', { title: 'New' });
+    await settle();
+    assert.deepEqual(updated, []);
+  } finally {
+    await close();
+  }
+});
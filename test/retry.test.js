@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { RateLimitError } from '../utils/errors.js';
+import { startWordPress } from './helpers.js';
+
+/**
+ * A site that answers with `failures` in order, then 200
+ */
+async function setup(failures, retry = {}) {
+  const queue = [...failures];
+  const wordpress = await startWordPress(() => queue.shift() || { body: { ok: true } });
+  const rest = new WordPressRestClient({
+    url: wordpress.url,
+    auth: 'anonymous',
+    env: false,
+    retry: { baseDelay: 1, maxDelay: 5, ...retry }
+  });
+
+  return { rest, wordpress, close: () => wordpress.close() };
+}
+
+test('GETs are retried after 503 and 429 until they succeed', async () => {
+  const { rest, wordpress, close } = await setup([{ status: 503 }, { status: 429, headers: { 'Retry-After': '0' } }]);
+
+  try {
+    assert.deepEqual(await rest.get('/wp/v2/posts', {}, false), { ok: true });
+    assert.equal(wordpress.requests.length, 3);
+  } finally {
+    await close();
+  }
+});
+
+test('POSTs are not retried by default', async () => {
+  const { rest, wordpress, close } = await setup([{ status: 503 }]);
+
+  try {
+    await assert.rejects(rest.post('/wp/v2/posts', { title: 'Hello' }), { status: 503, retryable: true });
+    assert.equal(wordpress.requests.length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('retries stop after the configured count and report the last error', async () => {
+  const { rest, wordpress, close } = await setup(Array(5).fill({ status: 429, body: { code: 'too_many', message: 'Slow down' } }), { retries: 2 });
+
+  try {
+    await assert.rejects(rest.get('/wp/v2/posts', {}, false), error => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.code, 'too_many');
+      return true;
+    });
+    assert.equal(wordpress.requests.length, 3);
+  } finally {
+    await close();
+  }
+});
+
+test('a Retry-After longer than maxRetryAfter is not waited for', async () => {
+  const { rest, wordpress, close } = await setup([{ status: 429, headers: { 'Retry-After': '120' } }]);
+
+  try {
+    await assert.rejects(rest.get('/wp/v2/posts', {}, false), { name: 'RateLimitError', retryAfter: 120 });
+    assert.equal(wordpress.requests.length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('client errors are not retried', async () => {
+  const { rest, wordpress, close } = await setup([{ status: 400, body: { code: 'rest_invalid_param', message: 'Invalid parameter(s): status' } }]);
+
+  try {
+    await assert.rejects(rest.get('/wp/v2/posts', {}, false), { name: 'ValidationError', code: 'rest_invalid_param' });
+    assert.equal(wordpress.requests.length, 1);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { createMcpServer } from '../utils/schema.js';
+import { WordPressRestClient } from '../clients/rest-api.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { connect, startWordPress } from './helpers.js';
+
+function writeTool(rest, cli, extra = {}) {
+  return {
+    name: 'write',
+    description: 'Write through both clients',
+    inputSchema: z.object({ title: z.string() }),
+    handler: async ({ title }) => {
+      const post = await rest.put('/wp/v2/posts/1', { title });
+      const plugin = await cli.updatePlugin('akismet');
+      return { content: [{ type: 'text', text: JSON.stringify({ post, plugin }) }] };
+    },
+    ...extra
+  };
+}
+
+async function setup(options = {}) {
+  const wordpress = await startWordPress(() => ({ body: { id: 1, title: { raw: 'Old' } } }));
+  const transport = new FakeTransport({ defaultResponse: 'Success: Updated.' });
+  const rest = new WordPressRestClient({ url: wordpress.url, auth: 'anonymous', env: false, dryRun: options.clientDryRun });
+  const cli = new WPCLIClient({ enabled: true, transport, env: false, dryRun: options.clientDryRun });
+  const server = createMcpServer('test', '1.0.0', [writeTool(rest, cli, options.tool)], { requireConfirmation: options.requireConfirmation ?? false });
+  const client = await connect(server);
+
+  return { wordpress, transport, client, close: async () => { await client.close(); await wordpress.close(); } };
+}
+
+const writes = (wordpress) => wordpress.requests.filter(request => request.method !== 'GET');
+const cliWrites = (transport) => transport.calls.filter(call => call.args[0] === 'plugin' && call.args[1] === 'update');
+
+test('a dry-run client stays dry-run inside a tool call', async () => {
+  const { wordpress, transport, client, close } = await setup({ clientDryRun: true });
+
+  try {
+    const result = await client.callTool({ name: 'write', arguments: { title: 'New' } });
+    const { post, plugin } = JSON.parse(result.content[0].text);
+
+    assert.equal(post.dryRun, true);
+    assert.equal(plugin.dryRun, true);
+    assert.equal(writes(wordpress).length, 0);
+    assert.equal(cliWrites(transport).length, 0);
+  } finally {
+    await close();
+  }
+});
+
+test('a dry-run client stays dry-run in a non-destructive tool with confirmation on', async () => {
+  const { wordpress, transport, client, close } = await setup({ clientDryRun: true, requireConfirmation: true });
+
+  try {
+    await client.callTool({ name: 'write', arguments: { title: 'New' } });
+    assert.equal(writes(wordpress).length, 0);
+    assert.equal(cliWrites(transport).length, 0);
+  } finally {
+    await close();
+  }
+});
+
+test('unconfirmed destructive tools run in dry-run mode until confirm: true', async () => {
+  const { wordpress, transport, client, close } = await setup({ requireConfirmation: true, tool: { destructive: true } });
+
+  try {
+    const preview = await client.callTool({ name: 'write', arguments: { title: 'New' } });
+    assert.equal(JSON.parse(preview.content[0].text).post.dryRun, true);
+    assert.match(preview.content.at(-1).text, /confirm: true/);
+    assert.equal(writes(wordpress).length, 0);
+    assert.equal(cliWrites(transport).length, 0);
+
+    await client.callTool({ name: 'write', arguments: { title: 'New', confirm: true } });
+    assert.equal(writes(wordpress).length, 1);
+    assert.equal(cliWrites(transport).length, 1);
+  } finally {
+    await close();
+  }
+});
+
+test('clients without dry-run write normally inside a tool call', async () => {
+  const { wordpress, transport, client, close } = await setup();
+
+  try {
+    await client.callTool({ name: 'write', arguments: { title: 'New' } });
+    assert.equal(writes(wordpress).length, 1);
+    assert.equal(cliWrites(transport).length, 1);
+  } finally {
+    await close();
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { quoteArg, quoteCommand, splitCommand } from '../utils/shell.js';
+
+const HOSTILE = [
+  '$(touch /tmp/pwned)',
+  '`touch /tmp/pwned`',
+  "it's",
+  "'; rm -rf / #",
+  '"quoted" and $HOME',
+  'line one\nline two',
+  '--exec=system("id")',
+  'a;b|c&d>e<f',
+  '*',
+  ''
+];
+
+test('quoteArg leaves safe arguments bare', () => {
+  assert.equal(quoteArg('plugin'), 'plugin');
+  assert.equal(quoteArg('--format=json'), '--format=json');
+  assert.equal(quoteArg('/var/www/html'), '/var/www/html');
+  assert.equal(quoteArg(42), '42');
+});
+
+test('quoteArg single-quotes everything else', () => {
+  assert.equal(quoteArg(''), "''");
+  assert.equal(quoteArg('$(touch /tmp/pwned)'), "'$(touch /tmp/pwned)'");
+  assert.equal(quoteArg('`id`'), "'`id`'");
+  assert.equal(quoteArg("it's"), "'it'\\''s'");
+  assert.equal(quoteArg('"x"'), `'"x"'`);
+  assert.equal(quoteArg('a\nb'), "'a\nb'");
+});
+
+test('quoteArg output reaches sh as the literal argument', () => {
+  for (const value of HOSTILE) {
+    const output = execFileSync('sh', ['-c', `printf %s ${quoteArg(value)}`], { encoding: 'utf8' });
+    assert.equal(output, value);
+  }
+});
+
+test('quoteCommand joins quoted arguments', () => {
+  assert.equal(
+    quoteCommand(['wp', 'option', 'update', 'blogname', '$(id)']),
+    "wp option update blogname '$(id)'"
+  );
+});
+
+test('splitCommand honours quotes and escapes without expanding anything', () => {
+  assert.deepEqual(splitCommand('wp post list --format=json'), ['wp', 'post', 'list', '--format=json']);
+  assert.deepEqual(splitCommand(`option update blogname 'My $(id) site'`), ['option', 'update', 'blogname', 'My $(id) site']);
+  assert.deepEqual(splitCommand('option update blogname "a \\"b\\" \\$HOME `id`"'), ['option', 'update', 'blogname', 'a "b" $HOME `id`']);
+  assert.deepEqual(splitCommand('a\\ b c'), ['a b', 'c']);
+  assert.deepEqual(splitCommand("''"), ['']);
+  assert.deepEqual(splitCommand('post get\n42'), ['post', 'get', '42']);
+  assert.deepEqual(splitCommand("'line one\nline two'"), ['line one\nline two']);
+});
+
+test('splitCommand rejects unterminated quotes', () => {
+  assert.throws(() => splitCommand("option get 'blogname"), /Unterminated ' quote/);
+  assert.throws(() => splitCommand('option get "blogname'), /Unterminated " quote/);
+});
+
+test('splitCommand reverses quoteCommand', () => {
+  assert.deepEqual(splitCommand(quoteCommand(HOSTILE)), HOSTILE);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { z } from 'zod';
+import { SiteRegistry } from '../clients/site-registry.js';
+import { createMcpServer } from '../utils/schema.js';
+import { NotFoundError } from '../utils/errors.js';
+import { connect } from './helpers.js';
+
+const SITES = {
+  default: 'staging',
+  sites: {
+    production: { url: 'https://example.com', auth: 'anonymous' },
+    staging: { url: 'https://staging.example.com', auth: 'anonymous', wpCli: { transport: 'fake' } }
+  }
+};
+
+test('the registry validates its sites and default', () => {
+  assert.throws(() => new SiteRegistry({}), /at least one site/);
+  assert.throws(() => new SiteRegistry({ sites: { broken: {} } }), /"broken" has no url/);
+  assert.throws(() => new SiteRegistry({ ...SITES, default: 'dev' }), /"dev" is not defined/);
+
+  const sites = new SiteRegistry(SITES);
+  assert.deepEqual(sites.names(), ['production', 'staging']);
+  assert.equal(sites.defaultSite, 'staging');
+  assert.equal(new SiteRegistry({ sites: SITES.sites }).defaultSite, 'production');
+});
+
+test('${VAR} references are filled from the environment and must be set', () => {
+  process.env.TEST_PROD_PASSWORD = 'abcd efgh ijkl';
+
+  try {
+    const sites = new SiteRegistry({ sites: { production: { url: 'https://example.com', username: 'admin', appPassword: '${TEST_PROD_PASSWORD}' } } });
+    assert.equal(sites.sites.get('production').appPassword, 'abcd efgh ijkl');
+    assert.throws(
+      () => new SiteRegistry({ sites: { production: { url: 'https://example.com', appPassword: '${TEST_UNSET_PASSWORD}' } } }),
+      /references \$\{TEST_UNSET_PASSWORD\}, which is not set/
+    );
+  } finally {
+    delete process.env.TEST_PROD_PASSWORD;
+  }
+});
+
+test('fromFile reads YAML and JSON configs', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wp-sites-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const yaml = path.join(dir, 'sites.yaml');
+  fs.writeFileSync(yaml, 'default: production\nsites:\n  production:\n    url: https://example.com\n    auth: anonymous\n');
+  assert.deepEqual(SiteRegistry.fromFile(yaml).names(), ['production']);
+
+  const json = path.join(dir, 'sites.json');
+  fs.writeFileSync(json, JSON.stringify(SITES));
+  assert.equal(SiteRegistry.fromFile(json).defaultSite, 'staging');
+});
+
+test('each site gets its own clients and never falls back to WORDPRESS_* variables', () => {
+  const sites = new SiteRegistry(SITES);
+  const production = sites.get('production');
+  const staging = sites.get();
+
+  assert.equal(staging.name, 'staging');
+  assert.equal(sites.get('staging'), staging, 'clients are created once');
+  assert.equal(production.rest.baseUrl, 'https://example.com');
+  assert.notEqual(production.rest.cache.name, staging.rest.cache.name);
+  assert.equal(production.cli, null);
+  assert.ok(staging.cli);
+
+  process.env.WORDPRESS_USERNAME = 'admin';
+  process.env.WORDPRESS_APP_PASSWORD = 'abcd efgh ijkl';
+  try {
+    const withoutCredentials = new SiteRegistry({ sites: { blog: { url: 'https://blog.example.com' } } });
+    assert.throws(() => withoutCredentials.get('blog'), /application password are required/);
+  } finally {
+    delete process.env.WORDPRESS_USERNAME;
+    delete process.env.WORDPRESS_APP_PASSWORD;
+  }
+
+  assert.throws(() => sites.get('dev'), error => error instanceof NotFoundError && error.code === 'unknown_site');
+});
+
+test('tools on a multi-site server get a site argument and the matching clients', async () => {
+  const sites = new SiteRegistry(SITES);
+  const server = createMcpServer('test', '1.0.0', [{
+    name: 'which_site',
+    description: 'Report the site a call ran against',
+    inputSchema: z.object({}),
+    handler: async (args, { site }) => ({ content: [{ type: 'text', text: `${site.name} ${site.rest.baseUrl} ${JSON.stringify(args)}` }] })
+  }], { sites });
+  const client = await connect(server);
+
+  try {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools[0].inputSchema.properties.site.enum, ['production', 'staging']);
+
+    const call = async args => (await client.callTool({ name: 'which_site', arguments: args })).content[0].text;
+    assert.equal(await call({}), 'staging https://staging.example.com {}');
+    assert.equal(await call({ site: 'production' }), 'production https://example.com {}');
+
+    const unknown = await client.callTool({ name: 'which_site', arguments: { site: 'dev' } });
+    assert.equal(unknown.isError, true);
+  } finally {
+    await client.close();
+  }
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { z } from 'zod';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { LocalTransport, FakeTransport } from '../clients/transports.js';
+import { createProgressReporter } from '../utils/context.js';
+import { createMcpServer } from '../utils/schema.js';
+import { connect } from './helpers.js';
+
+/**
+ * A local transport whose "wp" is node running `script`
+ */
+function nodeTransport(script) {
+  return new LocalTransport({ wpCliPath: `"${process.execPath}" -e ${JSON.stringify(script)}` });
+}
+
+test('stream delivers lines as they arrive, splitting on \\r as well as \\n', async () => {
+  const transport = nodeTransport('process.stdout.write("1/3 a\\r2/3 b\\n3/3 c\\nDone"); process.stderr.write("Warning: slow\\n")');
+  const lines = [];
+
+  const output = await transport.stream([], { onLine: (line, stream) => lines.push(`${stream}:${line}`) });
+
+  assert.deepEqual(lines.filter(line => line.startsWith('stdout')), ['stdout:1/3 a', 'stdout:2/3 b', 'stdout:3/3 c', 'stdout:Done']);
+  assert.deepEqual(lines.filter(line => line.startsWith('stderr')), ['stderr:Warning: slow']);
+  assert.equal(output.stdout, '1/3 a\r2/3 b\n3/3 c\nDone');
+});
+
+test('stream rejects with the exit code and the output so far', async () => {
+  const transport = nodeTransport('console.log("partial"); process.exit(3)');
+
+  await assert.rejects(transport.stream([]), { code: 3, stdout: 'partial\n' });
+});
+
+test('stream stops the command when the signal aborts', async () => {
+  const transport = nodeTransport('setInterval(() => console.log("tick"), 10)');
+  const controller = new AbortController();
+  const lines = [];
+
+  const run = transport.stream([], { signal: controller.signal, onLine: line => lines.push(line) });
+  setTimeout(() => controller.abort(), 100);
+
+  await assert.rejects(run, { name: 'AbortError' });
+  const seen = lines.length;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(lines.length, seen, 'no output after the abort');
+});
+
+test('execStream turns "N/total" lines into progress, and counts lines otherwise', async () => {
+  const transport = new FakeTransport()
+    .respond(['media', 'regenerate'], 'Found 3 images to regenerate.\n1/3 Regenerated a.jpg\n2/3 Regenerated b.jpg\n3/3 Regenerated c.jpg\nSuccess: Regenerated 3 of 3 images.')
+    .respond(['cron', 'event'], 'Executed the cron event one\nExecuted the cron event two');
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+
+  const progress = [];
+  await cli.execStream(['media', 'regenerate', '--yes'], { format: null, onProgress: (done, total) => progress.push([done, total]) });
+  assert.deepEqual(progress, [[1, undefined], [1, 3], [2, 3], [3, 3]]);
+
+  progress.length = 0;
+  await cli.execStream(['cron', 'event', 'run', '--all'], { format: null, onProgress: (done, total) => progress.push([done, total]) });
+  assert.deepEqual(progress, [[1, undefined], [2, undefined]]);
+});
+
+test('progress notifications only move forward and are throttled', () => {
+  const sent = [];
+  const extra = { sendNotification: async notification => { sent.push(notification.params); } };
+  const progress = createProgressReporter({ params: { _meta: { progressToken: 'job' } } }, extra, { interval: 60000 });
+
+  progress(1, 10, 'first');
+  progress(2, 10, 'throttled');
+  progress(1, 10, 'not forward', true);
+  progress(10, 10, 'done', true);
+
+  assert.deepEqual(sent, [
+    { progressToken: 'job', progress: 1, total: 10, message: 'first' },
+    { progressToken: 'job', progress: 10, total: 10, message: 'done' }
+  ]);
+
+  const silent = createProgressReporter({ params: {} }, extra);
+  silent(1, 10);
+  assert.equal(sent.length, 2);
+});
+
+test('WP-CLI progress inside a tool call reaches the MCP client', async () => {
+  const transport = new FakeTransport().respond(['media', 'regenerate'], '1/2 Regenerated a.jpg\n2/2 Regenerated b.jpg');
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+  const server = createMcpServer('test', '1.0.0', [{
+    name: 'regenerate',
+    description: 'Regenerate thumbnails',
+    inputSchema: z.object({}),
+    handler: async () => {
+      await cli.execStream(['media', 'regenerate', '--yes'], { format: null });
+      return { content: [{ type: 'text', text: 'done' }] };
+    }
+  }]);
+  const client = await connect(server);
+  const updates = [];
+
+  try {
+    await client.callTool({ name: 'regenerate', arguments: {} }, undefined, { onprogress: update => updates.push(update) });
+
+    assert.ok(updates.length >= 1);
+    assert.deepEqual(updates[0], { progress: 1, total: 2, message: '1/2 Regenerated a.jpg' });
+  } finally {
+    await client.close();
+  }
+});
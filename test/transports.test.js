@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  LocalTransport,
+  SshTransport,
+  DockerTransport,
+  WpEnvTransport,
+  FakeTransport,
+  createTransport
+} from '../clients/transports.js';
+
+async function tempDir(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'wp-mcp-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('pipeHostCommand reports the exit code when the command does not read its input', async (t) => {
+  const dir = await tempDir(t);
+  const input = path.join(dir, 'big.bin');
+  await fs.promises.writeFile(input, Buffer.alloc(8 * 1024 * 1024, 1));
+
+  const unhandled = [];
+  const onUnhandled = error => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const transport = new LocalTransport();
+  await assert.rejects(
+    transport.pipeHostCommand(['sh', '-c', 'exit 3'], { input: fs.createReadStream(input) }),
+    { message: /Command failed with exit code 3/, code: 3 }
+  );
+
+  // Give a stray rejection the chance to surface
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(unhandled, []);
+});
+
+test('pipeHostCommand streams input and output', async (t) => {
+  const dir = await tempDir(t);
+  const source = path.join(dir, 'source.txt');
+  const remote = path.join(dir, 'remote.txt');
+  const copy = path.join(dir, 'copy.txt');
+  await fs.promises.writeFile(source, 'snapshot data\n');
+
+  const transport = new LocalTransport();
+  await transport.pipeHostCommand(['sh', '-c', 'cat > "$1"', 'sh', remote], { input: fs.createReadStream(source) });
+  await transport.pipeHostCommand(['cat', remote], { output: fs.createWriteStream(copy) });
+
+  assert.equal(await fs.promises.readFile(copy, 'utf8'), 'snapshot data\n');
+});
+
+test('pipeHostCommand stops the command when its output cannot be written', async (t) => {
+  const dir = await tempDir(t);
+  const transport = new LocalTransport();
+  const output = fs.createWriteStream(path.join(dir, 'missing', 'file.txt'));
+
+  await assert.rejects(
+    transport.pipeHostCommand(['sh', '-c', 'while :; do echo data; done'], { output }),
+    { code: 'ENOENT' }
+  );
+});
+
+test('SSH uses batch mode and a private control socket directory', async (t) => {
+  const home = await tempDir(t);
+  const previousHome = process.env.HOME;
+  process.env.HOME = home;
+  t.after(() => { process.env.HOME = previousHome; });
+
+  const transport = new SshTransport({ host: 'example.com', user: 'deploy', wordPressPath: '/var/www/html' });
+  const { file, args } = transport.build(['core', 'version']);
+  const controlDir = path.join(home, '.wp-mcp', 'ssh');
+
+  assert.equal(file, 'ssh');
+  assert.deepEqual(args, [
+    '-o', 'BatchMode=yes',
+    '-o', 'ControlMaster=auto',
+    '-o', `ControlPath=${path.join(controlDir, '%C')}`,
+    '-o', 'ControlPersist=600',
+    'deploy@example.com',
+    'cd /var/www/html && wp core version'
+  ]);
+  assert.equal((await fs.promises.stat(controlDir)).mode & 0o777, 0o700);
+});
+
+test('Docker runs wp in a container or a compose service', () => {
+  const container = new DockerTransport({ container: 'wp', user: 'www-data', wordPressPath: '/var/www/html' });
+  assert.deepEqual(container.build(['plugin', 'list']), {
+    file: 'docker',
+    args: ['exec', '-i', '-u', 'www-data', '-w', '/var/www/html', 'wp', 'wp', 'plugin', 'list']
+  });
+
+  const service = new DockerTransport({ service: 'wordpress', composeFile: 'docker-compose.dev.yml' });
+  assert.deepEqual(service.build(['core', 'version']), {
+    file: 'docker',
+    args: ['compose', '-f', 'docker-compose.dev.yml', 'exec', '-T', 'wordpress', 'wp', 'core', 'version']
+  });
+
+  assert.throws(() => new DockerTransport({}), /container or compose service/);
+});
+
+test('wp-env runs wp through npx in the chosen environment', () => {
+  assert.deepEqual(new WpEnvTransport().build(['option', 'get', 'home']), {
+    file: 'npx',
+    args: ['wp-env', 'run', 'cli', 'wp', 'option', 'get', 'home']
+  });
+  assert.deepEqual(new WpEnvTransport({ environment: 'tests-cli', wpEnvPath: 'wp-env' }).build(['core', 'version']).args, ['run', 'tests-cli', 'wp', 'core', 'version']);
+});
+
+test('createTransport picks the transport from config, then the environment', () => {
+  assert.ok(createTransport({ env: false }) instanceof LocalTransport);
+  assert.ok(createTransport({ env: false, sshHost: 'example.com' }) instanceof SshTransport);
+  assert.ok(createTransport({ env: false, transport: { type: 'docker', container: 'wp' } }) instanceof DockerTransport);
+  assert.ok(createTransport({ env: false, transport: 'wp-env' }) instanceof WpEnvTransport);
+  assert.throws(() => createTransport({ env: false, transport: 'telnet' }), /Unknown WP-CLI transport: telnet/);
+
+  const fake = new FakeTransport();
+  assert.equal(createTransport({ transport: fake }), fake);
+
+  process.env.WP_CLI_TRANSPORT = 'docker';
+  process.env.WP_CLI_DOCKER_CONTAINER = 'from-env';
+  try {
+    assert.equal(createTransport({}).container, 'from-env');
+    assert.ok(createTransport({ env: false }) instanceof LocalTransport);
+  } finally {
+    delete process.env.WP_CLI_TRANSPORT;
+    delete process.env.WP_CLI_DOCKER_CONTAINER;
+  }
+});
+
+test('the local transport runs wp without a shell', async () => {
+  const transport = new LocalTransport({ wpCliPath: `"${process.execPath}" -e "console.log(JSON.stringify(process.argv.slice(1)))"` });
+  const { stdout } = await transport.run(['post', 'list', '$(id)', 'a b']);
+
+  assert.deepEqual(JSON.parse(stdout), ['post', 'list', '$(id)', 'a b']);
+});
+
+test('FakeTransport answers with the latest matching response and records calls', async () => {
+  const fake = new FakeTransport({ defaultResponse: 'default' })
+    .respond(['plugin', 'list'], 'first')
+    .respond(/^plugin/, 'second')
+    .respond(['core', 'update'], { stderr: 'Error: no network', code: 1 });
+
+  assert.equal((await fake.run(['plugin', 'list'])).stdout, 'second');
+  assert.equal((await fake.run(['theme', 'list'])).stdout, 'default');
+  await assert.rejects(fake.run(['core', 'update']), { code: 1, stderr: 'Error: no network' });
+  assert.deepEqual(fake.calls.map(call => call.args[0]), ['plugin', 'theme', 'core']);
+});
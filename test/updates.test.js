@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UpdateManager } from '../clients/updates.js';
+import { startWordPress } from './helpers.js';
+
+/**
+ * A site whose home page answers `site.home` and whose REST index works
+ */
+async function startSite(site) {
+  return startWordPress(req => req.url.startsWith('/wp-json/')
+    ? { body: { namespaces: ['wp/v2'] } }
+    : { status: site.home, headers: { 'Content-Type': 'text/html' }, body: '<html></html>' });
+}
+
+function fakeCli(site) {
+  return {
+    isDryRun: () => false,
+    checkCoreUpdate: async () => [],
+    listPluginUpdates: async () => [{ name: 'akismet', version: '5.2', update_version: '5.3' }],
+    listThemeUpdates: async () => [],
+    coreVersion: async () => '6.5',
+    enableMaintenanceMode: async () => {},
+    disableMaintenanceMode: async () => {},
+    // The update breaks the site and reinstalling the old version doesn't fix it
+    updatePlugin: async () => { site.home = 500; },
+    installPlugin: async () => {}
+  };
+}
+
+test('checkHome only counts 2xx and 3xx answers as healthy', async () => {
+  const site = { home: 200 };
+  const wordpress = await startSite(site);
+  const updates = new UpdateManager({ cli: fakeCli(site), homeUrl: wordpress.url });
+
+  try {
+    assert.equal((await updates.checkHome()).ok, true);
+
+    for (const status of [403, 404, 500]) {
+      site.home = status;
+      const home = await updates.checkHome();
+      assert.equal(home.ok, false, String(status));
+      assert.equal(home.error, `The home page answered HTTP ${status}`);
+    }
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('runUpdates keeps its report when restoring the snapshot fails', async () => {
+  const site = { home: 200 };
+  const wordpress = await startSite(site);
+  const backups = {
+    createSnapshot: async () => ({ id: 'before-updates' }),
+    restoreSnapshot: async () => { throw new Error('mysql: access denied'); }
+  };
+  const updates = new UpdateManager({ cli: fakeCli(site), backups, homeUrl: wordpress.url });
+
+  try {
+    const report = await updates.runUpdates({ restoreOnFailure: true });
+    const [item] = report.items;
+
+    assert.equal(item.status, 'failed');
+    assert.equal(item.rollback.ok, false);
+    assert.equal(item.rollback.restoredSnapshot, false);
+    assert.equal(item.rollback.error, 'Restoring snapshot before-updates failed: mysql: access denied');
+    assert.deepEqual(report.summary, { total: 1, updated: 0, rolledBack: 0, failed: 1, skipped: 0 });
+  } finally {
+    await wordpress.close();
+  }
+});
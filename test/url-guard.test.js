@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isPublicAddress, assertPublicUrl } from '../utils/url-guard.js';
+import { ValidationError } from '../utils/errors.js';
+
+test('isPublicAddress accepts public IPv4 and IPv6 addresses', () => {
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('isPublicAddress refuses loopback, private, link-local and reserved addresses', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '255.255.255.255',
+    '::', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1', 'not-an-ip'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('assertPublicUrl allows only http and https', async () => {
+  for (const url of ['file:///etc/passwd', 'ftp://example.com/a.png', 'gopher://example.com', 'not a url']) {
+    await assert.rejects(assertPublicUrl(url), ValidationError, url);
+  }
+});
+
+test('assertPublicUrl refuses hosts that resolve to non-public addresses', async () => {
+  for (const url of ['http://127.0.0.1/a.png', 'http://[::1]/a.png', 'http://localhost:8080/a.png', 'http://169.254.169.254/latest/meta-data']) {
+    await assert.rejects(assertPublicUrl(url), { name: 'ValidationError', code: 'url_not_allowed' }, url);
+  }
+});
+
+test('assertPublicUrl allows public addresses', async () => {
+  const url = await assertPublicUrl('https://93.184.216.34/a.png');
+  assert.equal(url.hostname, '93.184.216.34');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseJsonOutput,
+  parseJsonList,
+  parseTabular,
+  parseBatch,
+  parseMessage,
+  parseInteger,
+  parseSearchReplace,
+  parseOutput,
+  validateOutput,
+  wpCliSchemas as schemas
+} from '../utils/wp-cli-output.js';
+import { WPCLIClient } from '../clients/wp-cli.js';
+import { FakeTransport } from '../clients/transports.js';
+import { ParseError } from '../utils/errors.js';
+
+test('parseJsonOutput skips notices printed before the JSON', () => {
+  assert.deepEqual(parseJsonOutput('[{"name":"akismet"}]'), [{ name: 'akismet' }]);
+  assert.deepEqual(parseJsonOutput('PHP Notice: Undefined index\n{"home":"https://example.com"}'), { home: 'https://example.com' });
+  assert.equal(parseJsonOutput('  '), null);
+
+  assert.throws(() => parseJsonOutput('not json', 'wp plugin list'), error => {
+    assert.ok(error instanceof ParseError);
+    assert.equal(error.code, 'invalid_wp_cli_json');
+    assert.equal(error.data.command, 'wp plugin list');
+    return true;
+  });
+});
+
+test('parseJsonList treats a Success: line as an empty list', () => {
+  assert.deepEqual(parseJsonList('Success: Plugin already updated.'), []);
+  assert.deepEqual(parseJsonList('[{"name":"akismet"}]'), [{ name: 'akismet' }]);
+});
+
+test('parseTabular and parseBatch read tab-separated rows', () => {
+  assert.deepEqual(parseTabular('name\tstatus\nakismet\tactive\nhello\nSuccess: Done.'), [
+    { name: 'akismet', status: 'active' },
+    { name: 'hello', status: null }
+  ]);
+
+  const batch = 'ID\tpost_title\tpost_excerpt\n1\tTab\\there\tNULL\n2\tLine\\nbreak\t\n';
+  assert.deepEqual(parseBatch(batch), [
+    { ID: '1', post_title: 'Tab\there', post_excerpt: null },
+    { ID: '2', post_title: 'Line\nbreak', post_excerpt: '' }
+  ]);
+  assert.deepEqual(parseBatch('42\n', { header: false }), [['42']]);
+});
+
+test('parseMessage collects the success message and warnings from both streams', () => {
+  assert.deepEqual(parseMessage('Success: Activated 1 of 1 plugins.', 'Warning: Plugin was already active.\n'), {
+    success: true,
+    message: 'Activated 1 of 1 plugins.',
+    warnings: ['Plugin was already active.']
+  });
+  assert.equal(parseMessage('Plugin installed\n').message, 'Plugin installed');
+});
+
+test('parseInteger reads --porcelain IDs and fails on anything else', () => {
+  assert.equal(parseInteger('Notice: something\n123\n'), 123);
+  assert.throws(() => parseInteger('Error: nope', 'wp post create'), { name: 'ParseError', code: 'invalid_wp_cli_output' });
+});
+
+test('parseSearchReplace totals replacements per column', () => {
+  const result = parseSearchReplace('Table\tColumn\tReplacements\tType\nwp_posts\tpost_content\t3\tSQL\nwp_options\toption_value\t1\tPHP\n', 'Success: 4 replacements to be made.');
+
+  assert.equal(result.totalReplacements, 4);
+  assert.deepEqual(result.tables[1], { table: 'wp_options', column: 'option_value', replacements: 1, type: 'PHP' });
+  assert.equal(result.message, '4 replacements to be made.');
+});
+
+test('parseOutput dispatches to named or custom parsers', () => {
+  assert.equal(parseOutput('text', '  6.5.2 \n'), '6.5.2');
+  assert.equal(parseOutput(stdout => stdout.length, 'abc'), 3);
+  assert.throws(() => parseOutput('xml', ''), /Unknown WP-CLI output parser: xml/);
+});
+
+test('validateOutput coerces valid output and reports mismatches field by field', () => {
+  assert.deepEqual(validateOutput(schemas.sites, [{ blog_id: '2', url: 'https://example.com/b/' }]), [{ blog_id: 2, url: 'https://example.com/b/' }]);
+
+  assert.throws(() => validateOutput(schemas.plugins, [{ status: 'active' }], 'wp plugin list'), error => {
+    assert.ok(error instanceof ParseError);
+    assert.equal(error.code, 'unexpected_wp_cli_output');
+    assert.ok(Object.keys(error.params).some(key => key.startsWith('0.')));
+    return true;
+  });
+});
+
+test('client methods return typed results', async () => {
+  const transport = new FakeTransport()
+    .respond(['plugin', 'list'], JSON.stringify([{ name: 'akismet', status: 'active', version: '5.3', update: 'none' }]))
+    .respond(['db', 'query'], 'ID\tpost_title\n1\tHello')
+    .respond(['option', 'get'], 'not json at all');
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+
+  assert.equal((await cli.listPlugins())[0].name, 'akismet');
+  assert.deepEqual(await cli.dbQuery('SELECT ID, post_title FROM wp_posts'), [{ ID: '1', post_title: 'Hello' }]);
+  await assert.rejects(cli.exec(['option', 'get', 'home']), ParseError);
+});
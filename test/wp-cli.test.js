@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { WPCLIClient, isReadOnlyCommand } from '../clients/wp-cli.js';
+import { FakeTransport, SshTransport } from '../clients/transports.js';
+import { ValidationError, TimeoutError, CommandError } from '../utils/errors.js';
+
+const execFileAsync = promisify(execFile);
+
+function createClient() {
+  const transport = new FakeTransport({ defaultResponse: 'Success: Done.' });
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+  return { cli, transport };
+}
+
+const ssh = new SshTransport({ host: 'example.com', user: 'deploy', wordPressPath: '/var/www/html', reuseConnection: false });
+
+function remoteCommand(wpArgs) {
+  const { file, args } = ssh.build(wpArgs);
+  assert.equal(file, 'ssh');
+  assert.equal(args.at(-2), 'deploy@example.com');
+  return args.at(-1);
+}
+
+test('command substitution stays one literal argument', async () => {
+  const { cli, transport } = createClient();
+
+  await cli.setOption('blogname', '$(touch /tmp/pwned)');
+  await cli.setOption('blogdescription', '`touch /tmp/pwned`');
+
+  assert.deepEqual(transport.calls[0].args, ['option', 'update', 'blogname', '$(touch /tmp/pwned)']);
+  assert.deepEqual(transport.calls[1].args, ['option', 'update', 'blogdescription', '`touch /tmp/pwned`']);
+  assert.equal(remoteCommand(transport.calls[0].args), "cd /var/www/html && wp option update blogname '$(touch /tmp/pwned)'");
+  assert.equal(remoteCommand(transport.calls[1].args), "cd /var/www/html && wp option update blogdescription '`touch /tmp/pwned`'");
+});
+
+test('quotes and newlines are passed through and quoted for SSH', async () => {
+  const { cli, transport } = createClient();
+
+  await cli.setOption('blogname', "Bob's \"best\" blog");
+  await cli.setOption('blogdescription', 'line one\nline two');
+
+  assert.deepEqual(transport.calls[0].args, ['option', 'update', 'blogname', 'Bob\'s "best" blog']);
+  assert.deepEqual(transport.calls[1].args, ['option', 'update', 'blogdescription', 'line one\nline two']);
+  assert.equal(remoteCommand(transport.calls[0].args), `cd /var/www/html && wp option update blogname 'Bob'\\''s "best" blog'`);
+  assert.equal(remoteCommand(transport.calls[1].args), "cd /var/www/html && wp option update blogdescription 'line one\nline two'");
+});
+
+test('values with a leading -- are rejected before anything runs', async () => {
+  const { cli, transport } = createClient();
+
+  await assert.rejects(cli.installPlugin('--exec=system("id")'), ValidationError);
+  await assert.rejects(cli.setOption('blogname', '--require=/tmp/evil.php'), ValidationError);
+  await assert.rejects(cli.dbQuery('--help'), ValidationError);
+  assert.equal(transport.calls.length, 0);
+
+  // A single dash is not a flag to WP-CLI
+  await cli.setOption('posts_per_page', '-1');
+  assert.deepEqual(transport.calls[0].args, ['option', 'update', 'posts_per_page', '-1']);
+});
+
+test('SQL is one argument, however it is written', async () => {
+  const { cli, transport } = createClient();
+  transport.respond(['db', 'query'], 'ID\tpost_title\n1\tHello');
+
+  const sql = "SELECT ID, post_title FROM wp_posts WHERE post_title = 'a' OR 1=1; -- $(id)";
+  const rows = await cli.dbQuery(sql);
+
+  assert.deepEqual(rows, [{ ID: '1', post_title: 'Hello' }]);
+  assert.deepEqual(transport.calls[0].args, ['db', 'query', sql, '--batch']);
+  assert.equal(
+    remoteCommand(transport.calls[0].args),
+    `cd /var/www/html && wp db query 'SELECT ID, post_title FROM wp_posts WHERE post_title = '\\''a'\\'' OR 1=1; -- $(id)' --batch`
+  );
+});
+
+test('legacy string commands are split without a shell', async () => {
+  const { cli, transport } = createClient();
+  transport.respond(['post'], '[]');
+
+  await cli.exec(`option update blogname 'My $(id) site'`, { format: null });
+  await cli.exec('post list; touch /tmp/pwned');
+
+  assert.deepEqual(transport.calls[0].args, ['option', 'update', 'blogname', 'My $(id) site']);
+  assert.deepEqual(transport.calls[1].args, ['post', 'list;', 'touch', '/tmp/pwned', '--format=json']);
+  assert.equal(remoteCommand(transport.calls[0].args), "cd /var/www/html && wp option update blogname 'My $(id) site'");
+  assert.equal(remoteCommand(transport.calls[1].args), "cd /var/www/html && wp post 'list;' touch /tmp/pwned --format=json");
+});
+
+test('the WordPress path is quoted, keeping ~/ expandable', () => {
+  const hostile = new SshTransport({ host: 'example.com', user: 'deploy', wordPressPath: '/srv/$(id)/wp', reuseConnection: false });
+  const home = new SshTransport({ host: 'example.com', user: 'deploy', wordPressPath: "~/it's here", reuseConnection: false });
+
+  assert.equal(hostile.build(['core', 'version']).args.at(-1), "cd '/srv/$(id)/wp' && wp core version");
+  assert.equal(home.build(['core', 'version']).args.at(-1), "cd ~/'it'\\''s here' && wp core version");
+});
+
+test('only single reading SQL statements count as read-only', () => {
+  for (const sql of ['SELECT * FROM wp_posts', 'show tables;', 'DESCRIBE wp_options', 'explain select 1']) {
+    assert.equal(isReadOnlyCommand(['db', 'query', sql]), true, sql);
+  }
+
+  for (const sql of [
+    'DELETE FROM wp_posts',
+    'SELECT 1; DROP TABLE wp_users',
+    "SELECT * FROM wp_users INTO OUTFILE '/var/www/html/users.txt'",
+    "select user_pass from wp_users into dumpfile '/tmp/x'",
+    "SELECT '<?php' INTO/**/OUTFILE '/var/www/html/x.php'"
+  ]) {
+    assert.equal(isReadOnlyCommand(['db', 'query', sql]), false, sql);
+  }
+});
+
+/**
+ * Client whose transport fails like a real execFile run of `node -e script`
+ */
+async function failingClient(script, runOptions = {}) {
+  const failure = await execFileAsync(process.execPath, ['-e', script], runOptions).then(() => null, error => error);
+  const transport = new FakeTransport();
+  transport.run = async () => { throw failure; };
+  return { cli: new WPCLIClient({ enabled: true, transport, env: false }), failure };
+}
+
+test('a non-zero exit throws a CommandError with the exit code and output', async () => {
+  const { cli, failure } = await failingClient('console.error("Error: The plugin could not be found."); process.exit(1)');
+
+  await assert.rejects(cli.exec(['plugin', 'activate', 'missing']), error => {
+    assert.ok(error instanceof CommandError);
+    assert.equal(error.exitCode, 1);
+    assert.match(error.stderr, /could not be found/);
+    assert.equal(error.cause, failure);
+    return true;
+  });
+});
+
+test('a command past its timeout throws a TimeoutError', async () => {
+  const { cli, failure } = await failingClient('setTimeout(() => {}, 5000)', { timeout: 50 });
+
+  await assert.rejects(cli.exec(['cron', 'event', 'run', '--all']), error => {
+    assert.ok(error instanceof TimeoutError);
+    assert.equal(error.code, 'command_timeout');
+    assert.equal(error.cause, failure);
+    return true;
+  });
+});
+
+test('a cancelled command throws the reason it was cancelled with', async () => {
+  const controller = new AbortController();
+  const reason = new TimeoutError('Tool timed out after 10ms');
+  const run = execFileAsync(process.execPath, ['-e', 'setTimeout(() => {}, 5000)'], { signal: controller.signal });
+  controller.abort(reason);
+  const failure = await run.catch(error => error);
+
+  const transport = new FakeTransport();
+  transport.run = async () => { throw failure; };
+  const cli = new WPCLIClient({ enabled: true, transport, env: false });
+
+  await assert.rejects(cli.exec(['plugin', 'list'], { signal: controller.signal }), error => error === reason);
+
+  const plain = new AbortController();
+  plain.abort();
+  await assert.rejects(cli.exec(['plugin', 'list'], { signal: plain.signal }), {
+    name: 'WordPressError',
+    code: 'command_cancelled',
+    cause: failure
+  });
+});
@@ -0,0 +1,433 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Gutenberg block markup parser and serializer
+ *
+ * parseBlocks() follows the reference parser (@wordpress/block-serialization-default-parser),
+ * so trees match what WordPress itself produces:
+ *
+ *   { name: 'core/paragraph', attrs: {}, innerBlocks: [], innerHTML: '<p>Hi</p>', innerContent: ['<p>Hi</p>'] }
+ *
+ * HTML outside any block becomes a freeform block with name null. serializeBlocks()
+ * reproduces the original markup byte for byte for blocks whose attributes were not
+ * changed, and canonical WordPress markup for everything else.
+ */
+
+// Block comment delimiters, from the reference parser; group 5 emulates an atomic group
+const TOKENIZER = /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+({(?:(?=([^}]+|}+(?=})|(?!}\s+\/?-->)[^])*)\5|[^]*?)}\s+)?(\/)?-->/g;
+
+// Original delimiter text per parsed block, for lossless serialization
+const originals = new WeakMap();
+
+function createFrame(block, tokenStart, tokenLength, prevOffset, leadingHtmlStart) {
+  return { block, tokenStart, tokenLength, prevOffset: prevOffset ?? tokenStart + tokenLength, leadingHtmlStart };
+}
+
+function freeform(html) {
+  return createBlock(null, {}, [], html);
+}
+
+/**
+ * Build a block; innerContent defaults to the HTML followed by a slot per inner block
+ */
+export function createBlock(name, attrs = {}, innerBlocks = [], innerHTML = '', innerContent = null) {
+  return {
+    name: name && !name.includes('/') ? `core/${name}` : name,
+    attrs: attrs || {},
+    innerBlocks,
+    innerHTML,
+    innerContent: innerContent || [...(innerHTML ? [innerHTML] : []), ...innerBlocks.map(() => null)]
+  };
+}
+
+/**
+ * Parse serialized block markup (post_content / content.raw) into a block tree
+ */
+export function parseBlocks(document = '') {
+  const source = String(document ?? '');
+  const output = [];
+  const stack = [];
+  let offset = 0;
+
+  const nextToken = () => {
+    TOKENIZER.lastIndex = offset;
+    const matches = TOKENIZER.exec(source);
+
+    if (matches === null) {
+      return { type: 'no-more-tokens' };
+    }
+
+    const [match, closerMatch, namespaceMatch, nameMatch, attrsMatch, , voidMatch] = matches;
+    const token = {
+      name: `${namespaceMatch || 'core/'}${nameMatch}`,
+      attrs: null,
+      start: matches.index,
+      length: match.length,
+      raw: match
+    };
+
+    if (closerMatch) {
+      return { ...token, type: 'block-closer' };
+    }
+
+    try {
+      token.attrs = attrsMatch ? JSON.parse(attrsMatch) : {};
+    } catch (error) {
+      // The reference parser treats invalid attribute JSON as no attributes
+      token.attrs = {};
+    }
+
+    return { ...token, type: voidMatch ? 'void-block' : 'block-opener' };
+  };
+
+  const addFreeform = (rawLength) => {
+    const length = rawLength || source.length - offset;
+    if (length > 0) {
+      output.push(freeform(source.substr(offset, length)));
+    }
+  };
+
+  const pushHtml = (block, html) => {
+    if (html) {
+      block.innerHTML += html;
+      block.innerContent.push(html);
+    }
+  };
+
+  const addInnerBlock = (block, tokenStart, tokenLength, lastOffset) => {
+    const parent = stack[stack.length - 1];
+    parent.block.innerBlocks.push(block);
+    pushHtml(parent.block, source.substr(parent.prevOffset, tokenStart - parent.prevOffset));
+    parent.block.innerContent.push(null);
+    parent.prevOffset = lastOffset || tokenStart + tokenLength;
+  };
+
+  const addBlockFromStack = (endOffset) => {
+    const { block, leadingHtmlStart, prevOffset, tokenStart } = stack.pop();
+    pushHtml(block, endOffset ? source.substr(prevOffset, endOffset - prevOffset) : source.substr(prevOffset));
+
+    if (leadingHtmlStart !== null) {
+      output.push(freeform(source.substr(leadingHtmlStart, tokenStart - leadingHtmlStart)));
+    }
+
+    output.push(block);
+  };
+
+  const proceed = () => {
+    const token = nextToken();
+    const depth = stack.length;
+    const leadingHtmlStart = token.start > offset ? offset : null;
+
+    switch (token.type) {
+      case 'no-more-tokens':
+        if (depth === 0) {
+          addFreeform();
+          return false;
+        }
+        while (stack.length > 0) {
+          addBlockFromStack();
+        }
+        return false;
+
+      case 'void-block': {
+        const block = createBlock(token.name, token.attrs);
+        originals.set(block, { opener: token.raw, closer: null, name: block.name, attrs: JSON.stringify(token.attrs) });
+
+        if (depth === 0) {
+          if (leadingHtmlStart !== null) {
+            output.push(freeform(source.substr(leadingHtmlStart, token.start - leadingHtmlStart)));
+          }
+          output.push(block);
+        } else {
+          addInnerBlock(block, token.start, token.length);
+        }
+
+        offset = token.start + token.length;
+        return true;
+      }
+
+      case 'block-opener': {
+        const block = createBlock(token.name, token.attrs);
+        originals.set(block, { opener: token.raw, closer: null, name: block.name, attrs: JSON.stringify(token.attrs) });
+        stack.push(createFrame(block, token.start, token.length, null, leadingHtmlStart));
+        offset = token.start + token.length;
+        return true;
+      }
+
+      case 'block-closer': {
+        if (depth === 0) {
+          // Stray closer: keep the rest as HTML
+          addFreeform();
+          return false;
+        }
+
+        const frame = stack[depth - 1];
+        originals.get(frame.block).closer = token.raw;
+
+        if (depth === 1) {
+          addBlockFromStack(token.start);
+          offset = token.start + token.length;
+          return true;
+        }
+
+        stack.pop();
+        pushHtml(frame.block, source.substr(frame.prevOffset, token.start - frame.prevOffset));
+        frame.prevOffset = token.start + token.length;
+        addInnerBlock(frame.block, frame.tokenStart, frame.tokenLength, token.start + token.length);
+        offset = token.start + token.length;
+        return true;
+      }
+
+      default:
+        addFreeform();
+        return false;
+    }
+  };
+
+  while (proceed()) {
+    // Each step consumes one delimiter
+  }
+
+  return output;
+}
+
+/**
+ * Attribute JSON as WordPress writes it: characters that could end the comment or be read as HTML are escaped
+ */
+export function serializeAttributes(attrs) {
+  return JSON.stringify(attrs)
+    .replace(/--/g, '\\u002d\\u002d')
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\\"/g, '\\u0022');
+}
+
+/**
+ * Inner content with one null slot per inner block
+ * When blocks were added or removed, HTML between the slots is kept and extra blocks go after the last slot
+ */
+function innerContentOf(block) {
+  if (block.innerBlocks.length === 0) {
+    return block.innerHTML ? [block.innerHTML] : [];
+  }
+
+  const content = block.innerContent || [];
+  const slots = content.filter(part => part === null).length;
+
+  if (slots === block.innerBlocks.length) {
+    return content;
+  }
+
+  const lastSlot = content.lastIndexOf(null);
+  const before = lastSlot === -1 ? content : content.slice(0, lastSlot);
+  const after = lastSlot === -1 ? [] : content.slice(lastSlot + 1);
+  const kept = [];
+  let used = 0;
+
+  for (const part of before) {
+    if (part === null) {
+      if (used < block.innerBlocks.length - 1) {
+        kept.push(null);
+        used++;
+      }
+    } else {
+      kept.push(part);
+    }
+  }
+
+  return [...kept, ...block.innerBlocks.slice(used).map(() => null), ...after];
+}
+
+export function serializeBlock(block) {
+  if (!block.name) {
+    return block.innerHTML || '';
+  }
+
+  const original = originals.get(block);
+  const unchanged = original && original.name === block.name && original.attrs === JSON.stringify(block.attrs || {});
+  const name = block.name.startsWith('core/') ? block.name.slice(5) : block.name;
+  const attrs = block.attrs && Object.keys(block.attrs).length > 0 ? `${serializeAttributes(block.attrs)} ` : '';
+  const content = innerContentOf(block);
+
+  let index = 0;
+  const inner = content.map(part => (part === null ? serializeBlock(block.innerBlocks[index++]) : part)).join('');
+
+  if (!inner && !(unchanged && original.closer)) {
+    return unchanged && !original.closer ? original.opener : `<!-- wp:${name} ${attrs}/-->`;
+  }
+
+  const opener = unchanged && original.closer ? original.opener : `<!-- wp:${name} ${attrs}-->`;
+  const closer = unchanged && original.closer ? original.closer : `<!-- /wp:${name} -->`;
+
+  return `${opener}${inner}${closer}`;
+}
+
+/**
+ * Serialize a block tree back to post content
+ */
+export function serializeBlocks(blocks) {
+  return blocks.map(serializeBlock).join('');
+}
+
+/**
+ * Build a predicate from a block name ('core/paragraph' or 'paragraph'),
+ * { name, attrs } (attribute values must match) or a function
+ */
+export function blockMatcher(matcher) {
+  if (typeof matcher === 'function') return matcher;
+  if (matcher === undefined || matcher === null) return block => Boolean(block.name);
+
+  const { name, attrs } = typeof matcher === 'string' ? { name: matcher } : matcher;
+  const fullName = name && !name.includes('/') ? `core/${name}` : name;
+
+  return block => Boolean(block.name) &&
+    (!fullName || block.name === fullName) &&
+    Object.entries(attrs || {}).every(([key, value]) => JSON.stringify(block.attrs?.[key]) === JSON.stringify(value));
+}
+
+/**
+ * Visit every block depth first; visitor(block, path, parent) where path is the index trail
+ */
+export function walkBlocks(blocks, visitor, path = [], parent = null) {
+  blocks.forEach((block, index) => {
+    const blockPath = [...path, index];
+    visitor(block, blockPath, parent);
+    walkBlocks(block.innerBlocks || [], visitor, blockPath, block);
+  });
+}
+
+/**
+ * Matching blocks with their paths: [{ block, path }]
+ */
+export function findBlocks(blocks, matcher) {
+  const test = blockMatcher(matcher);
+  const found = [];
+  walkBlocks(blocks, (block, path) => {
+    if (test(block, path)) found.push({ block, path });
+  });
+  return found;
+}
+
+/**
+ * Copy a block, keeping its original delimiters so unchanged parts still serialize losslessly
+ */
+function copyBlock(block, changes) {
+  const copy = { ...block, ...changes };
+  if (originals.has(block)) originals.set(copy, originals.get(block));
+  return copy;
+}
+
+function applyPatch(block, patch) {
+  const changes = { ...patch };
+
+  if (patch.attrs) {
+    changes.attrs = { ...block.attrs, ...patch.attrs };
+    for (const [key, value] of Object.entries(patch.attrs)) {
+      if (value === undefined) delete changes.attrs[key];
+    }
+  }
+
+  if (patch.innerHTML !== undefined) {
+    if ((patch.innerBlocks || block.innerBlocks).length > 0) {
+      throw new ValidationError(`Cannot set innerHTML of ${block.name}: it contains inner blocks`, {
+        code: 'block_has_inner_blocks',
+        hint: 'Update the inner blocks instead, or use replaceInBlocks for text inside the wrapper markup.'
+      });
+    }
+    changes.innerContent = patch.innerHTML ? [patch.innerHTML] : [];
+  }
+
+  return copyBlock(block, changes);
+}
+
+/**
+ * Return a new tree with matching blocks updated
+ * `update` is a patch ({ attrs, innerHTML, innerBlocks, name }; attrs are merged, undefined removes a key)
+ * or a function (block, path) => patch | block | null, where null removes the block
+ */
+export function updateBlocks(blocks, matcher, update) {
+  const test = blockMatcher(matcher);
+  let count = 0;
+
+  const visit = (list, path) => list.flatMap((block, index) => {
+    const blockPath = [...path, index];
+    const innerBlocks = visit(block.innerBlocks || [], blockPath);
+    const current = innerBlocks.length === (block.innerBlocks || []).length && innerBlocks.every((inner, i) => inner === block.innerBlocks[i])
+      ? block
+      : copyBlock(block, { innerBlocks });
+
+    if (!test(current, blockPath)) return [current];
+
+    count++;
+    const patch = typeof update === 'function' ? update(current, blockPath) : update;
+    if (patch === null) return [];
+    if (patch === undefined || patch === current) return [current];
+    // A whole block (e.g. from createBlock) replaces the match
+    if (Array.isArray(patch.innerContent) && Array.isArray(patch.innerBlocks)) return [patch];
+    return [applyPatch(current, patch)];
+  });
+
+  const result = visit(blocks, []);
+  result.count = count;
+  return result;
+}
+
+/**
+ * Remove matching blocks; returns the new tree (with .count)
+ */
+export function removeBlocks(blocks, matcher) {
+  return updateBlocks(blocks, matcher, () => null);
+}
+
+/**
+ * Find and replace text in block HTML (and string attributes with { attrs: true })
+ * `search` is a string or RegExp; only blocks matching options.matcher are touched
+ * Returns the new tree with .count set to the number of replacements
+ */
+export function replaceInBlocks(blocks, search, replacement, options = {}) {
+  const pattern = typeof search === 'string'
+    ? new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')
+    : new RegExp(search.source, search.flags.includes('g') ? search.flags : `${search.flags}g`);
+  let replacements = 0;
+
+  const replace = (text) => {
+    replacements += (text.match(pattern) || []).length;
+    return text.replace(pattern, replacement);
+  };
+
+  const result = updateBlocks(blocks, options.matcher, (block) => {
+    const before = replacements;
+    // Leaf blocks are edited through innerHTML; containers only in the markup around their inner blocks
+    const innerContent = block.innerBlocks.length === 0
+      ? (block.innerHTML ? [replace(block.innerHTML)] : [])
+      : block.innerContent.map(part => (part === null ? null : replace(part)));
+    const attrs = options.attrs
+      ? Object.fromEntries(Object.entries(block.attrs || {}).map(([key, value]) => [key, typeof value === 'string' ? replace(value) : value]))
+      : block.attrs;
+
+    if (replacements === before) return block;
+
+    return copyBlock(block, {
+      attrs,
+      innerContent,
+      innerHTML: innerContent.filter(part => part !== null).join('')
+    });
+  });
+
+  result.count = replacements;
+  return result;
+}
+
+/**
+ * Plain text of a block tree (tags stripped), useful for previews and search
+ */
+export function blocksToText(blocks) {
+  const parts = [];
+  walkBlocks(blocks, (block) => {
+    if (block.innerBlocks.length === 0 && block.innerHTML) {
+      parts.push(block.innerHTML.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim());
+    }
+  });
+  return parts.filter(Boolean).join('\n');
+}
@@ -1,3 +1,4 @@
+import { EventEmitter } from 'events';
 import NodeCache from 'node-cache';
 import logger from './logger.js';
 
@@ -13,6 +14,10 @@ class CacheManager {
     });
 
     this.enabled = CACHE_ENABLED;
+    // 'invalidate' events ({ namespace, pattern, keys }) fire even when caching is disabled,
+    // so listeners such as MCP resource subscriptions still hear about writes
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
 
     if (this.enabled) {
       logger.info(`Cache enabled with TTL: ${CACHE_TTL}s`);
@@ -50,6 +55,7 @@ class CacheManager {
   }
 
   flush() {
+    this.events.emit('invalidate', { namespace: null, pattern: '', keys: this.cache.keys() });
     if (!this.enabled) return;
 
     this.cache.flushAll();
@@ -57,20 +63,67 @@ class CacheManager {
   }
 
   invalidatePattern(pattern) {
-    if (!this.enabled) return;
-
     const keys = this.cache.keys();
     const matchingKeys = keys.filter(key => key.includes(pattern));
 
+    this.events.emit('invalidate', { namespace: null, pattern, keys: matchingKeys });
+    if (!this.enabled) return;
+
     if (matchingKeys.length > 0) {
       this.cache.del(matchingKeys);
       logger.debug(`Cache invalidated ${matchingKeys.length} keys matching: ${pattern}`);
     }
   }
 
+  /**
+   * Listen for invalidations; returns a function that removes the listener
+   */
+  onInvalidate(listener) {
+    this.events.on('invalidate', listener);
+    return () => this.events.off('invalidate', listener);
+  }
+
   getStats() {
     return this.cache.getStats();
   }
+
+  /**
+   * Scoped view whose keys and invalidations stay inside one namespace
+   */
+  namespace(name) {
+    const prefix = `${name}|`;
+
+    return {
+      name,
+      get: (key) => this.get(`${prefix}${key}`),
+      set: (key, value, ttl) => this.set(`${prefix}${key}`, value, ttl),
+      del: (key) => this.del(`${prefix}${key}`),
+      flush: () => this.invalidateNamespace(prefix),
+      invalidatePattern: (pattern) => {
+        const keys = this.cache.keys().filter(key => key.startsWith(prefix) && key.slice(prefix.length).includes(pattern));
+
+        this.events.emit('invalidate', { namespace: name, pattern, keys: keys.map(key => key.slice(prefix.length)) });
+        if (!this.enabled) return;
+
+        if (keys.length > 0) {
+          this.cache.del(keys);
+          logger.debug(`Cache invalidated ${keys.length} keys in ${name} matching: ${pattern}`);
+        }
+      }
+    };
+  }
+
+  invalidateNamespace(prefix) {
+    const keys = this.cache.keys().filter(key => key.startsWith(prefix));
+
+    this.events.emit('invalidate', { namespace: prefix.slice(0, -1), pattern: '', keys: keys.map(key => key.slice(prefix.length)) });
+    if (!this.enabled) return;
+
+    if (keys.length > 0) {
+      this.cache.del(keys);
+    }
+    logger.info(`Cache flushed for namespace: ${prefix.slice(0, -1)}`);
+  }
 }
 
 export const cache = new CacheManager();
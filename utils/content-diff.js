@@ -0,0 +1,215 @@
+import { parseBlocks, serializeBlock, blocksToText } from './blocks.js';
+
+/**
+ * Structured diffs between two versions of a post (revisions, autosaves, the saved post
+ * or proposed changes): title, excerpt and meta by field, content block by block
+ *
+ *   const diff = diffContent(revision, { content: proposedMarkup });
+ *   diff.fields.content.blocks // [{ type: 'changed', name: 'core/paragraph', index: 2, attrs, text }]
+ */
+
+// Word-level diffs beyond this many comparisons fall back to a plain replacement
+const MAX_DIFF_CELLS = 1000000;
+
+function fieldValue(value) {
+  if (value && typeof value === 'object') {
+    return value.raw ?? value.rendered ?? '';
+  }
+  return value ?? '';
+}
+
+/**
+ * Title, excerpt, content and meta of a REST item (raw values when read with context=edit)
+ * or of a plain { title, content, excerpt, meta } object
+ */
+export function contentFields(item = {}) {
+  return {
+    title: item.title === undefined ? undefined : fieldValue(item.title),
+    excerpt: item.excerpt === undefined ? undefined : fieldValue(item.excerpt),
+    content: item.content === undefined ? undefined : fieldValue(item.content),
+    meta: item.meta && typeof item.meta === 'object' && !Array.isArray(item.meta) ? item.meta : undefined
+  };
+}
+
+/**
+ * Longest common subsequence edit script: [{ type: 'equal' | 'delete' | 'insert', items }]
+ */
+function editScript(before, after, same = (a, b) => a === b) {
+  if (before.length * after.length > MAX_DIFF_CELLS) {
+    return [
+      ...(before.length ? [{ type: 'delete', items: before }] : []),
+      ...(after.length ? [{ type: 'insert', items: after }] : [])
+    ];
+  }
+
+  const lengths = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = same(before[i], after[j]) ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const script = [];
+  const push = (type, item) => {
+    if (script.at(-1)?.type === type) script.at(-1).items.push(item);
+    else script.push({ type, items: [item] });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && same(before[i], after[j])) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('delete', before[i++]);
+    } else {
+      push('insert', after[j++]);
+    }
+  }
+
+  return script;
+}
+
+/**
+ * Word-level text diff: { changed, from, to, changes: [{ type, text }] }
+ */
+export function diffText(from = '', to = '') {
+  const changed = from !== to;
+  const changes = changed
+    ? editScript(from.split(/(\s+)/).filter(Boolean), to.split(/(\s+)/).filter(Boolean))
+      .map(({ type, items }) => ({ type, text: items.join('') }))
+    : [{ type: 'equal', text: from }];
+
+  return { changed, from, to, changes: changes.filter(change => change.text) };
+}
+
+function diffAttrs(from = {}, to = {}) {
+  const changes = {};
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[key]) !== JSON.stringify(to[key])) {
+      changes[key] = { from: from[key], to: to[key] };
+    }
+  }
+  return changes;
+}
+
+function diffMeta(from, to, partial) {
+  // Meta updates are merged, so a partial update only touches the keys it sets
+  const keys = diffAttrs(partial ? Object.fromEntries(Object.keys(to).map(key => [key, from[key]])) : from, to);
+  return { changed: Object.keys(keys).length > 0, keys };
+}
+
+function contentBlocks(content) {
+  return parseBlocks(content)
+    .filter(block => block.name || block.innerHTML.trim())
+    .map(block => ({ block, markup: serializeBlock(block).trim() }));
+}
+
+/**
+ * Block-level diff of two post contents
+ * Unchanged blocks are skipped; a removed block followed by an added block of the same
+ * type is reported as one 'changed' entry with attribute and text changes
+ * Indexes are top-level positions in the old content (removed) or the new content (added, changed)
+ */
+export function diffBlocks(before = '', after = '') {
+  const script = editScript(contentBlocks(before), contentBlocks(after), (a, b) => a.markup === b.markup);
+  const blocks = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  for (let s = 0; s < script.length; s++) {
+    const { type, items } = script[s];
+
+    if (type === 'equal') {
+      oldIndex += items.length;
+      newIndex += items.length;
+      continue;
+    }
+
+    // Deletions and insertions between two unchanged runs are one hunk; pair blocks of the same type
+    const deleted = type === 'delete' ? items : [];
+    const inserted = type === 'insert' ? items : [];
+    if (script[s + 1] && script[s + 1].type !== 'equal') {
+      (script[++s].type === 'delete' ? deleted : inserted).push(...script[s].items);
+    }
+    let cursor = 0;
+
+    for (const removed of deleted) {
+      const match = inserted.findIndex((candidate, index) => index >= cursor && candidate.block.name === removed.block.name);
+
+      if (match === -1) {
+        blocks.push({ type: 'removed', index: oldIndex++, name: removed.block.name, markup: removed.markup });
+        continue;
+      }
+
+      for (const { block, markup } of inserted.slice(cursor, match)) {
+        blocks.push({ type: 'added', index: newIndex++, name: block.name, markup });
+      }
+
+      const { block } = inserted[match];
+      blocks.push({
+        type: 'changed',
+        index: newIndex++,
+        name: block.name,
+        attrs: diffAttrs(removed.block.attrs, block.attrs),
+        text: diffText(blocksToText([removed.block]), blocksToText([block])),
+        from: removed.markup,
+        to: inserted[match].markup
+      });
+      oldIndex++;
+      cursor = match + 1;
+    }
+
+    for (const { block, markup } of inserted.slice(cursor)) {
+      blocks.push({ type: 'added', index: newIndex++, name: block.name, markup });
+    }
+  }
+
+  const count = type => blocks.filter(block => block.type === type).length;
+
+  return {
+    changed: blocks.length > 0,
+    blocks,
+    summary: { added: count('added'), removed: count('removed'), changed: count('changed') }
+  };
+}
+
+/**
+ * Diff two versions of a post; fields missing from `after` count as unchanged,
+ * so a partial update ({ content }) can be previewed against the saved post
+ * With options.partial, meta keys missing from `after` are unchanged too
+ * Returns { changed, fields: { title, excerpt, content, meta }, summary }
+ */
+export function diffContent(before, after, options = {}) {
+  const from = contentFields(before);
+  const to = contentFields(after);
+  const fields = {};
+  const summary = [];
+
+  for (const field of ['title', 'excerpt']) {
+    fields[field] = to[field] === undefined
+      ? { changed: false, from: from[field] ?? '', to: from[field] ?? '', changes: [] }
+      : diffText(from[field] ?? '', to[field]);
+    if (fields[field].changed) summary.push(`${field[0].toUpperCase()}${field.slice(1)} changed`);
+  }
+
+  fields.content = to.content === undefined
+    ? { changed: false, blocks: [], summary: { added: 0, removed: 0, changed: 0 } }
+    : diffBlocks(from.content ?? '', to.content);
+  if (fields.content.changed) {
+    const { added, removed, changed } = fields.content.summary;
+    const parts = [[changed, 'changed'], [added, 'added'], [removed, 'removed']].filter(([n]) => n > 0);
+    summary.push(`Content: ${parts.map(([n, label]) => `${n} block${n === 1 ? '' : 's'} ${label}`).join(', ')}`);
+  }
+
+  fields.meta = to.meta === undefined ? { changed: false, keys: {} } : diffMeta(from.meta || {}, to.meta, options.partial);
+  if (fields.meta.changed) summary.push(`Meta changed: ${Object.keys(fields.meta.keys).join(', ')}`);
+
+  return {
+    changed: summary.length > 0,
+    fields,
+    summary
+  };
+}
@@ -0,0 +1,71 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import logger from './logger.js';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a tool handler with its request context available to everything it calls
+ */
+export function runWithToolContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Context of the tool call currently executing, if any
+ * ({ toolName, signal, progress, site, ... })
+ */
+export function getToolContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Build a progress reporter for an MCP request
+ * Sends notifications/progress when the client asked for them (params._meta.progressToken),
+ * at most every `interval` ms so chatty commands don't flood the transport
+ */
+export function createProgressReporter(request, extra, options = {}) {
+  const progressToken = request.params?._meta?.progressToken;
+  const interval = options.interval ?? 250;
+
+  if (progressToken === undefined || !extra?.sendNotification) {
+    return () => {};
+  }
+
+  let lastSent = 0;
+  let lastProgress = -Infinity;
+
+  return (progress, total, message, force = false) => {
+    const now = Date.now();
+
+    // Progress must increase, and intermediate updates are throttled
+    if (progress <= lastProgress || (!force && now - lastSent < interval)) {
+      return;
+    }
+
+    lastSent = now;
+    lastProgress = progress;
+
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(total !== undefined && total !== null ? { total } : {}),
+        ...(message ? { message } : {})
+      }
+    }).catch(error => logger.debug(`Progress notification failed: ${error.message}`));
+  };
+}
+
+/**
+ * Report a multi-step job as step N of total, through onProgress or the current tool call
+ * Returns step(message)
+ */
+export function createStepProgress(total, onProgress = getToolContext()?.progress) {
+  let step = 0;
+
+  return (message) => {
+    step = Math.min(step + 1, total);
+    onProgress?.(step, total, message, true);
+  };
+}
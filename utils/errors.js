@@ -0,0 +1,245 @@
+import { ZodError } from 'zod';
+
+/**
+ * Base class for errors returned by the WordPress REST API
+ * Keeps the HTTP status, WP error code and validation details intact
+ */
+export class WordPressError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.type = options.type || 'api_error';
+    this.status = options.status ?? null;
+    this.code = options.code ?? null;
+    this.data = options.data ?? null;
+    this.params = options.params ?? null;
+    this.retryable = options.retryable ?? false;
+    this.hint = options.hint || 'Check the arguments and try again.';
+
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      details: this.params,
+      retryable: this.retryable,
+      hint: this.hint
+    };
+  }
+}
+
+export class AuthenticationError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'authentication_error',
+      hint: 'The server credentials were rejected. Changing the arguments will not help; ask the user to check the configured WordPress credentials.',
+      ...options
+    });
+  }
+}
+
+export class PermissionError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'permission_error',
+      hint: 'The authenticated user lacks the capability for this action. Try a read-only alternative or ask the user for a role with more permissions.',
+      ...options
+    });
+  }
+}
+
+export class NotFoundError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'not_found',
+      hint: 'The resource does not exist. List the collection first to find a valid ID or slug.',
+      ...options
+    });
+  }
+}
+
+export class ValidationError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'validation_error',
+      hint: options.params
+        ? `Fix the invalid parameter(s): ${Object.keys(options.params).join(', ')}. See details for what each one expects.`
+        : 'WordPress rejected the request. Check required fields and value formats.',
+      ...options
+    });
+  }
+}
+
+export class RateLimitError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'rate_limit_error',
+      retryable: true,
+      hint: options.retryAfter
+        ? `The site is throttling requests. Wait ${options.retryAfter}s before retrying and avoid parallel calls.`
+        : 'The site is throttling requests. Wait before retrying and avoid parallel calls.',
+      ...options
+    });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+export class NetworkError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'network_error',
+      retryable: true,
+      hint: 'WordPress could not be reached. Retry shortly; if it keeps failing, ask the user to check the site URL and that the site is online.',
+      ...options
+    });
+  }
+}
+
+export class TimeoutError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'timeout_error',
+      retryable: true,
+      hint: 'The request timed out. Retry with a narrower query or a smaller per_page.',
+      ...options
+    });
+  }
+}
+
+export class ParseError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'parse_error',
+      hint: 'The command ran but its output was not in the expected shape. Retrying will not help; report the output to the user.',
+      ...options
+    });
+  }
+}
+
+/**
+ * A WP-CLI command that ran and exited non-zero
+ * Keeps the exit code and output; the message carries stderr for the model
+ */
+export class CommandError extends WordPressError {
+  constructor(message, options = {}) {
+    super(message, {
+      type: 'command_error',
+      hint: 'WP-CLI reported an error. Read the message for the reason and fix the arguments or the site state before retrying.',
+      ...options
+    });
+    this.exitCode = options.exitCode ?? null;
+    this.stdout = options.stdout ?? '';
+    this.stderr = options.stderr ?? '';
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), exitCode: this.exitCode };
+  }
+}
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Parse a Retry-After header into seconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds;
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Map an axios error onto the WordPress error hierarchy
+ */
+export function createApiError(error) {
+  if (error instanceof WordPressError) {
+    return error;
+  }
+
+  if (error.response) {
+    const { status, data, headers } = error.response;
+    const message = `WordPress API Error (${status}): ${data?.message || data?.error || error.message}`;
+    const options = {
+      status,
+      code: data?.code ?? null,
+      data: data?.data ?? null,
+      params: data?.data?.params ?? null,
+      cause: error
+    };
+
+    if (status === 400) return new ValidationError(message, options);
+    if (status === 401) return new AuthenticationError(message, options);
+    if (status === 403) return new PermissionError(message, options);
+    if (status === 404) return new NotFoundError(message, options);
+    if (status === 408) return new TimeoutError(message, options);
+    if (status === 429) {
+      return new RateLimitError(message, { ...options, retryAfter: parseRetryAfter(headers?.['retry-after']) });
+    }
+
+    return new WordPressError(message, { ...options, retryable: status >= 500 });
+  }
+
+  // Aborted through the request's signal, e.g. by the timeout middleware: report why
+  if (error.code === 'ERR_CANCELED') {
+    const reason = error.config?.signal?.reason;
+    if (reason instanceof WordPressError) return reason;
+    return new WordPressError('WordPress API request was cancelled', { code: 'request_cancelled', cause: error });
+  }
+
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return new TimeoutError(`WordPress API request timed out: ${error.message}`, { code: error.code, cause: error });
+  }
+
+  if (error.request) {
+    return new NetworkError('No response from WordPress API. Check your connection and URL.', { code: error.code ?? null, cause: error });
+  }
+
+  return new WordPressError(`Request failed: ${error.message}`, { cause: error });
+}
+
+/**
+ * Build the machine-readable payload returned to MCP clients for a failed tool call
+ */
+export function serializeError(error) {
+  if (error instanceof WordPressError) {
+    return error.toJSON();
+  }
+
+  if (error instanceof ZodError) {
+    const details = {};
+    for (const issue of error.issues) {
+      details[issue.path.join('.') || '(root)'] = issue.message;
+    }
+    return {
+      type: 'invalid_arguments',
+      message: 'Tool arguments failed validation',
+      status: null,
+      code: null,
+      details,
+      retryable: false,
+      hint: 'Fix the listed arguments so they match the tool input schema, then call the tool again.'
+    };
+  }
+
+  return {
+    type: 'internal_error',
+    message: error?.message || String(error),
+    status: null,
+    code: error?.code ?? null,
+    details: null,
+    retryable: false,
+    hint: 'An unexpected error occurred. Do not retry the same call blindly; report the error to the user.'
+  };
+}
@@ -0,0 +1,332 @@
+import http from 'http';
+import crypto from 'crypto';
+import logger from './logger.js';
+
+const MAX_BODY_SIZE = 4 * 1024 * 1024;
+const SHUTDOWN_TIMEOUT = 10000;
+const SESSION_TIMEOUT = 30 * 60 * 1000;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether an Origin is a page served from this machine
+ */
+function isLocalOrigin(origin) {
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return ['http:', 'https:'].includes(protocol) && LOCAL_HOSTNAMES.includes(hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Serve an MCP server over HTTP
+ *
+ * - POST/GET/DELETE {path} (default /mcp): Streamable HTTP, one session per client
+ * - GET /sse + POST /messages: the older HTTP+SSE transport, for clients without Streamable HTTP
+ * - GET /health: unauthenticated liveness check
+ *
+ * Each session needs its own Server instance, created with options.createServer or the
+ * server's createSession() (servers from createMcpServer have one). Without either, the
+ * given server handles a single session at a time.
+ *
+ * Options (env fallbacks): host (MCP_HTTP_HOST, 127.0.0.1), port (MCP_HTTP_PORT, 3000),
+ * path, token (MCP_AUTH_TOKEN; clients send Authorization: Bearer <token>),
+ * allowedOrigins (MCP_ALLOWED_ORIGINS, comma separated), handleSignals (default true),
+ * sessionTimeout (MCP_SESSION_TIMEOUT, ms without requests before a Streamable HTTP session
+ * is closed, default 30 minutes; 0 keeps sessions until DELETE)
+ *
+ * Browsers send an Origin header; without allowedOrigins only localhost origins are accepted,
+ * so a web page can't reach the server through the user's browser (DNS rebinding).
+ * Requests without an Origin (non-browser clients) are always accepted.
+ *
+ * Returns { httpServer, url, sessions, close() }
+ */
+export async function startHttpServer(server, options = {}) {
+  const { StreamableHTTPServerTransport } = await import('@modelcontextprotocol/sdk/server/streamableHttp.js');
+  const { SSEServerTransport } = await import('@modelcontextprotocol/sdk/server/sse.js');
+  const { isInitializeRequest } = await import('@modelcontextprotocol/sdk/types.js');
+
+  const host = options.host || process.env.MCP_HTTP_HOST || '127.0.0.1';
+  const port = parseInt(options.port ?? process.env.MCP_HTTP_PORT ?? 3000, 10);
+  const endpoint = options.path || '/mcp';
+  const token = options.token ?? process.env.MCP_AUTH_TOKEN ?? null;
+  const allowedOrigins = options.allowedOrigins ||
+    (process.env.MCP_ALLOWED_ORIGINS ? process.env.MCP_ALLOWED_ORIGINS.split(',').map(origin => origin.trim()) : null);
+  const createServer = options.createServer || (typeof server.createSession === 'function' ? () => server.createSession() : null);
+  const sessionTimeout = options.sessionTimeout ??
+    (process.env.MCP_SESSION_TIMEOUT ? parseInt(process.env.MCP_SESSION_TIMEOUT, 10) : SESSION_TIMEOUT);
+
+  // sessionId -> { transport, server, type }
+  const sessions = new Map();
+  let closing = false;
+
+  if (!token && !['127.0.0.1', 'localhost', '::1'].includes(host)) {
+    logger.warn(`MCP HTTP server is listening on ${host} without MCP_AUTH_TOKEN; anyone who can reach it can call its tools`);
+  }
+
+  function sessionServer() {
+    if (createServer) return createServer();
+
+    if ([...sessions.values()].some(session => session.server === server)) {
+      return null;
+    }
+    return server;
+  }
+
+  function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function sendRpcError(res, status, code, message) {
+    sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+
+  function authorized(req) {
+    if (!token) return true;
+
+    const [scheme, value] = String(req.headers.authorization || '').split(' ');
+    if (scheme?.toLowerCase() !== 'bearer' || !value) return false;
+
+    const expected = crypto.createHash('sha256').update(token).digest();
+    const actual = crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  function originAllowed(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    return allowedOrigins ? allowedOrigins.includes(origin) : isLocalOrigin(origin);
+  }
+
+  async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        throw Object.assign(new Error('Request body too large'), { status: 413 });
+      }
+      chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8');
+    try {
+      return text ? JSON.parse(text) : undefined;
+    } catch (error) {
+      throw Object.assign(new Error('Invalid JSON body'), { status: 400, rpcCode: -32700 });
+    }
+  }
+
+  async function handleStreamable(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+
+      if (!session || session.type !== 'streamable') {
+        sendRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+
+      track(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+      return;
+    }
+
+    const sessionMcpServer = sessionServer();
+    if (!sessionMcpServer) {
+      sendRpcError(res, 409, -32000, 'This server handles one session at a time');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (id) => {
+        const session = { transport, server: sessionMcpServer, type: 'streamable', open: 0, lastSeen: Date.now() };
+        sessions.set(id, session);
+        track(session, res);
+        logger.info(`MCP session started: ${id}`);
+      }
+    });
+
+    // DELETE, idle expiry and shutdown all end here; the session's server goes with its transport
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.delete(transport.sessionId)) {
+        logger.info(`MCP session closed: ${transport.sessionId}`);
+        sessionMcpServer.close().catch(() => {});
+      }
+    };
+
+    await sessionMcpServer.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  /**
+   * Count a request against a session: it stays active while any of its requests or streams are open
+   */
+  function track(session, res) {
+    session.open++;
+    session.lastSeen = Date.now();
+
+    res.once('close', () => {
+      session.open--;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  // Clients that go away without DELETE would otherwise keep their transport and server forever
+  const sweeper = sessionTimeout > 0 ? setInterval(() => {
+    const now = Date.now();
+
+    for (const [id, session] of sessions) {
+      if (session.type !== 'streamable' || session.open > 0 || now - session.lastSeen < sessionTimeout) continue;
+
+      logger.info(`MCP session expired after ${Math.round((now - session.lastSeen) / 1000)}s without requests: ${id}`);
+      session.transport.close().catch(error => logger.debug(`Closing expired session failed: ${error.message}`));
+    }
+  }, Math.min(Math.max(sessionTimeout / 2, 10), 60000)) : null;
+  sweeper?.unref();
+
+  async function handleSse(req, res) {
+    const sessionMcpServer = sessionServer();
+    if (!sessionMcpServer) {
+      sendRpcError(res, 409, -32000, 'This server handles one session at a time');
+      return;
+    }
+
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, { transport, server: sessionMcpServer, type: 'sse' });
+    logger.info(`MCP SSE session started: ${transport.sessionId}`);
+
+    res.on('close', () => {
+      if (sessions.delete(transport.sessionId)) {
+        logger.info(`MCP SSE session closed: ${transport.sessionId}`);
+        sessionMcpServer.close().catch(() => {});
+      }
+    });
+
+    await sessionMcpServer.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sessions.get(url.searchParams.get('sessionId'));
+
+    if (!session || session.type !== 'sse') {
+      sendRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res, await readBody(req));
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, closing ? 503 : 200, {
+        status: closing ? 'shutting_down' : 'ok',
+        sessions: sessions.size,
+        uptime: Math.round(process.uptime())
+      });
+      return;
+    }
+
+    if (closing) {
+      sendRpcError(res, 503, -32000, 'Server is shutting down');
+      return;
+    }
+
+    if (!originAllowed(req)) {
+      sendRpcError(res, 403, -32000, `Origin not allowed: ${req.headers.origin}`);
+      return;
+    }
+
+    if (!authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendRpcError(res, 401, -32001, 'Unauthorized');
+      return;
+    }
+
+    if (url.pathname === endpoint && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+      await handleStreamable(req, res);
+    } else if (url.pathname === '/sse' && req.method === 'GET') {
+      await handleSse(req, res);
+    } else if (url.pathname === '/messages' && req.method === 'POST') {
+      await handleSseMessage(req, res, url);
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handle(req, res).catch((error) => {
+      logger.error(`MCP HTTP request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendRpcError(res, error.status || 500, error.rpcCode || -32603, error.status ? error.message : 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}${endpoint}`;
+  logger.info(`MCP Server listening on ${url}${token ? ' (bearer token required)' : ''}`);
+
+  /**
+   * Stop accepting requests, close every session, then the listener
+   * Connections still open after the timeout are dropped
+   */
+  async function close() {
+    if (closing) return;
+    closing = true;
+    clearInterval(sweeper);
+    logger.info('MCP HTTP server shutting down');
+
+    const stopped = new Promise(resolve => httpServer.close(resolve));
+
+    await Promise.allSettled([...sessions.values()].map(async ({ transport, server: sessionMcpServer }) => {
+      await transport.close();
+      await sessionMcpServer.close();
+    }));
+    sessions.clear();
+
+    httpServer.closeIdleConnections?.();
+    const timer = setTimeout(() => httpServer.closeAllConnections?.(), options.shutdownTimeout ?? SHUTDOWN_TIMEOUT);
+    timer.unref();
+
+    await stopped;
+    clearTimeout(timer);
+  }
+
+  if (options.handleSignals ?? true) {
+    const onSignal = (signal) => {
+      logger.info(`Received ${signal}`);
+      close().then(() => process.exit(0), () => process.exit(1));
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+  }
+
+  return { httpServer, url, sessions, close };
+}
+
+export default startHttpServer;
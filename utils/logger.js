@@ -1,23 +1,161 @@
+import util from 'util';
 import winston from 'winston';
+import { SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { redact } from './redact.js';
+import { getToolContext } from './context.js';
 
 const logLevel = process.env.LOG_LEVEL || 'info';
 
+// Every level goes to stderr: stdout carries the JSON-RPC stream of stdio servers
+const STDERR_LEVELS = Object.keys(winston.config.npm.levels);
+
+// winston level -> MCP logging level, and the reverse for logging/setLevel
+const MCP_LEVELS = { error: 'error', warn: 'warning', info: 'info', http: 'debug', verbose: 'debug', debug: 'debug', silly: 'debug' };
+const MCP_SEVERITY = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+const WINSTON_LEVELS = { debug: 'debug', info: 'info', notice: 'info', warning: 'warn', error: 'error', critical: 'error', alert: 'error', emergency: 'error' };
+
+const redactFormat = winston.format((info) => {
+  const splat = Symbol.for('splat');
+
+  for (const key of Object.keys(info)) {
+    info[key] = redact(info[key]);
+  }
+  if (info[splat]) {
+    info[splat] = info[splat].map(value => redact(value));
+  }
+
+  return info;
+});
+
+// The MCP server whose tool call produced a record; its logs go to that client only
+const ORIGIN = Symbol('mcpServer');
+
+const originFormat = winston.format((info) => {
+  const server = getToolContext()?.server;
+  if (server) info[ORIGIN] = server;
+  return info;
+});
+
+// Colors only when a person is watching; MCP clients capture stderr into their own logs
+const useColors = process.stderr.isTTY && !process.env.NO_COLOR;
+
+/**
+ * Forwards log records to connected MCP clients as notifications/message
+ * Each server keeps the level its client asked for with logging/setLevel
+ */
+class McpLoggingTransport extends winston.Transport {
+  constructor() {
+    super({ level: 'silly' });
+    this.servers = new Map();
+  }
+
+  log(info, callback) {
+    const level = MCP_LEVELS[info.level] || 'info';
+    const { level: ignoredLevel, message, service, timestamp, ...meta } = info;
+    const data = Object.keys(meta).length > 0 ? { message, ...meta } : message;
+
+    for (const [server, state] of this.servers) {
+      if (info[ORIGIN] && info[ORIGIN] !== server) continue;
+      // Nothing is sent before the client has initialized the session
+      if (!server.transport || (typeof server.getClientVersion === 'function' && !server.getClientVersion())) continue;
+      if (MCP_SEVERITY.indexOf(level) < MCP_SEVERITY.indexOf(state.level)) continue;
+
+      // Logging must never throw, even when the connection is going away
+      Promise.resolve()
+        .then(() => server.notification({ method: 'notifications/message', params: { level, logger: service || 'wp-mcp', data } }))
+        .catch(() => {});
+    }
+
+    callback();
+  }
+}
+
+const mcpTransport = new McpLoggingTransport();
+
+const transports = [
+  new winston.transports.Console({
+    level: logLevel,
+    stderrLevels: STDERR_LEVELS,
+    format: useColors
+      ? winston.format.combine(winston.format.colorize(), winston.format.simple())
+      : winston.format.simple()
+  }),
+  mcpTransport
+];
+
+// Optional log file, rotated by size: LOG_FILE, LOG_MAX_SIZE (bytes), LOG_MAX_FILES
+if (process.env.LOG_FILE) {
+  transports.push(new winston.transports.File({
+    level: logLevel,
+    filename: process.env.LOG_FILE,
+    maxsize: parseInt(process.env.LOG_MAX_SIZE || '', 10) || 10 * 1024 * 1024,
+    maxFiles: parseInt(process.env.LOG_MAX_FILES || '', 10) || 5,
+    tailable: true
+  }));
+}
+
 export const logger = winston.createLogger({
   level: logLevel,
   format: winston.format.combine(
+    redactFormat(),
+    originFormat(),
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
     winston.format.json()
   ),
   defaultMeta: { service: 'wp-mcp' },
-  transports: [
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
+  transports
 });
 
+/**
+ * The logger's own level is the most verbose of LOG_LEVEL and what MCP clients asked for;
+ * console and file transports stay at LOG_LEVEL
+ */
+function updateLoggerLevel() {
+  const levels = [logLevel, ...[...mcpTransport.servers.values()].map(state => WINSTON_LEVELS[state.level])];
+  const npm = winston.config.npm.levels;
+  logger.level = levels.reduce((most, level) => (npm[level] > npm[most] ? level : most));
+}
+
+/**
+ * Forward logs to an MCP server's client and honor logging/setLevel
+ * The server must declare the `logging` capability. Returns a function that detaches it.
+ */
+export function attachMcpLogging(server, options = {}) {
+  const state = { level: options.level || MCP_LEVELS[logLevel] || 'info' };
+
+  mcpTransport.servers.set(server, state);
+  updateLoggerLevel();
+
+  server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+    state.level = request.params.level;
+    updateLoggerLevel();
+    logger.debug(`MCP client log level set to ${state.level}`);
+    return {};
+  });
+
+  const detach = () => {
+    mcpTransport.servers.delete(server);
+    updateLoggerLevel();
+  };
+
+  // HTTP sessions come and go; stop forwarding once a session's server closes
+  const onclose = server.onclose;
+  server.onclose = () => {
+    detach();
+    onclose?.();
+  };
+
+  return detach;
+}
+
+/**
+ * Keep stdout clean for a stdio JSON-RPC stream: console.log/info/debug are sent to stderr
+ */
+export function useStdioLogging() {
+  for (const method of ['log', 'info', 'debug']) {
+    console[method] = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+  }
+}
+
 export default logger;
@@ -0,0 +1,605 @@
+import { createBlock, parseBlocks, serializeBlock } from './blocks.js';
+
+/**
+ * Markdown <-> Gutenberg block conversion
+ *
+ * markdownToBlocks() turns CommonMark-style Markdown (plus GFM tables and strikethrough)
+ * into core blocks: headings, paragraphs, lists, quotes, code, images, tables and separators.
+ * Block markup (<!-- wp:... -->) inside the Markdown is passed through untouched, which is
+ * also how blocksToMarkdown() keeps blocks that have no Markdown equivalent.
+ *
+ * Images can carry a media ID: ![Alt](https://.../photo.jpg "Caption"){id=42}, or
+ * ![Alt](media:42) with the URL looked up in options.media ({ 42: { url, alt } }).
+ */
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*).*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT = /^ {0,3}(=+|-+)\s*$/;
+const SEPARATOR = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:\s+(.*)|$)/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const BLOCK_MARKUP = /^\s*<!--\s+wp:/;
+const HTML_BLOCK = /^ {0,3}<(?:address|article|aside|details|div|dl|figure|footer|form|h[1-6]|header|hr|iframe|nav|ol|p|pre|section|table|ul|video|audio|!--)[\s/>]/i;
+const IMAGE_ONLY = /^!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)(?:\{id=(\d+)\})?$/;
+
+// Inline tags with no Markdown syntax; kept as HTML so they survive a round trip
+const INLINE_HTML_TAGS = new Set(['abbr', 'cite', 'kbd', 'mark', 'small', 'span', 'sub', 'sup', 'time', 'u']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+  return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlank(line) {
+  return line === undefined || !line.trim();
+}
+
+/**
+ * A container block whose inner blocks sit between an opening and closing tag,
+ * laid out the way the block editor saves them
+ */
+function container(name, attrs, open, close, innerBlocks) {
+  const innerContent = [open];
+  innerBlocks.forEach((block, index) => {
+    if (index > 0) innerContent.push('\n\n');
+    innerContent.push(null);
+  });
+  innerContent.push(close);
+
+  return createBlock(name, attrs, innerBlocks, innerContent.filter(part => part !== null).join(''), innerContent);
+}
+
+function leaf(name, attrs, html) {
+  return createBlock(name, attrs, [], `\n${html}\n`);
+}
+
+/**
+ * Convert inline Markdown to HTML
+ * Code spans, escapes, links and raw tags are stashed as placeholders so later
+ * passes (emphasis, escaping) can't reach inside them
+ */
+export function inlineToHtml(text, options = {}, stash = null) {
+  const root = stash === null;
+  const slots = stash || [];
+  const hold = html => `\u0000${slots.push(html) - 1}\u0000`;
+
+  let html = String(text)
+    .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${escapeHtml(code.replace(/^ (.*) $/s, '$1'))}</code>`))
+    .replace(/\\([\\`*_{}[\]()#+\-.!|~<>"])/g, (match, char) => hold(escapeHtml(char)))
+    .replace(/<(https?:\/\/[^\s>]+)>/g, (match, url) => hold(`<a href="${escapeAttribute(url)}">${escapeHtml(url)}</a>`))
+    .replace(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)(?:\{id=(\d+)\})?/g, (match, alt, src, title, id) => {
+      const image = resolveImage(src, alt, id, options);
+      const idClass = image.id ? ` class="wp-image-${image.id}"` : '';
+      const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+      return hold(`<img src="${escapeAttribute(image.url)}" alt="${escapeAttribute(image.alt)}"${titleAttr}${idClass}/>`);
+    })
+    .replace(/\[((?:[^\]\\]|\\.)+)\]\(\s*<?([^\s)>]*)>?(?:\s+"((?:[^"\\]|\\.)*)")?\s*\)/g, (match, label, href, title) => {
+      const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+      return hold(`<a href="${escapeAttribute(href)}"${titleAttr}>${inlineToHtml(label, options, slots)}</a>`);
+    })
+    .replace(/<\/?[a-z][a-z0-9-]*(?:\s[^<>]*)?\/?>/gi, tag => hold(tag));
+
+  html = escapeHtml(html)
+    .replace(/&amp;(#x[\da-f]+|#\d+|[a-z]+);/gi, '&$1;')
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+    .replace(/(?: {2,}|\\)\n/g, '<br>');
+
+  if (!root) return html;
+
+  while (html.includes('\u0000')) {
+    html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => slots[index]);
+  }
+  return html;
+}
+
+function resolveImage(src, alt, id, options) {
+  const reference = src.match(/^media:(\d+)$/);
+  const mediaId = reference ? reference[1] : id;
+  const media = (mediaId && options.media?.[mediaId]) || options.media?.[src] || {};
+
+  return {
+    id: mediaId ? parseInt(mediaId, 10) : (media.id ?? null),
+    url: media.url || (reference ? '' : src),
+    alt: alt || media.alt || ''
+  };
+}
+
+function splitTableRow(line) {
+  const cells = [];
+  let current = '';
+  const text = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && text[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (text[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += text[i];
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+function tableBlock(lines, options) {
+  const header = splitTableRow(lines[0]);
+  const align = splitTableRow(lines[1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const cell = (tag, text, index) => {
+    const alignment = align[index] ? ` class="has-text-align-${align[index]}" data-align="${align[index]}"` : '';
+    return `<${tag}${alignment}>${inlineToHtml(text, options)}</${tag}>`;
+  };
+  const row = (tag, cells) => `<tr>${header.map((column, index) => cell(tag, cells[index] ?? '', index)).join('')}</tr>`;
+
+  const body = lines.slice(2).map(line => row('td', splitTableRow(line))).join('');
+  return leaf('table', {}, `<figure class="wp-block-table"><table><thead>${row('th', header)}</thead><tbody>${body}</tbody></table></figure>`);
+}
+
+function imageBlock(match, options) {
+  const [, alt, src, title, id] = match;
+  const image = resolveImage(src, alt, id, options);
+  const caption = title ? `<figcaption class="wp-element-caption">${inlineToHtml(title.replace(/\\"/g, '"'), options)}</figcaption>` : '';
+
+  if (image.id) {
+    return leaf('image', { id: image.id, sizeSlug: 'large', linkDestination: 'none' },
+      `<figure class="wp-block-image size-large"><img src="${escapeAttribute(image.url)}" alt="${escapeAttribute(image.alt)}" class="wp-image-${image.id}"/>${caption}</figure>`);
+  }
+
+  return leaf('image', {}, `<figure class="wp-block-image"><img src="${escapeAttribute(image.url)}" alt="${escapeAttribute(image.alt)}"/>${caption}</figure>`);
+}
+
+function codeBlock(code, language) {
+  const attrs = language ? { className: `language-${language}` } : {};
+  const className = language ? `wp-block-code language-${language}` : 'wp-block-code';
+  return leaf('code', attrs, `<pre class="${className}"><code>${escapeHtml(code)}</code></pre>`);
+}
+
+function startsBlock(line, next) {
+  return FENCE.test(line) || HEADING.test(line) || SEPARATOR.test(line) || QUOTE.test(line) ||
+    BLOCK_MARKUP.test(line) || HTML_BLOCK.test(line) || LIST_ITEM.test(line) ||
+    (line.includes('|') && next !== undefined && TABLE_DIVIDER.test(next));
+}
+
+function listBlock(lines, start, options) {
+  const first = LIST_ITEM.exec(lines[start]);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const item = LIST_ITEM.exec(line);
+
+    if (item && item[1].length === indent && /\d/.test(item[2]) === ordered) {
+      items.push({ lines: [item[3] || ''], contentIndent: indent + item[2].length + 1 });
+      i++;
+    } else if (isBlank(line)) {
+      let next = i + 1;
+      while (next < lines.length && isBlank(lines[next])) next++;
+      if (next >= lines.length || (indentOf(lines[next]) <= indent && !(LIST_ITEM.test(lines[next]) && indentOf(lines[next]) === indent))) {
+        break;
+      }
+      items.at(-1).lines.push('');
+      i++;
+    } else if (indentOf(line) > indent) {
+      items.at(-1).lines.push(line.slice(Math.min(indentOf(line), items.at(-1).contentIndent)));
+      i++;
+    } else if (!isBlank(lines[i - 1]) && !startsBlock(line, lines[i + 1])) {
+      // Lazy continuation of the item's text
+      items.at(-1).lines.push(line.trim());
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const listItems = items.map(({ lines: itemLines }) => {
+    const nestedAt = itemLines.findIndex((line, index) => index > 0 && (LIST_ITEM.test(line) || isBlank(line)));
+    const textLines = nestedAt === -1 ? itemLines : itemLines.slice(0, nestedAt);
+    const children = nestedAt === -1 ? [] : parseLines(itemLines.slice(nestedAt), options);
+    const nested = children.filter(block => block.name === 'core/list');
+    // List items can only hold nested lists; other content joins the item's text
+    const extra = children.filter(block => block.name !== 'core/list').map(block => `<br>${innerTag(block.innerHTML, 'p')}`);
+    const text = inlineToHtml(textLines.join('\n').trim(), options) + extra.join('');
+
+    if (nested.length === 0) {
+      return leaf('list-item', {}, `<li>${text}</li>`);
+    }
+
+    const innerContent = [`\n<li>${text}`, ...nested.flatMap((block, index) => (index > 0 ? ['\n\n', null] : [null])), '</li>\n'];
+    return createBlock('list-item', {}, nested, innerContent.filter(part => part !== null).join(''), innerContent);
+  });
+
+  const number = ordered ? parseInt(first[2], 10) : 1;
+  const attrs = ordered ? { ordered: true, ...(number !== 1 ? { start: number } : {}) } : {};
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = ordered && number !== 1 ? ` start="${number}"` : '';
+
+  return { block: container('list', attrs, `\n<${tag}${startAttr} class="wp-block-list">`, `</${tag}>\n`, listItems), next: i };
+}
+
+function parseLines(lines, options) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}\\s*$`);
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push(codeBlock(code.join('\n'), fence[2]));
+      continue;
+    }
+
+    if (BLOCK_MARKUP.test(line)) {
+      // Pass block markup through, up to where its outermost block closes
+      const markup = [];
+      let depth = 0;
+      do {
+        const current = lines[i++];
+        markup.push(current);
+        for (const [, closer, selfClosing] of current.matchAll(/<!--\s+(\/)?wp:[a-z][a-z0-9_/-]*\s[^]*?(\/)?-->/g)) {
+          if (closer) depth--;
+          else if (!selfClosing) depth++;
+        }
+      } while (depth > 0 && i < lines.length);
+      blocks.push(...parseBlocks(markup.join('\n')).filter(block => block.name || block.innerHTML.trim()));
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(leaf('heading', level === 2 ? {} : { level }, `<h${level} class="wp-block-heading">${inlineToHtml(heading[2] || '', options)}</h${level}>`));
+      i++;
+      continue;
+    }
+
+    if (SEPARATOR.test(line)) {
+      blocks.push(leaf('separator', {}, '<hr class="wp-block-separator has-alpha-channel-opacity"/>'));
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) rows.push(lines[i++]);
+      blocks.push(tableBlock(rows, options));
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].replace(QUOTE, ''));
+      blocks.push(container('quote', {}, '\n<blockquote class="wp-block-quote">', '</blockquote>\n', parseLines(quoted, options)));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { block, next } = listBlock(lines, i, options);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (HTML_BLOCK.test(line)) {
+      const html = [];
+      while (i < lines.length && !isBlank(lines[i])) html.push(lines[i++]);
+      blocks.push(leaf('html', {}, html.join('\n')));
+      continue;
+    }
+
+    const paragraph = [line];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !SETEXT.test(lines[i]) && !startsBlock(lines[i], lines[i + 1])) {
+      paragraph.push(lines[i++]);
+    }
+
+    const text = paragraph.join('\n').trim();
+
+    if (i < lines.length && SETEXT.test(lines[i]) && !isBlank(lines[i])) {
+      const level = lines[i].trim()[0] === '=' ? 1 : 2;
+      blocks.push(leaf('heading', level === 2 ? {} : { level }, `<h${level} class="wp-block-heading">${inlineToHtml(text, options)}</h${level}>`));
+      i++;
+      continue;
+    }
+
+    const image = IMAGE_ONLY.exec(text);
+    blocks.push(image ? imageBlock(image, options) : leaf('paragraph', {}, `<p>${inlineToHtml(text, options)}</p>`));
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert Markdown to a block tree
+ * Options: media - { [id or url]: { id, url, alt } } for resolving image references
+ */
+export function markdownToBlocks(markdown, options = {}) {
+  return parseLines(String(markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'), options);
+}
+
+/**
+ * Convert Markdown to post content (block markup), ready for createPost/updatePost
+ */
+export function markdownToContent(markdown, options = {}) {
+  return markdownToBlocks(markdown, options).map(serializeBlock).join('\n\n');
+}
+
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*[\]]|<(?=[a-z/!]))/gi, '\\$1');
+}
+
+/**
+ * Convert inline HTML to Markdown; inline tags without Markdown syntax are kept as HTML
+ */
+export function htmlToInline(html) {
+  const links = [];
+  let code = 0;
+  let markdown = '';
+
+  for (const [token] of String(html || '').matchAll(/<[^>]+>|[^<]+/g)) {
+    const tag = token.match(/^<(\/)?([a-z][a-z0-9-]*)([^>]*)>$/i);
+
+    if (!tag) {
+      const text = decodeEntities(token);
+      markdown += code > 0 ? text : escapeMarkdown(text);
+      continue;
+    }
+
+    const [, closing, rawName, attributes] = tag;
+    const name = rawName.toLowerCase();
+    const attribute = key => decodeEntities(attributes.match(new RegExp(`\\s${key}="([^"]*)"`, 'i'))?.[1] ?? '');
+
+    switch (name) {
+      case 'strong':
+      case 'b':
+        markdown += '**';
+        break;
+      case 'em':
+      case 'i':
+        markdown += '*';
+        break;
+      case 's':
+      case 'del':
+      case 'strike':
+        markdown += '~~';
+        break;
+      case 'code':
+        code += closing ? -1 : 1;
+        markdown += '`';
+        break;
+      case 'br':
+        markdown += '\\\n';
+        break;
+      case 'img': {
+        const id = attribute('class').match(/wp-image-(\d+)/)?.[1];
+        const title = attribute('title');
+        markdown += `![${escapeMarkdown(attribute('alt'))}](${attribute('src')}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})${id ? `{id=${id}}` : ''}`;
+        break;
+      }
+      case 'a':
+        if (closing) {
+          const link = links.pop();
+          markdown += link ? `](${link.href}${link.title ? ` "${link.title.replace(/"/g, '\\"')}"` : ''})` : '';
+        } else {
+          links.push({ href: attribute('href'), title: attribute('title') });
+          markdown += '[';
+        }
+        break;
+      default:
+        if (INLINE_HTML_TAGS.has(name)) markdown += token;
+    }
+  }
+
+  return markdown.trim();
+}
+
+function innerTag(html, tag) {
+  const match = String(html || '').match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*)</${tag}>`, 'i'));
+  return match ? match[1] : String(html || '').trim();
+}
+
+function textContent(html) {
+  return decodeEntities(String(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, ''));
+}
+
+function fenced(code, language = '') {
+  const longest = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+function quoteLines(markdown) {
+  return markdown.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+function listToMarkdown(block, options) {
+  const ordered = Boolean(block.attrs?.ordered);
+  const start = block.attrs?.start ?? 1;
+
+  const items = block.innerBlocks.length > 0
+    ? block.innerBlocks.map(item => ({
+      text: htmlToInline(innerTag((item.innerContent || []).filter(part => part !== null).join(''), 'li')),
+      nested: item.innerBlocks.filter(inner => inner.name === 'core/list')
+    }))
+    // Lists saved before WordPress 6.1 have no list-item blocks
+    : [...String(block.innerHTML).matchAll(/<li\b[^>]*>([\s\S]*?)<\/li>/gi)].map(match => ({ text: htmlToInline(match[1]), nested: [] }));
+
+  return items.map((item, index) => {
+    const marker = ordered ? `${start + index}.` : '-';
+    const pad = ' '.repeat(marker.length + 1);
+    const nested = item.nested.map(list => listToMarkdown(list, options).replace(/^/gm, pad));
+    return [`${marker} ${item.text.replace(/\n/g, `\n${pad}`)}`, ...nested].join('\n');
+  }).join('\n');
+}
+
+function tableToMarkdown(html) {
+  const rows = [...String(html).matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(row =>
+    [...row[1].matchAll(/<t[hd]\b([^>]*)>([\s\S]*?)<\/t[hd]>/gi)].map(([, attributes, content]) => ({
+      text: htmlToInline(content).replace(/\|/g, '\\|').replace(/\\\n/g, '<br>'),
+      align: attributes.match(/data-align="(\w+)"|has-text-align-(\w+)/)?.slice(1).find(Boolean) || null
+    })));
+
+  if (rows.length === 0) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const line = cells => `| ${Array.from({ length: width }, (v, i) => cells[i] ?? '').join(' | ')} |`;
+  const divider = Array.from({ length: width }, (v, i) => {
+    const align = rows[0][i]?.align;
+    return align === 'center' ? ':---:' : align === 'right' ? '---:' : align === 'left' ? ':---' : '---';
+  });
+
+  return [line(rows[0].map(cell => cell.text)), line(divider), ...rows.slice(1).map(row => line(row.map(cell => cell.text)))].join('\n');
+}
+
+/**
+ * Classic (freeform) HTML: map top-level elements onto the matching core blocks and convert those
+ */
+function freeformToMarkdown(html, options) {
+  const parts = [];
+  const element = /<(p|h[1-6]|ul|ol|blockquote|pre|figure|table)\b[^>]*>[\s\S]*?<\/\1>|<hr\b[^>]*>|<img\b[^>]*>/gi;
+  let last = 0;
+
+  const text = (chunk) => {
+    for (const paragraph of chunk.split(/\n\s*\n/)) {
+      if (paragraph.trim()) parts.push(htmlToInline(paragraph.trim().replace(/\n/g, '<br>')));
+    }
+  };
+
+  for (const match of html.matchAll(element)) {
+    text(html.slice(last, match.index));
+    last = match.index + match[0].length;
+
+    const tag = (match[1] || match[0].match(/^<(\w+)/)[1]).toLowerCase();
+    const as = name => createBlock(name, {}, [], match[0]);
+
+    if (/^h[1-6]$/.test(tag)) {
+      parts.push(blockToMarkdown(createBlock('heading', { level: Number(tag[1]) }, [], match[0]), options));
+    } else if (tag === 'ul' || tag === 'ol') {
+      parts.push(blockToMarkdown(createBlock('list', tag === 'ol' ? { ordered: true } : {}, [], match[0]), options));
+    } else if (tag === 'figure' && /<table\b/i.test(match[0])) {
+      parts.push(blockToMarkdown(as('table'), options));
+    } else {
+      const name = { p: 'paragraph', blockquote: 'quote', pre: 'preformatted', figure: 'image', img: 'image', table: 'table', hr: 'separator' }[tag];
+      parts.push(blockToMarkdown(as(name), options));
+    }
+  }
+
+  text(html.slice(last));
+  return parts.filter(Boolean).join('\n\n');
+}
+
+function blockToMarkdown(block, options) {
+  const html = block.innerHTML || '';
+
+  switch (block.name) {
+    case null:
+    case undefined:
+      return html.trim() ? freeformToMarkdown(html.trim(), options) : '';
+    case 'core/paragraph':
+      return htmlToInline(innerTag(html, 'p'));
+    case 'core/heading': {
+      const level = block.attrs?.level ?? Number(html.match(/<h([1-6])/i)?.[1] ?? 2);
+      return `${'#'.repeat(level)} ${htmlToInline(innerTag(html, `h${level}`))}`;
+    }
+    case 'core/list':
+      return listToMarkdown(block, options);
+    case 'core/quote':
+    case 'core/pullquote': {
+      const body = block.innerBlocks.length > 0
+        ? blocksToMarkdown(block.innerBlocks, options)
+        : freeformToMarkdown(innerTag(html, 'blockquote').replace(/<cite\b[\s\S]*<\/cite>/i, '').trim(), options);
+      const citation = html.match(/<cite\b[^>]*>([\s\S]*?)<\/cite>/i);
+      return quoteLines(citation ? `${body}\n\n— ${htmlToInline(citation[1])}` : body);
+    }
+    case 'core/code':
+    case 'core/preformatted': {
+      const language = block.attrs?.className?.match(/language-([\w+#.-]+)/)?.[1] || '';
+      return fenced(textContent(innerTag(html, 'pre')), language);
+    }
+    case 'core/image': {
+      const img = html.match(/<img\b[^>]*>/i)?.[0] || '';
+      const attribute = key => decodeEntities(img.match(new RegExp(`\\s${key}="([^"]*)"`, 'i'))?.[1] ?? '');
+      const caption = html.match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/i);
+      const id = block.attrs?.id ?? img.match(/wp-image-(\d+)/)?.[1];
+      const title = caption ? ` "${htmlToInline(caption[1]).replace(/"/g, '\\"')}"` : '';
+      return `![${escapeMarkdown(attribute('alt'))}](${attribute('src')}${title})${id ? `{id=${id}}` : ''}`;
+    }
+    case 'core/table':
+      return tableToMarkdown(html);
+    case 'core/separator':
+      return '---';
+    case 'core/html':
+      return html.trim();
+    default:
+      if (options.unknownBlocks === 'content') {
+        return block.innerBlocks.length > 0
+          ? blocksToMarkdown(block.innerBlocks, options)
+          : (html.trim() ? freeformToMarkdown(html.trim(), options) : '');
+      }
+      // Kept as block markup, which markdownToBlocks passes through unchanged
+      return serializeBlock(block).trim();
+  }
+}
+
+/**
+ * Convert a block tree to Markdown
+ * Options: unknownBlocks - 'markup' (default) keeps blocks without a Markdown form as block markup
+ * so the result converts back losslessly; 'content' flattens them to their text for compact reading
+ */
+export function blocksToMarkdown(blocks, options = {}) {
+  return blocks.map(block => blockToMarkdown(block, options)).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Convert post content (block markup or classic HTML) to Markdown
+ */
+export function contentToMarkdown(content, options = {}) {
+  return blocksToMarkdown(parseBlocks(content), options);
+}
@@ -0,0 +1,255 @@
+import { performance } from 'perf_hooks';
+import logger from './logger.js';
+import { redact } from './redact.js';
+import { TimeoutError } from './errors.js';
+import { RateLimiter } from './rate-limiter.js';
+
+/**
+ * Tool middleware: hooks around every tool call of a createMcpServer server
+ *
+ * A middleware is { name, before?(call), after?(call, result), onError?(call, error) }.
+ * call is { name, tool, args, context }; context is the handler's context, so a `before`
+ * hook can replace args or context.signal, or throw to reject the call (permission checks).
+ *
+ * Hooks nest like layers: `before` runs in order, `after` and `onError` in reverse.
+ * `after` may return a replacement result. `onError` may return a result to recover;
+ * returning nothing passes the error on. A middleware whose `before` ran always gets
+ * its `after` or its `onError`, so it can release what it holds.
+ *
+ * Tools opt out with skipMiddleware: true (all) or a list of middleware names.
+ */
+
+function skips(tool, middleware) {
+  const skip = tool.skipMiddleware;
+  return skip === true || (Array.isArray(skip) && skip.includes(middleware.name));
+}
+
+function abortError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new Error('Tool call was cancelled');
+}
+
+/**
+ * Settle with the handler's result, or reject as soon as the call's signal aborts
+ * (cancelled by the client or by a timeout), whether or not the handler listens to it
+ */
+function untilAborted(run, signal) {
+  if (!signal) return run();
+  if (signal.aborted) return Promise.reject(abortError(signal));
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    Promise.resolve()
+      .then(run)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Run a tool handler through the middleware that applies to it
+ */
+export async function runToolMiddleware(middleware, call, handler) {
+  const layers = middleware.filter(item => !skips(call.tool, item));
+
+  async function invoke(index) {
+    if (index === layers.length) {
+      return untilAborted(() => handler(call.args, call.context), call.context.signal);
+    }
+
+    const layer = layers[index];
+    if (layer.before) await layer.before(call);
+
+    let result;
+    try {
+      result = await invoke(index + 1);
+    } catch (error) {
+      if (!layer.onError) throw error;
+
+      const recovered = await layer.onError(call, error);
+      if (recovered === undefined) throw error;
+      return recovered;
+    }
+
+    if (!layer.after) return result;
+
+    const replaced = await layer.after(call, result);
+    return replaced === undefined ? result : replaced;
+  }
+
+  return invoke(0);
+}
+
+/**
+ * Duration and outcome of every call, logged and kept as per-tool stats
+ *
+ * Options: onMetric({ tool, durationMs, status }) to export metrics,
+ * slowThreshold (ms, default 10000): slower calls are logged as warnings
+ * getStats() returns { [tool]: { calls, errors, avgMs, maxMs } }
+ */
+export function createTimingMiddleware(options = {}) {
+  const slowThreshold = options.slowThreshold ?? 10000;
+  const startedAt = new WeakMap();
+  const stats = new Map();
+
+  function record(call, status) {
+    const durationMs = Math.round(performance.now() - startedAt.get(call));
+    const entry = stats.get(call.name) || { calls: 0, errors: 0, totalMs: 0, maxMs: 0 };
+
+    entry.calls++;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    if (status === 'error') entry.errors++;
+    stats.set(call.name, entry);
+
+    const level = durationMs >= slowThreshold ? 'warn' : 'debug';
+    logger[level](`Tool ${call.name} ${status === 'error' ? 'failed' : 'finished'} in ${durationMs}ms`, { tool: call.name, durationMs, status });
+    options.onMetric?.({ tool: call.name, durationMs, status });
+  }
+
+  return {
+    name: 'timing',
+    before: (call) => {
+      startedAt.set(call, performance.now());
+    },
+    after: (call, result) => {
+      record(call, result?.isError ? 'error' : 'ok');
+    },
+    onError: (call) => {
+      record(call, 'error');
+    },
+    getStats: () => Object.fromEntries([...stats].map(([tool, { calls, errors, totalMs, maxMs }]) => [
+      tool,
+      { calls, errors, avgMs: Math.round(totalMs / calls), maxMs }
+    ]))
+  };
+}
+
+/**
+ * Log each call's arguments with credentials redacted
+ * Tools can list sensitiveArguments whose values are never logged (e.g. ['content'])
+ * Options: level (default 'debug')
+ */
+export function createArgumentLoggingMiddleware(options = {}) {
+  const level = options.level || 'debug';
+
+  return {
+    name: 'log-arguments',
+    before: (call) => {
+      const hidden = new Set(call.tool.sensitiveArguments || []);
+      const args = Object.fromEntries(Object.entries(call.args || {}).map(([key, value]) =>
+        [key, hidden.has(key) ? '[REDACTED]' : value]));
+
+      logger[level](`Tool arguments for ${call.name}`, { tool: call.name, arguments: redact(args) });
+    }
+  };
+}
+
+/**
+ * Abort calls that run too long
+ * The call's context.signal aborts after the timeout and the call fails with a TimeoutError.
+ * REST requests and WP-CLI commands the handler makes through the clients read the signal
+ * from the tool context, so they are cancelled too, including requests still queued
+ * for a rate-limit slot; other work the handler started is not stopped.
+ *
+ * Options: timeout (ms, MCP_TOOL_TIMEOUT, default 120000)
+ * A tool's own `timeout` overrides it; 0 disables the timeout for that tool
+ */
+export function createTimeoutMiddleware(options = {}) {
+  const defaultTimeout = options.timeout ?? (parseInt(process.env.MCP_TOOL_TIMEOUT || '', 10) || 120000);
+  const cleanups = new WeakMap();
+
+  const clear = (call) => {
+    cleanups.get(call)?.();
+    cleanups.delete(call);
+  };
+
+  return {
+    name: 'timeout',
+    before: (call) => {
+      const timeout = call.tool.timeout ?? defaultTimeout;
+      if (!timeout) return;
+
+      const controller = new AbortController();
+      const upstream = call.context.signal;
+
+      // Client cancellation still aborts the call
+      const onAbort = () => controller.abort(upstream.reason);
+      if (upstream?.aborted) onAbort();
+      upstream?.addEventListener('abort', onAbort, { once: true });
+
+      const timer = setTimeout(() => controller.abort(new TimeoutError(`Tool ${call.name} timed out after ${timeout}ms`, {
+        code: 'tool_timeout',
+        hint: 'The tool took too long and was stopped. Retry with a smaller scope (fewer items, a narrower query), or ask the user to raise the timeout.'
+      })), timeout);
+
+      cleanups.set(call, () => {
+        clearTimeout(timer);
+        upstream?.removeEventListener('abort', onAbort);
+      });
+      call.context.signal = controller.signal;
+    },
+    after: clear,
+    onError: clear
+  };
+}
+
+/**
+ * Limit how many tool calls run at once; further calls wait for a slot
+ *
+ * Options: max (all tools together, MCP_MAX_CONCURRENT_TOOLS, default 10),
+ * perTool (calls of the same tool, default unlimited)
+ * A tool's own `concurrency` overrides perTool, e.g. 1 for tools that must not overlap
+ */
+export function createConcurrencyMiddleware(options = {}) {
+  const max = options.max ?? (parseInt(process.env.MCP_MAX_CONCURRENT_TOOLS || '', 10) || 10);
+  const global = new RateLimiter({ maxConcurrent: max });
+  const perTool = new Map();
+  const releases = new WeakMap();
+
+  function toolLimiter(tool) {
+    const limit = tool.concurrency ?? options.perTool;
+    if (!limit) return null;
+
+    if (!perTool.has(tool.name)) {
+      perTool.set(tool.name, new RateLimiter({ maxConcurrent: limit }));
+    }
+    return perTool.get(tool.name);
+  }
+
+  const release = (call) => {
+    releases.get(call)?.forEach(fn => fn());
+    releases.delete(call);
+  };
+
+  return {
+    name: 'concurrency',
+    before: async (call) => {
+      const limiter = toolLimiter(call.tool);
+      const held = [];
+
+      if (global.active >= max || (limiter && limiter.active >= limiter.maxConcurrent)) {
+        logger.debug(`Tool ${call.name} is waiting for a free slot`);
+      }
+
+      // Wait for the tool's own slot first, so a queued tool doesn't hold a global slot.
+      // A call cancelled while queued leaves the queue instead of waiting for its turn.
+      try {
+        if (limiter) held.push(await limiter.acquire(call.context.signal));
+        held.push(await global.acquire(call.context.signal));
+      } catch {
+        held.forEach(fn => fn());
+        throw abortError(call.context.signal);
+      }
+
+      releases.set(call, held);
+    },
+    after: release,
+    onError: release,
+    getStats: () => ({
+      ...global.getStats(),
+      tools: Object.fromEntries([...perTool].map(([name, limiter]) => [name, limiter.getStats()]))
+    })
+  };
+}
@@ -0,0 +1,98 @@
+import path from 'path';
+
+/**
+ * MIME types WordPress accepts for uploads by default
+ */
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  heic: 'image/heic',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  zip: 'application/zip',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  m4v: 'video/mp4',
+  mov: 'video/quicktime',
+  webm: 'video/webm',
+  avi: 'video/x-msvideo'
+};
+
+/**
+ * Magic-byte signatures for content without a trustworthy filename
+ */
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] },
+  { mime: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] }
+];
+
+/**
+ * Look up a MIME type from a filename extension
+ */
+export function getMimeType(filename) {
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  return MIME_TYPES[ext] || null;
+}
+
+/**
+ * Look up the preferred extension for a MIME type
+ */
+export function getExtension(mimeType) {
+  const match = Object.entries(MIME_TYPES).find(([, mime]) => mime === mimeType);
+  return match ? match[0] : null;
+}
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ */
+export function sniffMimeType(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+
+  const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte));
+  if (signature) return signature.mime;
+
+  // RIFF containers: WEBP images and WAV audio
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.length >= 12) {
+    const format = buffer.toString('ascii', 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+  }
+
+  // ISO base media: MP4, MOV, AVIF, HEIC
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    const brand = buffer.toString('ascii', 8, 12);
+    if (brand === 'avif') return 'image/avif';
+    if (brand.startsWith('hei')) return 'image/heic';
+    if (brand === 'qt  ') return 'video/quicktime';
+    return 'video/mp4';
+  }
+
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 256)).trimStart();
+  if (head.startsWith('<svg') || (head.startsWith('<?xml') && head.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
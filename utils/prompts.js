@@ -0,0 +1,306 @@
+import { z, ZodError } from 'zod';
+import {
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import { serializeError, NotFoundError } from './errors.js';
+import { runWithToolContext } from './context.js';
+import { convertSchema } from './schema.js';
+import { htmlToInline } from './markdown.js';
+
+/**
+ * MCP prompts: parameterized message templates a user picks in the client
+ *
+ * A prompt is { name, title?, description?, argsSchema?, handler(args, context) }.
+ * argsSchema is a Zod object schema, converted like tool input schemas and listed as
+ * prompt arguments. Clients send every argument as a string, so non-string fields
+ * should use z.coerce.
+ *
+ * handler() returns a string (one user message), an array of messages, or
+ * { description?, messages }. A message may be { role, text } as a shorthand.
+ */
+
+/**
+ * Prompt arguments ({ name, description, required }) from a Zod object schema
+ */
+export function promptArguments(argsSchema) {
+  if (!argsSchema) return [];
+
+  const { properties = {}, required = [] } = convertSchema(argsSchema);
+
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    ...(property.description ? { description: property.description } : {}),
+    required: required.includes(name)
+  }));
+}
+
+function toMessage(message) {
+  if (message.content) return message;
+  return { role: message.role || 'user', content: { type: 'text', text: message.text } };
+}
+
+function toResult(result, description) {
+  if (typeof result === 'string') {
+    return { description, messages: [toMessage({ text: result })] };
+  }
+
+  if (Array.isArray(result)) {
+    return { description, messages: result.map(toMessage) };
+  }
+
+  return { description: result.description ?? description, messages: result.messages.map(toMessage) };
+}
+
+/**
+ * Register prompts on an MCP server; it must declare the `prompts` capability
+ */
+export function registerPrompts(server, prompts) {
+  const argumentLists = new Map(prompts.map(prompt => [prompt.name, promptArguments(prompt.argsSchema)]));
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: prompts.map(prompt => ({
+      name: prompt.name,
+      ...(prompt.title ? { title: prompt.title } : {}),
+      ...(prompt.description ? { description: prompt.description } : {}),
+      arguments: argumentLists.get(prompt.name)
+    }))
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request, extra) => {
+    const { name, arguments: args } = request.params;
+    const prompt = prompts.find(item => item.name === name);
+
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    logger.info(`Prompt requested: ${name}`);
+
+    try {
+      const validatedArgs = prompt.argsSchema ? prompt.argsSchema.parse(args || {}) : {};
+      const context = { promptName: name, server, signal: extra?.signal };
+
+      const result = await runWithToolContext(context, () => prompt.handler(validatedArgs, context));
+      return toResult(result, prompt.description);
+    } catch (error) {
+      logger.error(`Prompt failed for ${name}:`, error);
+
+      const { message, ...details } = serializeError(error);
+
+      if (error instanceof ZodError) {
+        throw new McpError(ErrorCode.InvalidParams, 'Prompt arguments failed validation', {
+          prompt: name,
+          ...details,
+          hint: 'Fix the listed arguments so they match the prompt arguments, then request the prompt again.'
+        });
+      }
+
+      // An ID that doesn't exist is the caller's to fix, like any other bad argument
+      const code = error instanceof NotFoundError ? ErrorCode.InvalidParams : ErrorCode.InternalError;
+      throw new McpError(code, message, { prompt: name, ...details });
+    }
+  });
+}
+
+/**
+ * Context for a prompt is best effort: a missing permission or endpoint leaves that part out
+ */
+async function optional(label, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    logger.debug(`Prompt context unavailable (${label}): ${error.message}`);
+    return null;
+  }
+}
+
+function plain(value) {
+  const html = value && typeof value === 'object' ? value.raw ?? value.rendered ?? '' : value ?? '';
+  return htmlToInline(String(html)).replace(/\s+/g, ' ').trim();
+}
+
+function truncateWords(text, count) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length > count ? `${words.slice(0, count).join(' ')} …` : words.join(' ');
+}
+
+/**
+ * Site title, tagline and language, from settings when the credentials allow it,
+ * otherwise from the public REST index
+ */
+async function siteIdentity(rest) {
+  const settings = await optional('settings', () => rest.getSettings());
+  if (settings) {
+    return { title: plain(settings.title), tagline: plain(settings.description), language: settings.language, url: settings.url };
+  }
+
+  const index = await optional('index', () => rest.get('/'));
+  return { title: plain(index?.name), tagline: plain(index?.description), url: index?.url ?? rest.baseUrl };
+}
+
+function formatIdentity(site) {
+  return [
+    `Site: ${site.title || '(untitled)'}${site.url ? ` (${site.url})` : ''}`,
+    site.tagline ? `Tagline: ${site.tagline}` : null,
+    site.language ? `Language: ${site.language}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Headings, links, images and word count of rendered post HTML
+ */
+function analyzeHtml(html, siteUrl) {
+  const headings = [...html.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi)]
+    .map(match => `${'  '.repeat(Number(match[1]) - 1)}H${match[1]}: ${plain(match[2])}`);
+  const images = [...html.matchAll(/<img\b[^>]*>/gi)].map(match => match[0]);
+  const links = [...html.matchAll(/<a\b[^>]*href="([^"]*)"/gi)].map(match => match[1]);
+  const host = siteUrl ? new URL(siteUrl).host : null;
+  const internal = links.filter(href => href.startsWith('/') || href.startsWith('#') || (host && href.includes(`//${host}`)));
+
+  return {
+    words: plain(html.replace(/<[^>]+>/g, ' ')).split(/\s+/).filter(Boolean).length,
+    headings,
+    images: images.length,
+    imagesWithoutAlt: images.filter(tag => !/\balt="[^"]+"/i.test(tag)).length,
+    internalLinks: internal.length,
+    externalLinks: links.length - internal.length
+  };
+}
+
+/**
+ * Prompts for common WordPress workflows, ready to pass to createMcpServer:
+ *
+ *   createMcpServer(name, version, tools, { prompts: createWordPressPrompts(rest, { cli }) })
+ *
+ * - draft_post: draft a post in the site's voice, using recent posts and categories
+ * - seo_audit: audit a page or post, with its content and on-page facts
+ * - plugin_updates: summarize pending plugin updates (needs options.cli, a WPCLIClient)
+ */
+export function createWordPressPrompts(rest, options = {}) {
+  const prompts = [
+    {
+      name: 'draft_post',
+      title: 'Draft a post',
+      description: "Draft a blog post in the site's voice, based on its recent posts and categories",
+      argsSchema: z.object({
+        topic: z.string().describe('What the post is about'),
+        notes: z.string().optional().describe('Points to cover, sources or constraints'),
+        length: z.string().optional().describe('Target length, e.g. "600 words" (default: similar to recent posts)')
+      }),
+      handler: async ({ topic, notes, length }) => {
+        const [site, posts, categories] = await Promise.all([
+          siteIdentity(rest),
+          optional('recent posts', () => rest.getPosts({ per_page: 5, _fields: 'id,title,excerpt,content,link' })),
+          optional('categories', () => rest.getCategories({ per_page: 50, orderby: 'count', order: 'desc', _fields: 'id,name' }))
+        ]);
+
+        const samples = (posts || []).map((post) => {
+          const { content } = rest.withMarkdown(post);
+          return `### ${plain(post.title)}\n\n${truncateWords(content.markdown ?? plain(content), 200)}`;
+        });
+
+        return [
+          `Draft a new blog post for this WordPress site about: ${topic}`,
+          formatIdentity(site),
+          notes ? `Notes from the author:\n${notes}` : null,
+          samples.length
+            ? `Recent posts, to match their tone, structure and typical length:\n\n${samples.join('\n\n')}`
+            : 'No published posts are available; use a clear, friendly tone.',
+          categories?.length ? `Existing categories: ${categories.map(category => `${category.name} (${category.id})`).join(', ')}` : null,
+          [
+            'Write in the same voice as the recent posts.',
+            length ? `Aim for about ${length}.` : null,
+            'Reply with a title, a one-sentence excerpt, the suggested category IDs from the list above, and the body in Markdown.',
+            'Do not publish anything; the author will review the draft first.'
+          ].filter(Boolean).join(' ')
+        ].filter(Boolean).join('\n\n');
+      }
+    },
+    {
+      name: 'seo_audit',
+      title: 'SEO audit',
+      description: 'Audit the on-page SEO of a page or post and suggest prioritized fixes',
+      argsSchema: z.object({
+        id: z.coerce.number().int().positive().describe('Page or post ID'),
+        type: z.enum(['pages', 'posts']).default('pages').describe('Content type (default: pages)'),
+        keyword: z.string().optional().describe('Focus keyword to check for')
+      }),
+      handler: async ({ id, type, keyword }) => {
+        const [site, item] = await Promise.all([
+          siteIdentity(rest),
+          type === 'posts' ? rest.getPost(id) : rest.getPage(id)
+        ]);
+
+        const html = item.content?.rendered ?? '';
+        const facts = analyzeHtml(html, site.url);
+        const title = plain(item.title);
+        // Yoast SEO exposes the meta description in yoast_head_json; otherwise the excerpt stands in
+        const description = item.yoast_head_json?.description ?? plain(item.excerpt);
+
+        return [
+          `Audit the on-page SEO of this ${type === 'posts' ? 'post' : 'page'}${keyword ? ` for the focus keyword "${keyword}"` : ''}.`,
+          formatIdentity(site),
+          [
+            `ID: ${item.id}`,
+            `URL: ${item.link}`,
+            `Slug: ${item.slug}`,
+            `Status: ${item.status ?? 'publish'}`,
+            `Title (${title.length} characters): ${title}`,
+            `Meta description (${description.length} characters): ${description || '(none)'}`,
+            `Featured image: ${item.featured_media ? 'set' : 'none'}`,
+            `Words: ${facts.words}`,
+            `Images: ${facts.images} (${facts.imagesWithoutAlt} without alt text)`,
+            `Links: ${facts.internalLinks} internal, ${facts.externalLinks} external`,
+            `Headings:\n${facts.headings.join('\n') || '(none)'}`
+          ].join('\n'),
+          `Content:\n\n${rest.withMarkdown(item).content?.markdown ?? plain(item.content)}`,
+          'Report the issues that matter most first: title and meta description, heading structure, ' +
+          'content depth and readability, image alt text, internal linking and the slug. ' +
+          'For each, say what to change and give the replacement text where it applies. Do not edit the page.'
+        ].join('\n\n');
+      }
+    }
+  ];
+
+  if (options.cli) {
+    prompts.push({
+      name: 'plugin_updates',
+      title: 'Summarize plugin updates',
+      description: 'Summarize pending plugin updates and how risky each one is',
+      handler: async () => {
+        const [updates, plugins] = await Promise.all([
+          options.cli.listPluginUpdates(),
+          optional('plugins', () => rest.getPlugins())
+        ]);
+
+        if (updates.length === 0) {
+          return 'All plugins on this site are up to date. Say so briefly.';
+        }
+
+        const details = new Map((plugins || []).map(plugin => [String(plugin.plugin).split('/')[0], plugin]));
+        const lines = updates.map((update) => {
+          const plugin = details.get(update.name);
+          const major = String(update.version).split('.')[0] !== String(update.update_version).split('.')[0];
+
+          return `- ${plugin?.name ? `${plugin.name} (${update.name})` : update.name}: ${update.version} → ${update.update_version}` +
+            `, ${update.status}${major ? ', major version change' : ''}`;
+        });
+
+        return [
+          `These plugins have updates available:\n${lines.join('\n')}`,
+          'Summarize them for the site owner. Group by risk: major version changes and active plugins first, ' +
+          'inactive plugins last (suggest removing those that are not needed). Mention what to check after updating. ' +
+          'Do not run any updates.'
+        ].join('\n\n');
+      }
+    });
+  }
+
+  return prompts;
+}
+
+export default registerPrompts;
@@ -0,0 +1,125 @@
+import logger from './logger.js';
+
+/**
+ * Client-side concurrency and request-rate limiter
+ * Queues work until a slot is free and the minimum interval has elapsed
+ */
+export class RateLimiter {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent > 0 ? options.maxConcurrent : Infinity;
+    this.requestsPerSecond = options.requestsPerSecond > 0 ? options.requestsPerSecond : 0;
+    this.minInterval = this.requestsPerSecond > 0 ? 1000 / this.requestsPerSecond : 0;
+
+    this.active = 0;
+    this.queue = [];
+    this.nextSlotAt = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Wait for a slot; resolves with a release function that must be called once
+   * If signal aborts while waiting, leaves the queue and rejects with the abort reason
+   */
+  acquire(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) return;
+
+        this.queue.splice(index, 1);
+        reject(signal.reason);
+      };
+      const waiter = (release) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(release);
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Run a function inside a slot
+   */
+  async schedule(fn) {
+    const release = await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  drain() {
+    if (this.timer) return;
+
+    while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+      const now = Date.now();
+
+      if (now < this.nextSlotAt) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, this.nextSlotAt - now);
+        return;
+      }
+
+      this.nextSlotAt = now + this.minInterval;
+      this.active++;
+
+      const resolve = this.queue.shift();
+      let released = false;
+
+      resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this.drain();
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent,
+      requestsPerSecond: this.requestsPerSecond
+    };
+  }
+}
+
+const limiters = new Map();
+
+/**
+ * Get the limiter shared by every client talking to the same key (usually a site URL)
+ * The first caller's options win; later callers asking for other limits get a warning
+ */
+export function getRateLimiter(key, options = {}) {
+  const existing = limiters.get(key);
+
+  if (existing) {
+    const requested = new RateLimiter(options);
+    if (requested.maxConcurrent !== existing.maxConcurrent || requested.requestsPerSecond !== existing.requestsPerSecond) {
+      logger.warn(`Rate limiter for ${key} already exists with other limits; the existing limits are kept`, {
+        existing: { maxConcurrent: existing.maxConcurrent, requestsPerSecond: existing.requestsPerSecond },
+        requested: { maxConcurrent: requested.maxConcurrent, requestsPerSecond: requested.requestsPerSecond }
+      });
+    }
+    return existing;
+  }
+
+  const limiter = new RateLimiter(options);
+  limiters.set(key, limiter);
+  logger.debug(`Rate limiter created for ${key}`, limiter.getStats());
+  return limiter;
+}
+
+export default RateLimiter;
@@ -0,0 +1,93 @@
+/**
+ * Redaction of credentials in log output
+ * Known secrets (configured app passwords, SSH key paths) are registered by the clients
+ * that use them; common credential shapes are caught by pattern as well
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SECRET_KEYS = /pass(word)?|secret|token|authorization|cookie|nonce|api_?key|key_?path|identity_?file/i;
+
+const PATTERNS = [
+  // Authorization headers
+  [/\b(Basic|Bearer)\s+[A-Za-z0-9._~+/=-]{8,}/g, `$1 ${REDACTED}`],
+  // password=..., "appPassword": "...", token: ...
+  [/((?:app_?password|password|passwd|token|secret)["']?\s*[:=]\s*["']?)[^"'\s,;}&]+/gi, `$1${REDACTED}`],
+  // SSH identities: ssh -i <path>, IdentityFile <path>, anything under .ssh/
+  [/(\s-i\s+|IdentityFile[=\s]+)\S+/g, `$1${REDACTED}`],
+  [/[^\s"'=]*[\\/]\.ssh[\\/][^\s"',;]+/g, REDACTED]
+];
+
+// Application passwords: six groups of four characters, mixed case with digits
+const APP_PASSWORD = /\b[A-Za-z0-9]{4}(?: [A-Za-z0-9]{4}){5}\b/g;
+
+const secrets = new Set();
+
+/**
+ * Register secret values to scrub from every log line
+ */
+export function addRedaction(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim().length >= 4) {
+      secrets.add(value);
+    }
+  }
+}
+
+function redactString(text) {
+  let result = text;
+
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(REDACTED);
+    }
+  }
+
+  for (const [pattern, replacement] of PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result.replace(APP_PASSWORD, candidate =>
+    (/\d/.test(candidate) && /[a-z]/.test(candidate) && /[A-Z]/.test(candidate) ? REDACTED : candidate));
+}
+
+/**
+ * Redact strings, and values of secret-looking keys in objects (deeply)
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object' || seen.has(value)) {
+    return value;
+  }
+
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = Object.create(Object.getPrototypeOf(value));
+    Object.assign(error, redact({ ...value }, seen));
+    // Defined rather than assigned: some errors (ZodError) have a getter-only message
+    for (const key of ['message', 'stack']) {
+      Object.defineProperty(error, key, {
+        value: typeof value[key] === 'string' ? redactString(value[key]) : value[key],
+        writable: true,
+        configurable: true
+      });
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_KEYS.test(key) && item !== null && item !== undefined && typeof item !== 'boolean' ? REDACTED : redact(item, seen)
+  ]));
+}
+
+export default redact;
@@ -0,0 +1,385 @@
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
+import logger from './logger.js';
+import cache from './cache.js';
+import { serializeError, AuthenticationError, PermissionError, NotFoundError } from './errors.js';
+import { runWithToolContext } from './context.js';
+
+// MCP error code for reads of a URI no resource or template matches
+const RESOURCE_NOT_FOUND = -32002;
+
+/**
+ * MCP resources: read-only context exposed by URI instead of through tools
+ *
+ * A resource is { uri, name, title?, description?, mimeType?, read(params, context), client?, endpoints? }.
+ * A template has uriTemplate (e.g. 'wp://posts/{id}') instead of uri, and may add
+ * list(context) to enumerate concrete resources for resources/list.
+ *
+ * read() may return { contents } as is, a string (text) or any other value (sent as JSON).
+ * endpoints lists the REST routes the resource is built from, or is a function of the
+ * template params returning them; when `client` invalidates cache keys for one of those
+ * routes, subscribed clients get notifications/resources/updated.
+ */
+
+/**
+ * Compile a level-1 URI template ({name} expressions only) into a matcher
+ * Returns a function uri -> params | null
+ */
+export function compileUriTemplate(template) {
+  const names = [];
+  const source = template.split(/(\{[^}]+\})/).map((part) => {
+    const expression = part.match(/^\{([^}]+)\}$/);
+    if (!expression) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    names.push(expression[1]);
+    return '([^/?#]+)';
+  }).join('');
+  const pattern = new RegExp(`^${source}$`);
+
+  return (uri) => {
+    const match = pattern.exec(uri);
+    if (!match) return null;
+
+    try {
+      return Object.fromEntries(names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+    } catch {
+      return null;
+    }
+  };
+}
+
+/**
+ * Fill a URI template with params
+ */
+export function expandUriTemplate(template, params = {}) {
+  return template.replace(/\{([^}]+)\}/g, (expression, name) => encodeURIComponent(params[name] ?? ''));
+}
+
+function describe(definition, keys) {
+  return Object.fromEntries(keys.filter(key => definition[key] !== undefined).map(key => [key, definition[key]]));
+}
+
+function toContents(uri, result, mimeType) {
+  if (result && Array.isArray(result.contents)) {
+    return result;
+  }
+
+  if (typeof result === 'string') {
+    return { contents: [{ uri, mimeType: mimeType || 'text/plain', text: result }] };
+  }
+
+  return { contents: [{ uri, mimeType: mimeType || 'application/json', text: JSON.stringify(result ?? null, null, 2) }] };
+}
+
+/**
+ * Whether a cache invalidation can affect a resource built from these routes
+ * Patterns are matched against the cache keys the REST client uses for the routes
+ */
+function affects(event, definition, params) {
+  const namespace = definition.client?.cache?.name;
+  if (namespace && event.namespace && event.namespace !== namespace) return false;
+
+  const endpoints = typeof definition.endpoints === 'function' ? definition.endpoints(params) : definition.endpoints;
+  if (!endpoints?.length) return false;
+
+  return endpoints.some(endpoint =>
+    `GET:${endpoint}:`.includes(event.pattern) || `GET_PAGE:${endpoint}:`.includes(event.pattern));
+}
+
+/**
+ * Register resources and resource templates on an MCP server
+ * The server must declare the `resources` capability ({ subscribe: true } for subscriptions).
+ * Returns a function that stops update notifications.
+ */
+export function registerResources(server, options = {}) {
+  const resources = options.resources || [];
+  const templates = (options.resourceTemplates || []).map(template => ({
+    ...template,
+    match: compileUriTemplate(template.uriTemplate)
+  }));
+  const subscriptions = new Set();
+
+  function resolve(uri) {
+    const resource = resources.find(item => item.uri === uri);
+    if (resource) return { definition: resource, params: {} };
+
+    for (const template of templates) {
+      const params = template.match(uri);
+      if (params) return { definition: template, params };
+    }
+
+    return null;
+  }
+
+  server.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+    const listed = resources.map(resource => describe(resource, ['uri', 'name', 'title', 'description', 'mimeType']));
+
+    // Templates without list() are only reachable through resources/templates/list
+    for (const template of templates.filter(item => typeof item.list === 'function')) {
+      try {
+        const items = await runWithToolContext({ server, signal: extra?.signal }, () => template.list({ server, signal: extra?.signal }));
+        listed.push(...items.map(item => ({ mimeType: template.mimeType, ...item })));
+      } catch (error) {
+        logger.warn(`Could not list resources for ${template.uriTemplate}: ${error.message}`);
+      }
+    }
+
+    return { resources: listed };
+  });
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: templates.map(template => describe(template, ['uriTemplate', 'name', 'title', 'description', 'mimeType']))
+  }));
+
+  server.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+    const { uri } = request.params;
+    const resolved = resolve(uri);
+
+    if (!resolved) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+
+    logger.info(`Resource read: ${uri}`);
+
+    const { definition, params } = resolved;
+    const context = { uri, server, signal: extra?.signal };
+
+    try {
+      const result = await runWithToolContext(context, () => definition.read(params, context));
+      return toContents(uri, result, definition.mimeType);
+    } catch (error) {
+      logger.error(`Resource read failed for ${uri}:`, error);
+
+      const { message, ...details } = serializeError(error);
+      // A template URI naming a post that doesn't exist is a missing resource, not a server error
+      const code = error instanceof NotFoundError ? RESOURCE_NOT_FOUND : ErrorCode.InternalError;
+      throw new McpError(code, message, { uri, ...details });
+    }
+  });
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    if (!resolve(uri)) {
+      throw new McpError(RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, { uri });
+    }
+
+    subscriptions.add(uri);
+    logger.debug(`Resource subscribed: ${uri}`);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  // A batch invalidates several patterns in a row; collect them into one notification per URI
+  const pending = new Set();
+  let scheduled = false;
+
+  function flush() {
+    scheduled = false;
+
+    for (const uri of pending) {
+      Promise.resolve()
+        .then(() => server.notification({ method: 'notifications/resources/updated', params: { uri } }))
+        .catch(error => logger.debug(`Resource update notification failed: ${error.message}`));
+    }
+    pending.clear();
+  }
+
+  const unsubscribe = cache.onInvalidate((event) => {
+    for (const uri of subscriptions) {
+      const resolved = resolve(uri);
+      if (!resolved || !affects(event, resolved.definition, resolved.params)) continue;
+
+      pending.add(uri);
+      if (!scheduled) {
+        scheduled = true;
+        setImmediate(flush);
+      }
+    }
+  });
+
+  const detach = () => {
+    unsubscribe();
+    subscriptions.clear();
+  };
+
+  const onclose = server.onclose;
+  server.onclose = () => {
+    detach();
+    onclose?.();
+  };
+
+  return detach;
+}
+
+function fieldText(value) {
+  return value && typeof value === 'object' ? value.raw ?? value.rendered ?? '' : value ?? '';
+}
+
+function buildTree(items, toNode) {
+  const nodes = new Map(items.map(item => [item.id, { ...toNode(item), children: [] }]));
+  const roots = [];
+
+  for (const item of items) {
+    const parent = nodes.get(item.parent);
+    (parent ? parent.children : roots).push(nodes.get(item.id));
+  }
+
+  return roots;
+}
+
+/**
+ * Read a post or page with its content as Markdown
+ * Falls back to the public view when the credentials can't use context=edit
+ */
+async function readContent(rest, type, id) {
+  const read = type === 'pages' ? rest.getPage.bind(rest) : rest.getPost.bind(rest);
+  let item;
+
+  try {
+    item = await read(id, {}, { markdown: true });
+  } catch (error) {
+    if (!(error instanceof AuthenticationError || error instanceof PermissionError)) throw error;
+    item = await read(id, { context: 'view' }, { markdown: true });
+  }
+
+  return {
+    id: item.id,
+    type: item.type,
+    status: item.status,
+    slug: item.slug,
+    link: item.link,
+    date: item.date,
+    modified: item.modified,
+    author: item.author,
+    parent: item.parent,
+    title: fieldText(item.title),
+    excerpt: fieldText(item.excerpt),
+    categories: item.categories,
+    tags: item.tags,
+    featured_media: item.featured_media,
+    content: item.content?.markdown ?? fieldText(item.content)
+  };
+}
+
+async function listContent(rest, type) {
+  const items = await rest.get(`/wp/v2/${type}`, { per_page: 20, orderby: 'modified', _fields: 'id,title' });
+
+  return items.map(item => ({
+    uri: `wp://${type}/${item.id}`,
+    name: fieldText(item.title) || `(no title) #${item.id}`
+  }));
+}
+
+/**
+ * Resources for a WordPress site, ready to pass to createMcpServer:
+ *
+ *   createMcpServer(name, version, tools, createWordPressResources(rest))
+ *
+ * - wp://site/settings, wp://site/theme, wp://categories (tree), wp://menus
+ * - wp://posts/{id}, wp://pages/{id} (content as Markdown), wp://menus/{id} (items as a tree)
+ */
+export function createWordPressResources(rest) {
+  const json = 'application/json';
+
+  const resources = [
+    {
+      uri: 'wp://site/settings',
+      name: 'Site settings',
+      description: 'General site settings: title, tagline, URL, language, reading and date options',
+      mimeType: json,
+      client: rest,
+      endpoints: ['/wp/v2/settings'],
+      read: () => rest.getSettings()
+    },
+    {
+      uri: 'wp://site/theme',
+      name: 'Active theme',
+      description: 'The active theme with its version, template and supported features',
+      mimeType: json,
+      client: rest,
+      endpoints: ['/wp/v2/themes'],
+      read: () => rest.getActiveTheme()
+    },
+    {
+      uri: 'wp://categories',
+      name: 'Category tree',
+      description: 'All categories, nested by parent',
+      mimeType: json,
+      client: rest,
+      endpoints: ['/wp/v2/categories'],
+      read: async () => {
+        const { items } = await rest.getAll('/wp/v2/categories', { _fields: 'id,name,slug,parent,count' });
+        return buildTree(items, ({ id, name, slug, count }) => ({ id, name, slug, count }));
+      }
+    },
+    {
+      uri: 'wp://menus',
+      name: 'Navigation menus',
+      description: 'Navigation menus with their locations',
+      mimeType: json,
+      client: rest,
+      endpoints: ['/wp/v2/menus'],
+      read: () => rest.getMenus()
+    }
+  ];
+
+  const resourceTemplates = [
+    ...['posts', 'pages'].map(type => ({
+      uriTemplate: `wp://${type}/{id}`,
+      name: type === 'posts' ? 'Post' : 'Page',
+      description: `A ${type === 'posts' ? 'post' : 'page'} by ID with its content as Markdown`,
+      mimeType: json,
+      client: rest,
+      endpoints: ({ id }) => [`/wp/v2/${type}/${id}`],
+      read: ({ id }) => readContent(rest, type, id),
+      list: () => listContent(rest, type)
+    })),
+    {
+      uriTemplate: 'wp://menus/{id}',
+      name: 'Menu',
+      description: 'A navigation menu by ID with its items nested by parent',
+      mimeType: json,
+      client: rest,
+      endpoints: ({ id }) => [`/wp/v2/menus/${id}`, '/wp/v2/menu-items'],
+      read: async ({ id }) => {
+        const [menu, { items }] = await Promise.all([
+          rest.getMenu(id),
+          rest.getAll('/wp/v2/menu-items', { menus: id })
+        ]);
+        const ordered = [...items].sort((a, b) => (a.menu_order ?? 0) - (b.menu_order ?? 0));
+
+        return {
+          id: menu.id,
+          name: menu.name,
+          slug: menu.slug,
+          locations: menu.locations,
+          items: buildTree(ordered, item => ({
+            id: item.id,
+            title: fieldText(item.title),
+            url: item.url,
+            type: item.type,
+            object: item.object,
+            object_id: item.object_id
+          }))
+        };
+      },
+      list: async () => (await rest.getMenus()).map(menu => ({ uri: `wp://menus/${menu.id}`, name: menu.name }))
+    }
+  ];
+
+  return { resources, resourceTemplates };
+}
+
+export default registerResources;
@@ -1,3 +1,4 @@
+import { z } from 'zod';
 import { zodToJsonSchema } from 'zod-to-json-schema';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
@@ -5,7 +6,13 @@ import {
   CallToolRequestSchema,
   ListToolsRequestSchema
 } from '@modelcontextprotocol/sdk/types.js';
-import logger from './logger.js';
+import logger, { attachMcpLogging, useStdioLogging } from './logger.js';
+import { serializeError } from './errors.js';
+import { runWithToolContext, createProgressReporter } from './context.js';
+import { startHttpServer } from './http-server.js';
+import { registerResources } from './resources.js';
+import { registerPrompts } from './prompts.js';
+import { runToolMiddleware } from './middleware.js';
 
 /**
  * Convert Zod schema to clean JSON Schema (without $schema field)
@@ -19,32 +26,125 @@ export function convertSchema(zodSchema) {
   return schema;
 }
 
+/**
+ * Add server-level arguments to a tool schema
+ * - `site` for multi-site servers
+ * - `confirm` for destructive tools when confirmation is required
+ * Throws when the schema can't take them (see extendObjectSchema)
+ */
+function extendToolSchema(tool, sites, requireConfirmation) {
+  const zodSchema = tool.inputSchema;
+  const shape = {};
+
+  if (sites) {
+    shape.site = z.enum(sites.names())
+      .optional()
+      .describe(`WordPress site to run against (default: ${sites.defaultSite})`);
+  }
+
+  if (requireConfirmation && isDestructive(tool)) {
+    shape.confirm = z.boolean()
+      .optional()
+      .describe('Set to true to apply the changes. Without it the tool returns a dry-run preview and changes nothing.');
+  }
+
+  return Object.keys(shape).length > 0 ? extendObjectSchema(zodSchema, shape, tool.name) : zodSchema;
+}
+
+/**
+ * Extend a z.object(), also when it is wrapped in .refine()/.transform() (ZodEffects);
+ * the effects are kept and run on the extended object
+ * Any other schema can't take the arguments, which must not be dropped silently
+ */
+function extendObjectSchema(schema, shape, toolName) {
+  if (schema instanceof z.ZodObject) {
+    return schema.extend(shape);
+  }
+
+  if (schema instanceof z.ZodEffects) {
+    return new z.ZodEffects({ ...schema._def, schema: extendObjectSchema(schema.innerType(), shape, toolName) });
+  }
+
+  throw new Error(
+    `Tool ${toolName}: cannot add ${Object.keys(shape).join(', ')} to its input schema (${schema?.constructor?.name}). ` +
+    'Use a z.object(), optionally with .refine() or .transform().'
+  );
+}
+
+function isDestructive(tool) {
+  return Boolean(tool.destructive || tool.annotations?.destructiveHint);
+}
+
 /**
  * Create a standard MCP server with tool handling
+ *
+ * Handlers are called as handler(args, context), where context holds the
+ * call's AbortSignal (context.signal) and a progress(progress, total, message)
+ * reporter that sends MCP progress notifications when the client requested them.
+ * context.server is the MCP server instance handling the call.
+ *
+ * Options:
+ * - sites: a SiteRegistry; every tool gets an optional `site` argument and
+ *   handlers receive the matching clients as context.site ({ name, rest, cli })
+ * - requireConfirmation: destructive tools (destructive: true or
+ *   annotations.destructiveHint) get a `confirm` argument and run in dry-run
+ *   mode (context.dryRun) unless it is true
+ * - resources, resourceTemplates: MCP resources (see utils/resources.js);
+ *   createWordPressResources(rest) returns both for a WordPress site
+ * - prompts: MCP prompts with Zod argument schemas (see utils/prompts.js)
+ * - middleware: hooks run around every tool call (see utils/middleware.js)
  */
-export function createMcpServer(name, version, tools) {
+export function createMcpServer(name, version, tools, options = {}) {
+  const sites = options.sites || null;
+  const requireConfirmation = options.requireConfirmation ?? process.env.WP_MCP_REQUIRE_CONFIRMATION === 'true';
+  const inputSchemas = new Map(
+    tools.map(tool => [tool.name, extendToolSchema(tool, sites, requireConfirmation)])
+  );
+
+  const hasResources = Boolean(options.resources?.length || options.resourceTemplates?.length);
+  const prompts = options.prompts || [];
+  const middleware = options.middleware || [];
+
   const server = new Server(
     { name, version },
     {
       capabilities: {
-        tools: {}
+        tools: {},
+        logging: {},
+        ...(hasResources ? { resources: { subscribe: true } } : {}),
+        ...(prompts.length > 0 ? { prompts: {} } : {})
       }
     }
   );
 
+  // Log records go to the client as notifications/message, at the level it sets with logging/setLevel
+  attachMcpLogging(server);
+
+  if (hasResources) {
+    registerResources(server, options);
+  }
+
+  if (prompts.length > 0) {
+    registerPrompts(server, prompts);
+  }
+
+  // HTTP mode serves each session from its own server instance
+  server.createSession = () => createMcpServer(name, version, tools, options);
+
   // List available tools with clean JSON Schema
   server.setRequestHandler(ListToolsRequestSchema, async () => {
     return {
       tools: tools.map(tool => ({
         name: tool.name,
         description: tool.description,
-        inputSchema: convertSchema(tool.inputSchema)
+        inputSchema: convertSchema(inputSchemas.get(tool.name)),
+        ...(tool.annotations ? { annotations: tool.annotations } : {})
       }))
     };
   });
 
   // Handle tool calls
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  const callTool = async (request, extra) => {
     const { name, arguments: args } = request.params;
 
     logger.info(`Tool called: ${name}`);
@@ -57,35 +157,90 @@ export function createMcpServer(name, version, tools) {
       }
 
       // Validate and parse arguments using Zod schema
-      const validatedArgs = tool.inputSchema.parse(args || {});
+      const validatedArgs = inputSchemas.get(name).parse(args || {});
+      const confirmable = requireConfirmation && isDestructive(tool);
+      // Server-level arguments are validated with the schema but read from the raw arguments:
+      // a .transform() in the tool schema may not pass them through, and a write must
+      // never fall back to the default site because `site` went missing
+      const site = sites ? args?.site : undefined;
+      const confirm = confirmable && args?.confirm === true;
+
+      // Server-level arguments are not passed on to the handler
+      if (sites) delete validatedArgs.site;
+      if (confirmable) delete validatedArgs.confirm;
+
+      // Cancellation, progress and dry-run state for this call; the clients pick these up automatically
+      const context = {
+        toolName: name,
+        server,
+        signal: extra?.signal,
+        progress: createProgressReporter(request, extra)
+      };
+
+      // Only ever forces dry-run on: a client configured with dryRun stays dry-run in every call
+      if (confirmable && !confirm) {
+        context.dryRun = true;
+      }
+
+      if (sites) {
+        context.site = sites.get(site);
+      }
 
-      // Execute tool handler
-      const result = await tool.handler(validatedArgs);
+      // Execute tool handler through the middleware
+      const call = { name, tool, args: validatedArgs, context };
+      const result = await runWithToolContext(context, () => runToolMiddleware(middleware, call, tool.handler));
+
+      if (context.dryRun && Array.isArray(result?.content)) {
+        result.content.push({
+          type: 'text',
+          text: 'Dry run: no changes were made. Review the preview above, then call this tool again with confirm: true to apply it.'
+        });
+      }
 
       return result;
     } catch (error) {
       logger.error(`Tool execution failed for ${name}:`, error);
 
+      const { message, ...details } = serializeError(error);
+
       return {
         content: [{
           type: 'text',
           text: JSON.stringify({
-            error: error.message,
-            tool: name
+            error: message,
+            tool: name,
+            ...details
           }, null, 2)
         }],
         isError: true
       };
     }
-  });
+  };
+
+  // Records logged around the handler (call, failure) belong to this session too, not every connected client
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => runWithToolContext({ server }, () => callTool(request, extra)));
 
   return server;
 }
 
 /**
- * Start MCP server with stdio transport
+ * Start MCP server over stdio (default) or HTTP
+ * options.transport or MCP_TRANSPORT selects 'stdio' or 'http'; see utils/http-server.js
+ * for the HTTP options. In stdio mode stdout is reserved for JSON-RPC, so stray
+ * console output is sent to stderr.
  */
-export async function startServer(server) {
+export async function startServer(server, options = {}) {
+  const mode = options.transport || process.env.MCP_TRANSPORT || 'stdio';
+
+  if (mode === 'http') {
+    return startHttpServer(server, options);
+  }
+
+  if (mode !== 'stdio') {
+    throw new Error(`Unknown MCP transport: ${mode} (use 'stdio' or 'http')`);
+  }
+
+  useStdioLogging();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   logger.info('MCP Server started');
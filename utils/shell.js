@@ -0,0 +1,85 @@
+/**
+ * POSIX shell quoting helpers
+ * Commands are kept as argv arrays; quoting only happens where a shell is unavoidable (SSH)
+ */
+
+const SAFE_ARG = /^[A-Za-z0-9_\-+=@%/:.,]+$/;
+
+/**
+ * Quote one argument for a POSIX shell
+ */
+export function quoteArg(arg) {
+  const value = String(arg);
+
+  if (value === '') return "''";
+  if (SAFE_ARG.test(value)) return value;
+
+  // Single quotes disable every expansion; embedded quotes become '\''
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Join an argv array into a shell-safe command string
+ */
+export function quoteCommand(argv) {
+  return argv.map(quoteArg).join(' ');
+}
+
+/**
+ * Split a command string into argv, honoring quotes and backslash escapes
+ * Used for legacy string commands; nothing is expanded or executed
+ */
+export function splitCommand(command) {
+  const args = [];
+  let current = '';
+  let quote = null;
+  let inArg = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") quote = null;
+      else current += char;
+      continue;
+    }
+
+    if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && ['"', '\\', '$', '`'].includes(command[i + 1])) {
+        current += command[++i];
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      quote = char;
+      inArg = true;
+    } else if (char === '\\' && i + 1 < command.length) {
+      current += command[++i];
+      inArg = true;
+    } else if (/\s/.test(char)) {
+      if (inArg) {
+        args.push(current);
+        current = '';
+        inArg = false;
+      }
+    } else {
+      current += char;
+      inArg = true;
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+  }
+
+  if (inArg) {
+    args.push(current);
+  }
+
+  return args;
+}
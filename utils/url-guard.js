@@ -0,0 +1,101 @@
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import { ValidationError } from './errors.js';
+
+/**
+ * Guards for fetching model-supplied URLs from the server (SSRF)
+ * Only http(s) URLs whose host resolves to public addresses may be fetched
+ */
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+ */
+export function isPublicAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function notAllowed(url, reason) {
+  return new ValidationError(`URL not allowed: ${url} (${reason})`, {
+    code: 'url_not_allowed',
+    hint: 'Only public http:// and https:// URLs can be fetched. Upload the file as base64 instead.'
+  });
+}
+
+/**
+ * Check a URL's scheme and the addresses its host resolves to
+ * Throws a ValidationError for anything but a public http(s) URL
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw notAllowed(url, 'not a valid URL');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw notAllowed(url, `${parsed.protocol} is not supported`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (error) {
+    throw notAllowed(url, `${hostname} could not be resolved`);
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw notAllowed(url, `${hostname} resolves to the non-public address ${blocked.address}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * dns.lookup that fails for non-public addresses; used when connecting, so a host
+ * can't resolve to a public address for the check and a private one for the request
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(Object.assign(new Error(`${hostname} resolves to the non-public address ${blocked.address}`), { code: 'url_not_allowed' }));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * axios options that connect only to public addresses
+ * Proxies are bypassed: the proxy, not this check, would resolve the host
+ */
+export const publicRequestOptions = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup }),
+  proxy: false
+};
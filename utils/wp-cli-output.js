@@ -0,0 +1,283 @@
+import { z } from 'zod';
+import { ParseError } from './errors.js';
+
+/**
+ * Parsers and schemas for WP-CLI output
+ * Every WPCLIClient method parses stdout with one of these and validates the result,
+ * so callers get a predictable shape or a ParseError
+ */
+
+const MESSAGE_LINE = /^(Success|Warning|Error):\s*/;
+const SNIPPET_LENGTH = 500;
+
+function snippet(output) {
+  const text = String(output ?? '');
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}...` : text;
+}
+
+function outputLines(output) {
+  return String(output || '').split(/\r\n|\n/).filter(line => line.trim());
+}
+
+/**
+ * Parse JSON output
+ * WP-CLI may print notices or progress before the JSON, so fall back to the last JSON line
+ */
+export function parseJsonOutput(output, command = 'wp') {
+  const text = String(output || '').trim();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const line = outputLines(text).reverse().find(candidate => /^\s*[[{]/.test(candidate));
+
+    if (line) {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        // Reported below
+      }
+    }
+
+    throw new ParseError(`Could not parse JSON output of ${command}: ${error.message}`, {
+      code: 'invalid_wp_cli_json',
+      data: { command, output: snippet(text) },
+      cause: error
+    });
+  }
+}
+
+/**
+ * Parse JSON list output from commands that print a Success: line instead of an empty list
+ * (e.g. "Success: Plugin already updated.", "Success: WordPress is at the latest version.")
+ */
+export function parseJsonList(output, command = 'wp') {
+  return /^\s*\[/m.test(String(output || '')) ? parseJsonOutput(output, command) : [];
+}
+
+/**
+ * Parse WP-CLI table output, which is tab-separated with a header row when piped
+ */
+export function parseTabular(output) {
+  const lines = outputLines(output).filter(line => !MESSAGE_LINE.test(line));
+
+  if (lines.length === 0) return [];
+
+  const header = lines[0].split('\t');
+  return lines.slice(1).map(line => {
+    const values = line.split('\t');
+    return Object.fromEntries(header.map((column, i) => [column, values[i] ?? null]));
+  });
+}
+
+/**
+ * Undo mysql --batch escaping; NULL becomes null
+ */
+function unescapeBatchValue(value) {
+  if (value === 'NULL') return null;
+
+  return value.replace(/\\([0ntr\\])/g, (match, char) => ({ 0: '\0', n: '\n', t: '\t', r: '\r', '\\': '\\' })[char]);
+}
+
+/**
+ * Parse `wp db query --batch` output
+ * Rows are objects keyed by column, or value arrays when run with --skip-column-names (header: false)
+ */
+export function parseBatch(output, options = {}) {
+  const header = options.header ?? true;
+  const rows = String(output || '')
+    .split('\n')
+    .filter(line => line !== '')
+    .map(line => line.split('\t').map(unescapeBatchValue));
+
+  if (!header) return rows;
+  if (rows.length === 0) return [];
+
+  const [columns, ...values] = rows;
+  return values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? null])));
+}
+
+/**
+ * Parse status output ("Success: ...", "Warning: ...") into { success, message, warnings }
+ * Warnings go to stderr, so both streams are read
+ */
+export function parseMessage(stdout, stderr = '') {
+  const lines = [...outputLines(stdout), ...outputLines(stderr)];
+  const successes = lines.filter(line => line.startsWith('Success:')).map(line => line.replace(MESSAGE_LINE, ''));
+  const warnings = lines.filter(line => line.startsWith('Warning:')).map(line => line.replace(MESSAGE_LINE, ''));
+  const other = outputLines(stdout).filter(line => !MESSAGE_LINE.test(line));
+
+  return {
+    success: true,
+    message: successes.at(-1) || other.at(-1) || null,
+    warnings
+  };
+}
+
+/**
+ * Parse a single integer, as printed by --porcelain and --format=count
+ */
+export function parseInteger(output, command = 'wp') {
+  const text = String(output || '').trim();
+  const line = outputLines(text).reverse().find(candidate => /^\d+$/.test(candidate.trim()));
+
+  if (!line) {
+    throw new ParseError(`Expected a number from ${command}`, {
+      code: 'invalid_wp_cli_output',
+      data: { command, output: snippet(text) }
+    });
+  }
+
+  return parseInt(line, 10);
+}
+
+/**
+ * Parse `wp search-replace` output into per-column counts
+ */
+export function parseSearchReplace(stdout, stderr = '') {
+  const tables = parseTabular(stdout).map(row => ({
+    table: row.Table,
+    column: row.Column,
+    replacements: parseInt(row.Replacements, 10) || 0,
+    type: row.Type
+  }));
+
+  return {
+    totalReplacements: tables.reduce((sum, row) => sum + row.replacements, 0),
+    tables,
+    message: parseMessage(stdout, stderr).message
+  };
+}
+
+const PARSERS = {
+  json: (stdout, stderr, command) => parseJsonOutput(stdout, command),
+  jsonList: (stdout, stderr, command) => parseJsonList(stdout, command),
+  tsv: stdout => parseTabular(stdout),
+  batch: stdout => parseBatch(stdout),
+  message: (stdout, stderr) => parseMessage(stdout, stderr),
+  integer: (stdout, stderr, command) => parseInteger(stdout, command),
+  text: stdout => String(stdout || '').trim()
+};
+
+/**
+ * Parse command output with a named parser or a (stdout, stderr) function
+ */
+export function parseOutput(parser, stdout, stderr = '', command = 'wp') {
+  if (typeof parser === 'function') {
+    return parser(stdout, stderr);
+  }
+
+  if (!PARSERS[parser]) {
+    throw new Error(`Unknown WP-CLI output parser: ${parser}`);
+  }
+
+  return PARSERS[parser](stdout, stderr, command);
+}
+
+/**
+ * Check parsed output against a zod schema, returning the parsed (coerced) value
+ */
+export function validateOutput(schema, value, command = 'wp') {
+  const result = schema.safeParse(value);
+
+  if (!result.success) {
+    const details = {};
+    for (const issue of result.error.issues) {
+      details[issue.path.join('.') || '(root)'] = issue.message;
+    }
+
+    throw new ParseError(`Unexpected output from ${command}`, {
+      code: 'unexpected_wp_cli_output',
+      params: details,
+      data: { command, output: snippet(typeof value === 'string' ? value : JSON.stringify(value)) },
+      cause: result.error
+    });
+  }
+
+  return result.data;
+}
+
+const id = z.coerce.number().int();
+
+const message = z.object({
+  success: z.literal(true),
+  message: z.string().nullable(),
+  warnings: z.array(z.string())
+});
+
+const plugin = z.object({
+  name: z.string(),
+  status: z.string(),
+  update: z.string().optional(),
+  version: z.string()
+}).passthrough();
+
+const theme = z.object({
+  name: z.string(),
+  status: z.string(),
+  update: z.string().optional(),
+  version: z.string()
+}).passthrough();
+
+const user = z.object({
+  ID: id,
+  user_login: z.string(),
+  user_email: z.string().optional(),
+  roles: z.string().optional()
+}).passthrough();
+
+const updateResults = z.array(z.object({
+  name: z.string(),
+  old_version: z.string(),
+  new_version: z.string(),
+  status: z.string()
+}).passthrough());
+
+const site = z.object({
+  blog_id: id,
+  url: z.string()
+}).passthrough();
+
+/**
+ * Result schemas for WPCLIClient methods
+ */
+export const wpCliSchemas = {
+  id,
+  count: z.number().int().nonnegative(),
+  text: z.string(),
+  version: z.string().regex(/^\d+\.\d+/, 'Expected a version number'),
+  message,
+  export: message.extend({ files: z.array(z.string()) }),
+  records: z.array(z.record(z.unknown())),
+  plugin,
+  plugins: z.array(plugin),
+  pluginUpdates: updateResults,
+  themeUpdates: updateResults,
+  coreUpdates: z.array(z.object({
+    version: z.string(),
+    update_type: z.string(),
+    package_url: z.string().optional()
+  }).passthrough()),
+  theme,
+  themes: z.array(theme),
+  user,
+  users: z.array(user),
+  site,
+  sites: z.array(site),
+  superAdmins: z.array(z.object({ user_login: z.string() }).passthrough()),
+  queryRows: z.array(z.record(z.string().nullable())),
+  queryValues: z.array(z.array(z.string().nullable())),
+  searchReplace: z.object({
+    totalReplacements: z.number().int().nonnegative(),
+    tables: z.array(z.object({
+      table: z.string(),
+      column: z.string(),
+      replacements: z.number().int().nonnegative(),
+      type: z.string().optional()
+    })),
+    message: z.string().nullable()
+  })
+};
+
+export default wpCliSchemas;